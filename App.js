@@ -10,11 +10,16 @@ import {
   Tab,
   ThemeProvider,
   createTheme,
-  CssBaseline
+  CssBaseline,
+  LinearProgress,
+  Button
 } from '@mui/material';
 import FileUpload from './components/FileUpload';
 import AnalysisDashboard from './components/AnalysisDashboard';
 import DataVisualization from './components/DataVisualization';
+import AnalysisHistory from './components/AnalysisHistory';
+import ComparisonView from './components/ComparisonView';
+import axios from 'axios';
 
 const theme = createTheme({
   palette: {
@@ -45,17 +50,84 @@ function TabPanel({ children, value, index, ...other }) {
   );
 }
 
+const STAGE_LABELS = {
+  parse: 'Parsing your data...',
+  validate: 'Validating records...',
+  compute: 'Computing KPIs, forecast and anomalies...',
+  llm: 'Writing the AI analysis...'
+};
+
+// Describes the analysis stage in progress, with the model calls done so far
+const describeStage = ({ stage, progress }) => {
+  const label = STAGE_LABELS[stage] || 'Analyzing your data...';
+  return progress?.total > 1 ? `${label} (${progress.completed}/${progress.total})` : label;
+};
+
 function App() {
   const [tabValue, setTabValue] = useState(0);
   const [analysisData, setAnalysisData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [uploadedData, setUploadedData] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [cancelAnalysis, setCancelAnalysis] = useState(null);
+  const [comparison, setComparison] = useState(null);
 
   const handleTabChange = (event, newValue) => {
     setTabValue(newValue);
   };
 
+  // Results arrive stage by stage: computed metrics first, then each section the model writes
+  const handleAnalysisEvent = (event, payload) => {
+    switch (event) {
+      case 'stage':
+        if (payload.status === 'running') setProgress(describeStage(payload));
+        break;
+      case 'metrics':
+        setAnalysisData({
+          kpis: payload.kpis,
+          forecast: payload.forecast,
+          benford: payload.benford,
+          template: payload.template,
+          analysis: {
+            cashFlowForecast: payload.forecast?.cashFlowForecast,
+            anomalies: payload.anomalies
+          },
+          streaming: true
+        });
+        setTabValue(1);
+        break;
+      case 'section':
+        setAnalysisData(current => current && {
+          ...current,
+          analysis: { ...current.analysis, [payload.key]: payload.value }
+        });
+        break;
+      default:
+        break;
+    }
+  };
+
+  const handleCompare = async (previousId, currentId) => {
+    setError(null);
+    try {
+      const response = await axios.post('/api/compare', {
+        previous: { analysisId: previousId },
+        current: { analysisId: currentId }
+      });
+      setComparison(response.data.comparison);
+      setTabValue(4);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to compare the analyses');
+    }
+  };
+
+  const finishAnalysis = () => {
+    setLoading(false);
+    setProgress(null);
+    setCancelAnalysis(null);
+  };
+
   return (
     <ThemeProvider theme={theme}>
       <CssBaseline />
@@ -75,11 +147,19 @@ function App() {
         )}
 
         {loading && (
-          <Box display="flex" justifyContent="center" my={4}>
-            <CircularProgress size={60} />
-            <Typography variant="h6" sx={{ ml: 2, alignSelf: 'center' }}>
-              Analyzing your data...
-            </Typography>
+          <Box my={4}>
+            <Box display="flex" justifyContent="center">
+              <CircularProgress size={60} />
+              <Typography variant="h6" sx={{ ml: 2, alignSelf: 'center' }}>
+                {progress || 'Analyzing your data...'}
+              </Typography>
+              {cancelAnalysis && (
+                <Button sx={{ ml: 2, alignSelf: 'center' }} onClick={cancelAnalysis}>
+                  Cancel
+                </Button>
+              )}
+            </Box>
+            <LinearProgress sx={{ mt: 2 }} />
           </Box>
         )}
 
@@ -93,18 +173,35 @@ function App() {
             <Tab label="Upload Data" />
             <Tab label="Analysis Dashboard" disabled={!analysisData} />
             <Tab label="Data Visualization" disabled={!uploadedData} />
+            <Tab label="History" />
+            <Tab label="Comparison" disabled={!comparison} />
           </Tabs>
 
           <TabPanel value={tabValue} index={0}>
             <FileUpload 
-              onDataUploaded={(data) => {
+              loading={loading}
+              onAnalysisStart={(cancel) => {
+                setLoading(true);
+                setError(null);
+                setProgress(null);
+                setCancelAnalysis(() => cancel);
+              }}
+              onAnalysisEvent={handleAnalysisEvent}
+              onDataUpload={(data) => {
                 setUploadedData(data);
                 setError(null);
               }}
               onAnalysisComplete={(analysis) => {
                 setAnalysisData(analysis);
+                finishAnalysis();
                 setTabValue(1); // Auto-switch to analysis tab
               }}
+              onError={(message) => {
+                setError(message);
+                // Keep whatever streamed in before the failure, without placeholders
+                setAnalysisData(current => current && { ...current, streaming: false });
+                finishAnalysis();
+              }}
             />
           </TabPanel>
 
@@ -115,6 +212,22 @@ function App() {
           <TabPanel value={tabValue} index={2}>
             <DataVisualization data={uploadedData} analysisData={analysisData} />
           </TabPanel>
+
+          <TabPanel value={tabValue} index={3}>
+            <AnalysisHistory
+              onOpen={(analysis) => {
+                setAnalysisData(analysis);
+                setUploadedData(analysis.data);
+                setError(null);
+                setTabValue(1);
+              }}
+              onCompare={handleCompare}
+            />
+          </TabPanel>
+
+          <TabPanel value={tabValue} index={4}>
+            <ComparisonView comparison={comparison} />
+          </TabPanel>
         </Paper>
       </Container>
     </ThemeProvider>
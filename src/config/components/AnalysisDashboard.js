@@ -11,7 +11,8 @@ import {
   List,
   ListItem,
   ListItemIcon,
-  ListItemText
+  ListItemText,
+  Skeleton
 } from '@mui/material';
 import {
   TrendingUp,
@@ -21,8 +22,9 @@ import {
   CheckCircle,
   Info
 } from '@mui/icons-material';
+import ExportButtons from './ExportButtons';
 
-const AnalysisDashboard = ({ data }) => {
+const AnalysisDashboard = ({ analysisData, data = analysisData }) => {
   if (!data) {
     return (
       <Box textAlign="center" py={4}>
@@ -33,7 +35,7 @@ const AnalysisDashboard = ({ data }) => {
     );
   }
 
-  const { analysis, insights, recommendations, summary } = data;
+  const { analysis, insights, recommendations, summary, template, streaming } = data;
 
   const getSeverityColor = (severity) => {
     switch (severity?.toLowerCase()) {
@@ -53,12 +55,91 @@ const AnalysisDashboard = ({ data }) => {
     }
   };
 
+  const isEmpty = (value) =>
+    value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0) ||
+    (typeof value === 'object' && Object.keys(value).length === 0);
+
+  const formatMetric = (value) => {
+    if (Array.isArray(value)) return value.join('; ');
+    if (typeof value === 'number') return Number.isInteger(value) ? value : value.toFixed(2);
+    return value ?? '—';
+  };
+
+  // Renders one dashboard section declared by the prompt template
+  const renderSection = (section, value) => {
+    // While the analysis streams in, sections the model has not written yet show as placeholders
+    if (streaming && value === undefined) {
+      return (
+        <Box key={section.key} sx={{ mb: 3 }}>
+          <Typography variant="h6" color="text.secondary" gutterBottom>
+            {section.title}
+          </Typography>
+          <Skeleton variant="text" />
+          <Skeleton variant="text" width="80%" />
+        </Box>
+      );
+    }
+    if (isEmpty(value)) return null;
+
+    return (
+      <Box key={section.key} sx={{ mb: 3 }}>
+        <Typography variant="h6" color="primary" gutterBottom>
+          {section.title}
+        </Typography>
+
+        {section.type === 'text' && (
+          <Typography variant="body1" sx={{ whiteSpace: 'pre-wrap' }}>
+            {value}
+          </Typography>
+        )}
+
+        {section.type === 'list' && (
+          <List dense>
+            {value.map((item, index) => (
+              <ListItem key={index} sx={{ px: 0 }}>
+                <ListItemText
+                  primary={typeof item === 'object' ? item[section.primary] : item}
+                  secondary={typeof item === 'object' ? item[section.secondary] : null}
+                />
+                {typeof item === 'object' && !isEmpty(item[section.chip]) && (
+                  <Chip
+                    label={item[section.chip]}
+                    color={getSeverityColor(String(item[section.chip]))}
+                    size="small"
+                  />
+                )}
+              </ListItem>
+            ))}
+          </List>
+        )}
+
+        {section.type === 'metrics' && (
+          <Grid container spacing={2}>
+            {Object.entries(value).map(([key, metric]) => (
+              <Grid item xs={Array.isArray(metric) ? 12 : 6} sm={Array.isArray(metric) ? 12 : 3} key={key}>
+                <Typography variant="caption" color="text.secondary">
+                  {key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase())}
+                </Typography>
+                <Typography variant="body1">
+                  {formatMetric(metric)}
+                </Typography>
+              </Grid>
+            ))}
+          </Grid>
+        )}
+      </Box>
+    );
+  };
+
   return (
     <Box>
       <Typography variant="h4" gutterBottom>
         Financial Analysis Results
       </Typography>
 
+      {!streaming && <ExportButtons analysisData={data} />}
+
       {/* Summary Section */}
       {summary && (
         <Paper sx={{ p: 3, mb: 3 }}>
@@ -75,15 +156,24 @@ const AnalysisDashboard = ({ data }) => {
         {/* Main Analysis */}
         <Grid item xs={12} md={8}>
           <Paper sx={{ p: 3, height: 'fit-content' }}>
-            <Typography variant="h5" gutterBottom>
-              Detailed Analysis
-            </Typography>
+            <Box display="flex" alignItems="center" justifyContent="space-between">
+              <Typography variant="h5" gutterBottom>
+                Detailed Analysis
+              </Typography>
+              {template && (
+                <Chip label={`${template.title} · v${template.version}`} size="small" variant="outlined" />
+              )}
+            </Box>
             <Divider sx={{ mb: 2 }} />
             
             {typeof analysis === 'string' ? (
               <Typography variant="body1" sx={{ whiteSpace: 'pre-wrap' }}>
                 {analysis}
               </Typography>
+            ) : template?.sections ? (
+              <Box>
+                {template.sections.map(section => renderSection(section, analysis?.[section.key]))}
+              </Box>
             ) : (
               <Box>
                 {Object.entries(analysis || {}).map(([key, value]) => (
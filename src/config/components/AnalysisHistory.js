@@ -0,0 +1,171 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  List,
+  ListItem,
+  ListItemText,
+  Chip,
+  IconButton,
+  Tooltip,
+  CircularProgress,
+  Alert,
+  Checkbox,
+  Button
+} from '@mui/material';
+import {
+  OpenInNew,
+  Delete,
+  Refresh,
+  CompareArrows
+} from '@mui/icons-material';
+import axios from 'axios';
+
+const AnalysisHistory = ({ onOpen, onCompare }) => {
+  const [analyses, setAnalyses] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadAnalyses = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await axios.get('/api/analyses');
+      setAnalyses(response.data.analyses);
+      setTotal(response.data.total);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load past analyses');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadAnalyses();
+  }, [loadAnalyses]);
+
+  // Reopens a past analysis with the input it ran on
+  const handleOpen = async (id) => {
+    try {
+      const response = await axios.get(`/api/analyses/${id}`);
+      const { input, result } = response.data.analysis;
+      onOpen({ ...result, success: true, analysisId: id, data: input });
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to open the analysis');
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await axios.delete(`/api/analyses/${id}`);
+      setAnalyses(current => current.filter(analysis => analysis.id !== id));
+      setSelected(current => current.filter(selectedId => selectedId !== id));
+      setTotal(current => current - 1);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete the analysis');
+    }
+  };
+
+  // Keeps the two most recently ticked analyses
+  const toggleSelected = (id) => {
+    setSelected(current => (current.includes(id)
+      ? current.filter(selectedId => selectedId !== id)
+      : [...current, id].slice(-2)));
+  };
+
+  // The older analysis is the previous period
+  const handleCompare = () => {
+    const [previous, current] = analyses
+      .filter(analysis => selected.includes(analysis.id))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    onCompare(previous.id, current.id);
+  };
+
+  return (
+    <Box>
+      <Paper sx={{ p: 3 }}>
+        <Box display="flex" alignItems="center" justifyContent="space-between" mb={2}>
+          <Typography variant="h5">
+            Past Analyses {total > 0 && `(${total})`}
+          </Typography>
+          <Box>
+            <Button
+              startIcon={<CompareArrows />}
+              disabled={selected.length !== 2}
+              onClick={handleCompare}
+            >
+              Compare Selected
+            </Button>
+            <Tooltip title="Refresh">
+              <IconButton onClick={loadAnalyses} disabled={loading}>
+                <Refresh />
+              </IconButton>
+            </Tooltip>
+          </Box>
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {loading ? (
+          <Box display="flex" justifyContent="center" py={4}>
+            <CircularProgress />
+          </Box>
+        ) : analyses.length === 0 ? (
+          <Typography color="text.secondary">
+            No analyses yet. Results are saved here each time you analyze data.
+          </Typography>
+        ) : (
+          <List>
+            {analyses.map(analysis => (
+              <ListItem
+                key={analysis.id}
+                divider
+                secondaryAction={
+                  <Box>
+                    <Tooltip title="Open">
+                      <IconButton edge="end" onClick={() => handleOpen(analysis.id)}>
+                        <OpenInNew />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete">
+                      <IconButton edge="end" sx={{ ml: 1 }} onClick={() => handleDelete(analysis.id)}>
+                        <Delete />
+                      </IconButton>
+                    </Tooltip>
+                  </Box>
+                }
+              >
+                <Checkbox
+                  edge="start"
+                  checked={selected.includes(analysis.id)}
+                  onChange={() => toggleSelected(analysis.id)}
+                />
+                <ListItemText
+                  primary={new Date(analysis.createdAt).toLocaleString()}
+                  secondary={`${analysis.recordCount} records · ${analysis.model || 'no LLM'} · input ${analysis.contentHash.slice(0, 8)}`}
+                />
+                {analysis.analysisType && (
+                  <Chip
+                    label={`${analysis.analysisType} · v${analysis.promptVersion}`}
+                    size="small"
+                    variant="outlined"
+                    sx={{ mr: 10 }}
+                  />
+                )}
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </Paper>
+    </Box>
+  );
+};
+
+export default AnalysisHistory;
\ No newline at end of file
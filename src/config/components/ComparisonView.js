@@ -0,0 +1,210 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  Card,
+  CardContent,
+  Chip,
+  Divider,
+  List,
+  ListItem,
+  ListItemText,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell
+} from '@mui/material';
+import {
+  TrendingUp,
+  TrendingDown,
+  TrendingFlat
+} from '@mui/icons-material';
+
+const SPEND_ROWS = 10;
+
+const formatNumber = (value) => {
+  if (value === null || value === undefined) return '—';
+  return Number.isInteger(value) ? value.toLocaleString() : value.toFixed(2);
+};
+
+const formatPercent = (value) => (value === null || value === undefined ? '—' : `${(value * 100).toFixed(1)}%`);
+
+const formatLabel = (key) => key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase());
+
+const ChangeIcon = ({ change }) => {
+  if (!change) return <TrendingFlat fontSize="small" color="disabled" />;
+  return change > 0 ? <TrendingUp fontSize="small" color="primary" /> : <TrendingDown fontSize="small" color="secondary" />;
+};
+
+// One row per compared item: previous, current, change and relative change
+const DeltaTable = ({ rows, label }) => (
+  <Table size="small">
+    <TableHead>
+      <TableRow>
+        <TableCell>{label}</TableCell>
+        <TableCell align="right">Previous</TableCell>
+        <TableCell align="right">Current</TableCell>
+        <TableCell align="right">Change</TableCell>
+        <TableCell align="right">%</TableCell>
+      </TableRow>
+    </TableHead>
+    <TableBody>
+      {rows.map(row => (
+        <TableRow key={row.name}>
+          <TableCell>
+            {row.name}
+            {row.status && row.status !== 'continuing' && (
+              <Chip label={row.status} size="small" variant="outlined" sx={{ ml: 1 }} />
+            )}
+          </TableCell>
+          <TableCell align="right">{formatNumber(row.previous)}</TableCell>
+          <TableCell align="right">{formatNumber(row.current)}</TableCell>
+          <TableCell align="right">
+            <Box display="flex" alignItems="center" justifyContent="flex-end" gap={0.5}>
+              <ChangeIcon change={row.change} />
+              {formatNumber(row.change)}
+            </Box>
+          </TableCell>
+          <TableCell align="right">{formatPercent(row.changePercent)}</TableCell>
+        </TableRow>
+      ))}
+    </TableBody>
+  </Table>
+);
+
+const AnomalyList = ({ title, anomalies, color }) => (
+  <Card variant="outlined" sx={{ height: '100%' }}>
+    <CardContent>
+      <Box display="flex" alignItems="center" justifyContent="space-between">
+        <Typography variant="h6">{title}</Typography>
+        <Chip label={anomalies.length} color={color} size="small" />
+      </Box>
+      <List dense>
+        {anomalies.map(anomaly => (
+          <ListItem key={`${anomaly.entryId}|${anomaly.type}`} sx={{ px: 0 }}>
+            <ListItemText primary={`${anomaly.entryId} · ${anomaly.type}`} secondary={anomaly.issue} />
+          </ListItem>
+        ))}
+      </List>
+    </CardContent>
+  </Card>
+);
+
+const ComparisonView = ({ comparison }) => {
+  if (!comparison) {
+    return (
+      <Box textAlign="center" py={4}>
+        <Typography variant="h6" color="text.secondary">
+          Select two past analyses in History to compare them
+        </Typography>
+      </Box>
+    );
+  }
+
+  const { periods, currency, kpis, spend, forecastAccuracy, anomalies } = comparison;
+  const describePeriod = (period) => (period?.start ? `${period.start} to ${period.end}` : 'undated');
+  const kpiRows = Object.entries(kpis).map(([name, delta]) => ({ name: formatLabel(name), ...delta }));
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>
+        Period Comparison
+      </Typography>
+      <Typography variant="subtitle1" color="text.secondary" gutterBottom>
+        {describePeriod(periods.previous)} → {describePeriod(periods.current)}
+        {currency && ` · ${currency}`}
+      </Typography>
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={6}>
+          <Paper sx={{ p: 3 }}>
+            <Typography variant="h5" gutterBottom>
+              KPIs
+            </Typography>
+            <Divider sx={{ mb: 2 }} />
+            <DeltaTable rows={kpiRows} label="KPI" />
+          </Paper>
+        </Grid>
+
+        <Grid item xs={12} md={6}>
+          <Paper sx={{ p: 3 }}>
+            <Typography variant="h5" gutterBottom>
+              Forecast Accuracy
+            </Typography>
+            <Divider sx={{ mb: 2 }} />
+            <Box display="flex" flexWrap="wrap" gap={1} mb={2}>
+              <Chip label={`Months compared: ${forecastAccuracy.summary.monthsCompared}`} />
+              <Chip label={`Inflow MAPE: ${formatPercent(forecastAccuracy.summary.meanAbsolutePercentageError.inflow)}`} />
+              <Chip label={`Outflow MAPE: ${formatPercent(forecastAccuracy.summary.meanAbsolutePercentageError.outflow)}`} />
+              <Chip label={`Within bands: ${formatPercent(forecastAccuracy.summary.bandCoverage)}`} />
+            </Box>
+            {forecastAccuracy.note ? (
+              <Typography color="text.secondary">{forecastAccuracy.note}</Typography>
+            ) : (
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Month</TableCell>
+                    <TableCell align="right">Inflow (forecast / actual)</TableCell>
+                    <TableCell align="right">Outflow (forecast / actual)</TableCell>
+                    <TableCell align="right">Net error</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {forecastAccuracy.months.map(month => (
+                    <TableRow key={month.month}>
+                      <TableCell>{month.start} to {month.end}</TableCell>
+                      <TableCell align="right" sx={{ color: month.inflow.withinBand ? 'inherit' : 'error.main' }}>
+                        {formatNumber(month.inflow.forecast)} / {formatNumber(month.inflow.actual)}
+                      </TableCell>
+                      <TableCell align="right" sx={{ color: month.outflow.withinBand ? 'inherit' : 'error.main' }}>
+                        {formatNumber(month.outflow.forecast)} / {formatNumber(month.outflow.actual)}
+                      </TableCell>
+                      <TableCell align="right">{formatNumber(month.netFlow.error)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </Paper>
+        </Grid>
+
+        <Grid item xs={12} md={6}>
+          <Paper sx={{ p: 3 }}>
+            <Box display="flex" alignItems="center" justifyContent="space-between">
+              <Typography variant="h5" gutterBottom>
+                Spend by Category
+              </Typography>
+              <Chip label={`Total ${formatPercent(spend.total.changePercent)}`} size="small" variant="outlined" />
+            </Box>
+            <Divider sx={{ mb: 2 }} />
+            <DeltaTable rows={spend.byCategory.slice(0, SPEND_ROWS)} label="Category" />
+          </Paper>
+        </Grid>
+
+        <Grid item xs={12} md={6}>
+          <Paper sx={{ p: 3 }}>
+            <Typography variant="h5" gutterBottom>
+              Spend by Vendor
+            </Typography>
+            <Divider sx={{ mb: 2 }} />
+            <DeltaTable rows={spend.byVendor.slice(0, SPEND_ROWS)} label="Vendor" />
+          </Paper>
+        </Grid>
+
+        <Grid item xs={12} md={6}>
+          <AnomalyList title="New Anomalies" anomalies={anomalies.new} color="error" />
+        </Grid>
+
+        <Grid item xs={12} md={6}>
+          <AnomalyList title="Resolved Anomalies" anomalies={anomalies.resolved} color="success" />
+        </Grid>
+      </Grid>
+    </Box>
+  );
+};
+
+export default ComparisonView;
\ No newline at end of file
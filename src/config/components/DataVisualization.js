@@ -9,7 +9,8 @@ import {
   Select,
   MenuItem,
   Card,
-  CardContent
+  CardContent,
+  Chip
 } from '@mui/material';
 import {
   LineChart,
@@ -20,6 +21,7 @@ import {
   Bar,
   PieChart,
   Pie,
+  ComposedChart,
   Cell,
   XAxis,
   YAxis,
@@ -31,9 +33,35 @@ import {
 
 const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884D8', '#82CA9D'];
 
-const DataVisualization = ({ data }) => {
+const BENFORD_TESTS = {
+  firstDigit: 'First Digit',
+  firstTwoDigits: 'First Two Digits',
+  lastDigit: 'Last Digit'
+};
+
+const CONFORMITY_COLORS = {
+  close: 'success',
+  acceptable: 'success',
+  marginal: 'warning',
+  nonconformity: 'error'
+};
+
+const DataVisualization = ({ data, analysisData }) => {
   const [chartType, setChartType] = useState('line');
   const [selectedMetric, setSelectedMetric] = useState('');
+  const [benfordTest, setBenfordTest] = useState('firstDigit');
+
+  const benford = analysisData?.benford;
+  const benfordResult = benford?.overall?.[benfordTest];
+
+  // Observed vs expected digit shares, in percent
+  const benfordData = useMemo(() => {
+    return (benfordResult?.distribution || []).map(bin => ({
+      digit: String(bin.digit),
+      observed: +(bin.observed * 100).toFixed(2),
+      expected: +(bin.expected * 100).toFixed(2)
+    }));
+  }, [benfordResult]);
 
   const processedData = useMemo(() => {
     if (!data || !Array.isArray(data)) return [];
@@ -79,7 +107,9 @@ const DataVisualization = ({ data }) => {
     return Object.entries(aggregated).map(([name, value]) => ({ name, value }));
   }, [processedData, selectedMetric, categoricalColumns]);
 
-  if (!data || !Array.isArray(data) || data.length === 0) {
+  const hasTableData = Array.isArray(data) && data.length > 0;
+
+  if (!hasTableData && !benfordResult) {
     return (
       <Box textAlign="center" py={4}>
         <Typography variant="h6" color="text.secondary">
@@ -187,86 +217,140 @@ const DataVisualization = ({ data }) => {
         Data Visualization
       </Typography>
 
-      <Grid container spacing={3}>
-        <Grid item xs={12} md={4}>
-          <Paper sx={{ p: 2 }}>
-            <Typography variant="h6" gutterBottom>
-              Chart Configuration
-            </Typography>
+      {hasTableData && (
+        <Grid container spacing={3}>
+          <Grid item xs={12} md={4}>
+            <Paper sx={{ p: 2 }}>
+              <Typography variant="h6" gutterBottom>
+                Chart Configuration
+              </Typography>
             
-            <FormControl fullWidth sx={{ mb: 2 }}>
-              <InputLabel>Chart Type</InputLabel>
-              <Select
-                value={chartType}
-                label="Chart Type"
-                onChange={(e) => setChartType(e.target.value)}
-              >
-                <MenuItem value="line">Line Chart</MenuItem>
-                <MenuItem value="area">Area Chart</MenuItem>
-                <MenuItem value="bar">Bar Chart</MenuItem>
-                <MenuItem value="pie">Pie Chart</MenuItem>
-              </Select>
-            </FormControl>
+              <FormControl fullWidth sx={{ mb: 2 }}>
+                <InputLabel>Chart Type</InputLabel>
+                <Select
+                  value={chartType}
+                  label="Chart Type"
+                  onChange={(e) => setChartType(e.target.value)}
+                >
+                  <MenuItem value="line">Line Chart</MenuItem>
+                  <MenuItem value="area">Area Chart</MenuItem>
+                  <MenuItem value="bar">Bar Chart</MenuItem>
+                  <MenuItem value="pie">Pie Chart</MenuItem>
+                </Select>
+              </FormControl>
+
+              <FormControl fullWidth>
+                <InputLabel>Metric</InputLabel>
+                <Select
+                  value={selectedMetric}
+                  label="Metric"
+                  onChange={(e) => setSelectedMetric(e.target.value)}
+                >
+                  {numericColumns.map(column => (
+                    <MenuItem key={column} value={column}>
+                      {column.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase())}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
 
-            <FormControl fullWidth>
-              <InputLabel>Metric</InputLabel>
+              {/* Data Summary */}
+              <Card sx={{ mt: 3 }}>
+                <CardContent>
+                  <Typography variant="h6" gutterBottom>
+                    Data Summary
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    Rows: {processedData.length}
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    Numeric Columns: {numericColumns.length}
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    Text Columns: {categoricalColumns.length}
+                  </Typography>
+                </CardContent>
+              </Card>
+            </Paper>
+          </Grid>
+
+          <Grid item xs={12} md={8}>
+            <Paper sx={{ p: 2, height: 500 }}>
+              {selectedMetric ? (
+                <Box>
+                  <Typography variant="h6" gutterBottom>
+                    {selectedMetric.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase())} - {chartType.charAt(0).toUpperCase() + chartType.slice(1)} Chart
+                  </Typography>
+                  {renderChart()}
+                </Box>
+              ) : (
+                <Box 
+                  display="flex" 
+                  alignItems="center" 
+                  justifyContent="center" 
+                  height="100%"
+                >
+                  <Typography variant="h6" color="text.secondary">
+                    Select a metric to visualize
+                  </Typography>
+                </Box>
+              )}
+            </Paper>
+          </Grid>
+        </Grid>
+      )}
+
+      {benfordResult && (
+        <Paper sx={{ p: 2, mt: 3 }}>
+          <Box display="flex" alignItems="center" justifyContent="space-between" flexWrap="wrap" gap={2} mb={2}>
+            <Typography variant="h6">
+              Benford's Law Screening
+            </Typography>
+            <FormControl size="small" sx={{ minWidth: 200 }}>
+              <InputLabel>Test</InputLabel>
               <Select
-                value={selectedMetric}
-                label="Metric"
-                onChange={(e) => setSelectedMetric(e.target.value)}
+                value={benfordTest}
+                label="Test"
+                onChange={(e) => setBenfordTest(e.target.value)}
               >
-                {numericColumns.map(column => (
-                  <MenuItem key={column} value={column}>
-                    {column.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase())}
-                  </MenuItem>
+                {Object.entries(BENFORD_TESTS).map(([value, label]) => (
+                  <MenuItem key={value} value={value}>{label}</MenuItem>
                 ))}
               </Select>
             </FormControl>
+          </Box>
 
-            {/* Data Summary */}
-            <Card sx={{ mt: 3 }}>
-              <CardContent>
-                <Typography variant="h6" gutterBottom>
-                  Data Summary
-                </Typography>
-                <Typography variant="body2" color="text.secondary">
-                  Rows: {processedData.length}
-                </Typography>
-                <Typography variant="body2" color="text.secondary">
-                  Numeric Columns: {numericColumns.length}
-                </Typography>
-                <Typography variant="body2" color="text.secondary">
-                  Text Columns: {categoricalColumns.length}
-                </Typography>
-              </CardContent>
-            </Card>
-          </Paper>
-        </Grid>
-
-        <Grid item xs={12} md={8}>
-          <Paper sx={{ p: 2, height: 500 }}>
-            {selectedMetric ? (
-              <Box>
-                <Typography variant="h6" gutterBottom>
-                  {selectedMetric.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase())} - {chartType.charAt(0).toUpperCase() + chartType.slice(1)} Chart
-                </Typography>
-                {renderChart()}
-              </Box>
-            ) : (
-              <Box 
-                display="flex" 
-                alignItems="center" 
-                justifyContent="center" 
-                height="100%"
-              >
-                <Typography variant="h6" color="text.secondary">
-                  Select a metric to visualize
-                </Typography>
-              </Box>
+          <Box display="flex" gap={1} flexWrap="wrap" mb={2}>
+            <Chip
+              label={`Conformity: ${benfordResult.conformity || 'n/a'}`}
+              color={CONFORMITY_COLORS[benfordResult.conformity] || 'default'}
+              size="small"
+            />
+            <Chip label={`MAD: ${benfordResult.mad ?? 'n/a'}`} size="small" variant="outlined" />
+            <Chip
+              label={`Chi-square: ${benfordResult.chiSquare} (critical ${benfordResult.chiSquareCritical})`}
+              size="small"
+              variant="outlined"
+            />
+            <Chip label={`Records: ${benfordResult.n}`} size="small" variant="outlined" />
+            {!benford.sufficientData && (
+              <Chip label="Too few records for a reliable test" color="warning" size="small" />
             )}
-          </Paper>
-        </Grid>
-      </Grid>
+          </Box>
+
+          <ResponsiveContainer width="100%" height={350}>
+            <ComposedChart data={benfordData}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="digit" />
+              <YAxis unit="%" />
+              <Tooltip />
+              <Legend />
+              <Bar dataKey="observed" name="Observed" fill="#8884d8" />
+              <Line type="monotone" dataKey="expected" name="Expected" stroke="#FF8042" strokeWidth={2} dot={false} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </Paper>
+      )}
     </Box>
   );
 };
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  ButtonGroup,
+  Alert
+} from '@mui/material';
+import { Download } from '@mui/icons-material';
+import axios from 'axios';
+
+const FORMATS = [
+  { value: 'pdf', label: 'PDF' },
+  { value: 'xlsx', label: 'Excel' },
+  { value: 'markdown', label: 'Markdown' }
+];
+
+// Downloads a report of the analysis: stored analyses by id, others by sending the result
+const ExportButtons = ({ analysisData }) => {
+  const [exporting, setExporting] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    setError(null);
+    try {
+      const response = analysisData.analysisId
+        ? await axios.get(`/api/analyses/${analysisData.analysisId}/export`, { params: { format }, responseType: 'blob' })
+        : await axios.post('/api/export', { format, result: analysisData }, { responseType: 'blob' });
+
+      const filename = response.headers['content-disposition']?.match(/filename="(.+)"/)?.[1] || `analysis.${format}`;
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Failed to export the analysis');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <Box mb={3}>
+      <ButtonGroup variant="outlined" size="small">
+        {FORMATS.map(({ value, label }) => (
+          <Button
+            key={value}
+            startIcon={<Download />}
+            disabled={Boolean(exporting)}
+            onClick={() => handleExport(value)}
+          >
+            {exporting === value ? 'Exporting...' : label}
+          </Button>
+        ))}
+      </ButtonGroup>
+      {error && (
+        <Alert severity="error" sx={{ mt: 1 }}>
+          {error}
+        </Alert>
+      )}
+    </Box>
+  );
+};
+
+export default ExportButtons;
\ No newline at end of file
@@ -24,10 +24,33 @@ import {
 } from '@mui/icons-material';
 import axios from 'axios';
 
-const FileUpload = ({ onAnalysisComplete, onAnalysisStart, onError, onDataUpload, loading }) => {
+// Reads server-sent events from a fetch response, calling onEvent(event, data) for each
+const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+    blocks.forEach((block) => {
+      const event = block.match(/^event: (.*)$/m)?.[1] || 'message';
+      const data = block.match(/^data: (.*)$/m)?.[1];
+      if (data) onEvent(event, JSON.parse(data));
+    });
+  }
+};
+
+const FileUpload = ({ onAnalysisComplete, onAnalysisStart, onAnalysisEvent, onError, onDataUpload, loading }) => {
   const [files, setFiles] = useState([]);
   const [analysisType, setAnalysisType] = useState('general');
   const [customPrompt, setCustomPrompt] = useState('');
+  const [dateOrder, setDateOrder] = useState('auto');
+  const [decimalSeparator, setDecimalSeparator] = useState('auto');
 
   const onDrop = useCallback((acceptedFiles) => {
     const newFiles = acceptedFiles.map(file => ({
@@ -41,6 +64,7 @@ const FileUpload = ({ onAnalysisComplete, onAnalysisStart, onError, onDataUpload
     onDrop,
     accept: {
       'text/csv': ['.csv'],
+      'application/json': ['.json'],
       'application/vnd.ms-excel': ['.xls'],
       'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx']
     },
@@ -57,7 +81,9 @@ const FileUpload = ({ onAnalysisComplete, onAnalysisStart, onError, onDataUpload
       return;
     }
 
-    onAnalysisStart();
+    // Cancelling aborts the upload or the analysis stream, which stops the server's LLM calls
+    const controller = new AbortController();
+    onAnalysisStart(() => controller.abort());
 
     try {
       const formData = new FormData();
@@ -65,6 +91,8 @@ const FileUpload = ({ onAnalysisComplete, onAnalysisStart, onError, onDataUpload
         formData.append('files', file);
       });
       formData.append('analysisType', analysisType);
+      formData.append('dateOrder', dateOrder);
+      formData.append('decimalSeparator', decimalSeparator);
       if (customPrompt) {
         formData.append('customPrompt', customPrompt);
       }
@@ -73,22 +101,57 @@ const FileUpload = ({ onAnalysisComplete, onAnalysisStart, onError, onDataUpload
       const uploadResponse = await axios.post('/api/upload', formData, {
         headers: {
           'Content-Type': 'multipart/form-data'
-        }
+        },
+        signal: controller.signal
       });
 
       onDataUpload(uploadResponse.data.parsedData);
 
-      // Then, get AI analysis
-      const analysisResponse = await axios.post('/api/analyze', {
-        data: uploadResponse.data.parsedData,
-        analysisType,
-        customPrompt
+      // Then, stream the AI analysis so that results show as each stage finishes
+      const response = await fetch('/api/analyze/stream', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'text/event-stream'
+        },
+        body: JSON.stringify({
+          data: uploadResponse.data.parsedData,
+          analysisType,
+          customPrompt
+        }),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const { error: message } = await response.json().catch(() => ({}));
+        onError(message || 'Failed to analyze data');
+        return;
+      }
+
+      let finished = false;
+      await readEventStream(response, (event, payload) => {
+        if (event === 'complete') {
+          finished = true;
+          onAnalysisComplete(payload);
+        } else if (event === 'error') {
+          finished = true;
+          onError(payload.message ? `${payload.error}: ${payload.message}` : payload.error);
+        } else {
+          onAnalysisEvent(event, payload);
+        }
       });
 
-      onAnalysisComplete(analysisResponse.data);
+      if (!finished) {
+        onError('The analysis stream ended unexpectedly');
+      }
     } catch (error) {
+      if (controller.signal.aborted) {
+        onError('Analysis cancelled');
+        return;
+      }
       console.error('Analysis error:', error);
-      onError(error.response?.data?.error || 'Failed to analyze data');
+      const { error: message, filename } = error.response?.data || {};
+      onError(filename ? `${message}: ${filename}` : message || 'Failed to analyze data');
     }
   };
 
@@ -116,7 +179,7 @@ const FileUpload = ({ onAnalysisComplete, onAnalysisStart, onError, onDataUpload
           {isDragActive ? 'Drop files here' : 'Drag & drop files here, or click to select'}
         </Typography>
         <Typography variant="body2" color="text.secondary">
-          Supported formats: CSV, XLS, XLSX
+          Supported formats: CSV, JSON, XLS, XLSX
         </Typography>
       </Paper>
 
@@ -165,6 +228,35 @@ const FileUpload = ({ onAnalysisComplete, onAnalysisStart, onError, onDataUpload
           </Select>
         </FormControl>
 
+        <Box display="flex" gap={2} sx={{ mb: 2 }}>
+          <FormControl fullWidth>
+            <InputLabel>Date Format</InputLabel>
+            <Select
+              value={dateOrder}
+              label="Date Format"
+              onChange={(e) => setDateOrder(e.target.value)}
+            >
+              <MenuItem value="auto">Detect automatically</MenuItem>
+              <MenuItem value="DMY">Day / Month / Year</MenuItem>
+              <MenuItem value="MDY">Month / Day / Year</MenuItem>
+              <MenuItem value="YMD">Year / Month / Day</MenuItem>
+            </Select>
+          </FormControl>
+
+          <FormControl fullWidth>
+            <InputLabel>Decimal Separator</InputLabel>
+            <Select
+              value={decimalSeparator}
+              label="Decimal Separator"
+              onChange={(e) => setDecimalSeparator(e.target.value)}
+            >
+              <MenuItem value="auto">Detect automatically</MenuItem>
+              <MenuItem value=".">Point (1,234.56)</MenuItem>
+              <MenuItem value=",">Comma (1.234,56)</MenuItem>
+            </Select>
+          </FormControl>
+        </Box>
+
         {analysisType === 'custom' && (
           <TextField
             fullWidth
@@ -188,6 +280,7 @@ const FileUpload = ({ onAnalysisComplete, onAnalysisStart, onError, onDataUpload
         >
           {loading ? 'Analyzing...' : 'Analyze Data'}
         </Button>
+
       </Paper>
     </Box>
   );
@@ -2,12 +2,31 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
-// Validate required environment variables
-const requiredEnvVars = ['OPENROUTER_API_KEY'];
-for (const envVar of requiredEnvVars) {
-  if (!process.env[envVar]) {
-    throw new Error(`Missing required environment variable: ${envVar}`);
-  }
+// LLM provider per task: openrouter, openai-compatible (Ollama, llama.cpp, vLLM...) or none.
+// Without an OpenRouter key and no explicit choice the tool runs in no-LLM mode.
+const DEFAULT_LLM_PROVIDER = process.env.LLM_PROVIDER || (process.env.OPENROUTER_API_KEY ? 'openrouter' : 'none');
+if (DEFAULT_LLM_PROVIDER === 'none' && !process.env.LLM_PROVIDER) {
+  console.warn('ℹ️ No OPENROUTER_API_KEY or LLM_PROVIDER set; running without an LLM.');
+}
+
+// 0 is a valid setting: the model's first answer is final
+const LLM_MAX_REPAIR_ATTEMPTS = parseInt(process.env.LLM_MAX_REPAIR_ATTEMPTS);
+
+/**
+ * Reads the LLM settings for one task, e.g. LLM_ANALYSIS_PROVIDER and LLM_ANALYSIS_MODEL,
+ * falling back to LLM_PROVIDER, LLM_MODEL and LLM_BASE_URL
+ * @param {string} task - Task name
+ * @param {Object} defaults - Task defaults (maxTokens, temperature)
+ * @returns {Object} Task settings
+ */
+function llmTask(task, defaults) {
+  const prefix = `LLM_${task.toUpperCase()}_`;
+  return {
+    provider: process.env[`${prefix}PROVIDER`] || DEFAULT_LLM_PROVIDER,
+    model: process.env[`${prefix}MODEL`] || process.env.LLM_MODEL || 'qwen/qwen3-235b-a22b:free',
+    baseUrl: process.env[`${prefix}BASE_URL`] || process.env.LLM_BASE_URL || null,
+    ...defaults
+  };
 }
 
 // Load Semantic Scholar API key (optional for higher rate limits)
@@ -17,24 +36,159 @@ if (!S2_API_KEY) {
 }
 
 export const config = {
-  openrouter: {
-    apiKey: process.env.OPENROUTER_API_KEY,
-    apiUrl: process.env.OPENROUTER_API_URL || 'https://openrouter.ai/api/v1/chat/completions',
-    model: 'qwen/qwen3-235b-a22b:free',
-    maxTokens: null,
-    temperature: 0.1
+  llm: {
+    providers: {
+      openrouter: {
+        apiKey: process.env.OPENROUTER_API_KEY || '',
+        baseUrl: process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1',
+        headers: {
+          'HTTP-Referer': 'https://financial-analyzer.com',
+          'X-Title': 'Financial Analysis App'
+        }
+      },
+      'openai-compatible': {
+        apiKey: process.env.LLM_API_KEY || 'not-needed',
+        baseUrl: 'http://localhost:11434/v1' // Ollama; llama.cpp and vLLM serve /v1 on their own ports
+      }
+    },
+    tasks: {
+      analysis: llmTask('analysis', {
+        maxTokens: 4000,
+        temperature: 0.1,
+        contextTokens: parseInt(process.env.LLM_ANALYSIS_CONTEXT_TOKENS) || 32000 // prompt and response together
+      }),
+      summarization: llmTask('summarization', { maxTokens: 150, temperature: 0.3 }),
+      research: llmTask('research', { maxTokens: 500, temperature: 0.3 })
+    },
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 120000,
+    maxRepairAttempts: Number.isNaN(LLM_MAX_REPAIR_ATTEMPTS) || LLM_MAX_REPAIR_ATTEMPTS < 0 ? 2 : LLM_MAX_REPAIR_ATTEMPTS
+  },
+  prompts: {
+    customPromptMaxLength: parseInt(process.env.CUSTOM_PROMPT_MAX_LENGTH) || 2000
+  },
+  mapReduce: {
+    chunkBy: process.env.ANALYSIS_CHUNK_BY || 'period', // period (calendar month) | category
+    charsPerToken: 4, // rough estimate for JSON-heavy prompts
+    topCounterparties: 10
+  },
+  jobs: {
+    concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2, // analyses running at once; the rest wait in the queue
+    maxQueued: parseInt(process.env.JOB_MAX_QUEUED) || 50,
+    retentionMs: (parseInt(process.env.JOB_RETENTION_MINUTES) || 60) * 60 * 1000 // finished jobs are kept this long
+  },
+  history: {
+    path: process.env.ANALYSIS_HISTORY_PATH || 'data/analyses.db', // SQLite file; ':memory:' keeps nothing
+    pageSize: 50
+  },
+  reports: {
+    brandName: process.env.REPORT_BRAND_NAME || 'Financial AI Analyzer',
+    brandColor: process.env.REPORT_BRAND_COLOR || '#1976d2',
+    maxPdfAnomalies: 50 // the XLSX and Markdown exports list them all
+  },
+  fixtures: {
+    mode: process.env.FIXTURE_MODE || 'off', // off | record | replay
+    dir: process.env.FIXTURE_DIR || 'tests/fixtures'
   },
   semanticScholar: {
     apiKey: S2_API_KEY,
-    baseUrl: 'https://api.semanticscholar.org/graph/v1',
-    headers: S2_API_KEY ? { 'x-api-key': S2_API_KEY } : {}
+    baseUrl: process.env.S2_BASE_URL || 'https://api.semanticscholar.org/graph/v1',
+    headers: S2_API_KEY ? { 'x-api-key': S2_API_KEY } : {},
+    timeoutMs: parseInt(process.env.S2_TIMEOUT_MS) || 15000,
+    retry: {
+      maxRetries: parseInt(process.env.S2_MAX_RETRIES) || 4, // then the request fails instead of waiting on
+      baseDelayMs: 1000, // doubled on each retry, with full jitter
+      maxDelayMs: 30000
+    },
+    cache: {
+      ttlMs: (parseInt(process.env.RESEARCH_CACHE_TTL_MINUTES) || 24 * 60) * 60 * 1000,
+      maxEntries: 500, // in memory; the disk cache keeps everything until it expires
+      disk: process.env.RESEARCH_DISK_CACHE !== 'off',
+      dir: process.env.RESEARCH_CACHE_DIR || 'data/research-cache'
+    }
+  },
+  citationGraph: {
+    defaultDepth: 1,
+    maxDepth: 3,
+    defaultMaxNodes: 100,
+    maxNodes: 300,
+    perPaperLimit: 10, // references and citations followed from each paper
+    seedCount: 3, // top search results used as seeds for a query
+    damping: 0.85 // PageRank damping factor
+  },
+  researchTopic: {
+    defaultPapers: 8,
+    maxPapers: 20, // retrieved papers are numbered sources in the prompt
+    maxAbstractChars: 1200,
+    maxTokens: 1000
+  },
+  researchGaps: {
+    defaultPages: 3,
+    maxPages: 5,
+    pageSize: 20, // search results per page; papers without an abstract are dropped
+    defaultClusters: 4,
+    maxClusters: 8,
+    minClusterSize: 3, // fewer clusters are formed when there are too few abstracts
+    gapsPerCluster: 3,
+    maxAbstractChars: 1200, // per paper in the gap prompt
+    maxTokens: 1000
   },
   server: {
     port: parseInt(process.env.PORT) || 3001,
     nodeEnv: process.env.NODE_ENV || 'development'
   },
+  currency: {
+    reportingCurrency: process.env.REPORTING_CURRENCY || 'USD',
+    ratesPath: process.env.FX_RATES_PATH || 'data/fx-rates.csv',
+    rateBase: process.env.FX_RATES_BASE || 'USD',
+    maxRateAgeDays: parseInt(process.env.FX_MAX_RATE_AGE_DAYS) || 7
+  },
+  kpis: {
+    tolerance: parseFloat(process.env.KPI_TOLERANCE) || 0.1 // relative difference allowed between LLM and computed KPIs
+  },
+  anomalies: {
+    duplicateWindowDays: parseInt(process.env.DUPLICATE_WINDOW_DAYS) || 7,
+    robustZThreshold: 3.5,
+    iqrMultiplier: 3,
+    minGroupSize: 8,
+    frequencyBaselineMonths: 3,
+    frequencyZThreshold: 3
+  },
+  benford: {
+    categories: ['payments', 'expenses'],
+    minRecords: 100, // below this the overall tests are reported as insufficient
+    minGroupRecords: 50,
+    topContributors: 20
+  },
+  forecast: {
+    horizonDays: 90,
+    maxHorizonDays: 730, // longest horizon a request may ask for
+    granularity: process.env.FORECAST_GRANULARITY || 'day', // day | week
+    inflowMethod: process.env.FORECAST_INFLOW_METHOD || 'exponential_smoothing',
+    outflowMethod: process.env.FORECAST_OUTFLOW_METHOD || 'exponential_smoothing',
+    movingAverageWindow: { day: 28, week: 4 },
+    seasonLength: { day: 7, week: 4 },
+    smoothing: { alpha: 0.3, gamma: 0.2 },
+    confidenceLevel: 0.8,
+    defaultPaymentTermsDays: 30
+  },
+  streaming: {
+    maxFileSize: 2 * 1024 * 1024 * 1024, // 2GB
+    batchSize: 1000,
+    maxRetainedRecords: 50000
+  },
+  importProfiles: {
+    path: process.env.IMPORT_PROFILES_PATH || 'data/import-profiles.json'
+  },
   upload: {
     maxFileSize: 10 * 1024 * 1024, // 10MB
-    allowedMimeTypes: ['text/csv', 'application/json', 'text/plain']
+    maxFiles: 10,
+    allowedMimeTypes: [
+      'text/csv',
+      'application/json',
+      'text/plain',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    ],
+    allowedExtensions: ['.csv', '.json', '.txt', '.xls', '.xlsx']
   }
 };
\ No newline at end of file
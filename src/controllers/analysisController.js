@@ -1,12 +1,450 @@
 import fs from 'fs';
-import { analyzeFinancialData, researchFinancialTopic, generateFinancialSummary } from '../services/llmClient.js';
-import { searchPapers, researchCompliance, summarizeAbstract } from '../services/researchService.js';
-import { parseCSV, normalizeFinancialData } from '../services/parser.js';
-import { validateData } from '../utils/validation.js';
+import busboy from 'busboy';
+import { config } from '../config/index.js';
+import { analyzeFinancialData, generateFinancialSummary } from '../services/llmClient.js';
+import { searchPapers, researchCompliance, researchFinancialTopic, summarizeAbstract } from '../services/researchService.js';
+import { getReferences, getCitations, buildCitationGraph, GRAPH_DIRECTIONS } from '../services/citationGraph.js';
+import { findResearchGaps } from '../services/researchGaps.js';
+import {
+  exportCitations,
+  exportComplianceReport,
+  CITATION_FIELDS,
+  CITATION_FORMATS,
+  COMPLIANCE_EXPORT_FORMATS
+} from '../services/citationExport.js';
+import {
+  parseCSV,
+  extractTables,
+  parseUploadedFile,
+  mergeFinancialData,
+  normalizeFinancialData,
+  categorizeFlatData
+} from '../services/parser.js';
+import {
+  previewTable,
+  createProfileCategorizer,
+  listProfiles,
+  getProfile,
+  saveProfile,
+  deleteProfile,
+  validateMapping
+} from '../services/importProfiles.js';
+import { ingestCsvStream } from '../services/streamingIngest.js';
+import { convertFinancialData, createCurrencyConverter } from '../services/currency.js';
+import { computeKpis, crossCheckKpis } from '../services/kpis.js';
+import { forecastCashFlow } from '../services/forecast.js';
+import { detectAnomalies, mergeAnomalies } from '../services/anomalies.js';
+import { runBenfordTests } from '../services/benford.js';
+import { getPromptTemplate, describePromptTemplate, validatePromptOptions } from '../services/promptTemplates.js';
+import { createJob, getJob, cancelJob, isJobFinished } from '../services/jobs.js';
+import { saveAnalysis, listAnalyses, getAnalysis, deleteAnalysis } from '../services/analysisHistory.js';
+import { comparePeriods } from '../services/comparison.js';
+import { exportReport, EXPORT_FORMATS } from '../services/reportExport.js';
+import { validateData, validateUploadOptions, validateExportResult, parseBoundedInt } from '../utils/validation.js';
+import { interpretRecords } from '../utils/localeParsing.js';
+import { openEventStream } from '../utils/sse.js';
 import { logger } from '../utils/logger.js';
 
+/**
+ * Reads per-upload options from a JSON body (locale object) or form fields
+ * @param {Object} body - Request body
+ * @returns {Object} Upload options with locale (decimalSeparator, dateOrder), reportingCurrency,
+ *   forecast overrides (an object, or a JSON string in form fields) and the analysis
+ *   prompt (analysisType, promptVersion, customPrompt)
+ */
+function getUploadOptions(body = {}) {
+  const locale = body.locale && typeof body.locale === 'object' ? body.locale : body;
+  let forecast = body.forecast || {};
+  if (typeof forecast === 'string') {
+    try {
+      forecast = JSON.parse(forecast);
+    } catch {
+      // Left as a string so that validateUploadOptions reports it
+    }
+  }
+
+  return {
+    locale: {
+      decimalSeparator: locale.decimalSeparator || 'auto',
+      dateOrder: locale.dateOrder || 'auto'
+    },
+    reportingCurrency: String(body.reportingCurrency || config.currency.reportingCurrency).toUpperCase(),
+    forecast,
+    analysis: {
+      analysisType: body.analysisType || 'general',
+      promptVersion: body.promptVersion || undefined,
+      customPrompt: body.customPrompt
+    }
+  };
+}
+
+/**
+ * Parses financial data sent in a request body as JSON or CSV text, then
+ * converts it into the reporting currency
+ * @param {Object|string} data - Financial data
+ * @param {string} format - 'json' or 'csv'
+ * @param {Object} options - Upload options from getUploadOptions
+ * @returns {Object} Normalized financial data
+ */
+function parseRequestData(data, format, options) {
+  let parsedData;
+  if (format === 'csv') {
+    const categorized = categorizeFlatData(parseCSV(data));
+    const parseIssues = [];
+    Object.keys(categorized).forEach(category => {
+      const { records, issues } = interpretRecords(categorized[category], { ...options.locale, castNumbers: true });
+      categorized[category] = records;
+      parseIssues.push(...issues);
+    });
+    parsedData = normalizeFinancialData({ ...categorized, parseIssues });
+  } else {
+    parsedData = normalizeFinancialData(data);
+  }
+  return convertFinancialData(parsedData, { reportingCurrency: options.reportingCurrency });
+}
+
+const ANALYSIS_STAGES = ['parse', 'validate', 'compute', 'llm'];
+
+/**
+ * Runs the analysis pipeline: parse, validate, compute (forecast, anomalies,
+ * KPIs, Benford tests) and the LLM analysis, reporting each stage as it goes
+ * @param {Function} parse - Parses the request's data or file into normalized financial data
+ * @param {Object} options - Upload options from getUploadOptions
+ * @param {Object} [context] - Job context
+ * @param {AbortSignal} [context.signal] - Aborts the LLM calls
+ * @param {Function} [context.updateStage] - Called with (stage, status, progress)
+ * @param {Function} [context.emit] - Called with (event, data) as results become available:
+ *   parsed, validated, metrics, then a section event per streamed LLM section
+ * @returns {Promise<Object>} Response body, with the id the analysis is stored under in the history
+ * @throws {Error} With code PARSE_FAILED or DATA_INVALID for unusable input
+ */
+async function runAnalysis(parse, options, { signal, updateStage = () => {}, emit = () => {} } = {}) {
+  updateStage('parse', 'running');
+  let parsedData;
+  try {
+    parsedData = parse();
+  } catch (parseError) {
+    const error = new Error(parseError.message);
+    error.code = 'PARSE_FAILED';
+    throw error;
+  }
+  updateStage('parse', 'completed');
+  emit('parsed', {
+    recordCounts: Object.fromEntries(['invoices', 'expenses', 'payments', 'balances']
+      .map(category => [category, (parsedData[category] || []).length])),
+    parseIssues: parsedData.metadata?.parseIssues || [],
+    fx: parsedData.metadata?.fx || null
+  });
+
+  updateStage('validate', 'running');
+  const validation = validateData(parsedData);
+  if (!validation.isValid) {
+    const error = new Error('Data validation failed');
+    error.code = 'DATA_INVALID';
+    error.details = validation.errors;
+    throw error;
+  }
+  updateStage('validate', 'completed');
+  emit('validated', { warnings: validation.warnings });
+
+  // The LLM narrates the computed forecast and anomalies; its KPIs are checked against the computed ones
+  updateStage('compute', 'running');
+  const template = getPromptTemplate(options.analysis.analysisType, options.analysis.promptVersion);
+  const forecast = forecastCashFlow(parsedData, options.forecast);
+  const anomalies = detectAnomalies(parsedData);
+  const kpis = computeKpis(parsedData);
+  const benford = runBenfordTests(parsedData);
+  updateStage('compute', 'completed');
+  emit('metrics', { kpis, forecast, anomalies, benford, template: describePromptTemplate(template) });
+
+  updateStage('llm', 'running');
+  const analysis = await analyzeFinancialData(parsedData, {
+    cashFlowForecast: forecast.cashFlowForecast,
+    anomalies,
+    template,
+    customPrompt: options.analysis.customPrompt,
+    signal,
+    onProgress: progress => updateStage('llm', 'running', progress),
+    // Streamed anomalies are shown merged with the detected ones, as in the final result
+    onSection: (key, value) => emit('section', {
+      key,
+      value: key === 'anomalies' ? mergeAnomalies(anomalies, value, parsedData) : value
+    })
+  });
+  analysis.cashFlowForecast = forecast.cashFlowForecast;
+  analysis.anomalies = mergeAnomalies(anomalies, analysis.anomalies, parsedData);
+  kpis.discrepancies = crossCheckKpis(analysis.kpis, kpis).filter(check => !check.withinTolerance);
+  updateStage('llm', 'completed');
+
+  logger.info('Financial analysis completed successfully', {
+    dataRecords: Object.values(parsedData).flat().length
+  });
+
+  const result = {
+    analysis,
+    kpis,
+    forecast,
+    benford,
+    template: describePromptTemplate(template),
+    timestamp: new Date().toISOString()
+  };
+
+  // A history failure is logged; the analysis itself still succeeded
+  let analysisId = null;
+  try {
+    analysisId = saveAnalysis(parsedData, result).id;
+  } catch (error) {
+    logger.error('Storing analysis in history failed:', error);
+  }
+
+  return { success: true, analysisId, data: parsedData, ...result };
+}
+
+/**
+ * Maps an analysis failure to its HTTP status and response body
+ * @param {Error} error - Failure from runAnalysis or the job queue
+ * @param {Object} labels - Error labels for the route
+ * @param {string} labels.failure - Label for unexpected failures
+ * @param {string} labels.parseFailure - Label for input that cannot be parsed
+ * @returns {Object} Object with status and body
+ */
+function describeAnalysisError(error, { failure, parseFailure }) {
+  switch (error.code) {
+    case 'PARSE_FAILED':
+      return { status: 400, body: { error: parseFailure, message: error.message } };
+    case 'DATA_INVALID':
+      return { status: 400, body: { error: 'Data validation failed', details: error.details } };
+    case 'ANALYSIS_OUTPUT_INVALID':
+      return { status: 502, body: { error: 'Analysis output invalid', message: error.message, details: error.validationErrors } };
+    case 'QUEUE_FULL':
+      return { status: 503, body: { error: 'Analysis queue full', message: error.message } };
+    case 'ANALYSIS_NOT_FOUND':
+      return { status: 404, body: { error: 'Analysis not found', message: error.message } };
+    case 'CURRENCY_MISMATCH':
+      return { status: 400, body: { error: 'Currency mismatch', message: error.message } };
+    default:
+      return { status: 500, body: { error: failure, message: error.message } };
+  }
+}
+
+/**
+ * Loads one side of a period comparison: a stored analysis by id, or a dataset
+ * whose KPIs, forecast and anomalies are computed without the LLM
+ * @param {Object} period - { analysisId } or { data, format }
+ * @param {Object} options - Upload options from getUploadOptions
+ * @returns {Object} Period with data, kpis, forecast and anomalies
+ * @throws {Error} With code ANALYSIS_NOT_FOUND, PARSE_FAILED or DATA_INVALID
+ */
+function loadPeriod(period, options) {
+  if (period.analysisId) {
+    const stored = getAnalysis(String(period.analysisId));
+    if (!stored) {
+      const error = new Error(`No stored analysis with id ${period.analysisId}`);
+      error.code = 'ANALYSIS_NOT_FOUND';
+      throw error;
+    }
+    return {
+      data: stored.input,
+      kpis: stored.result.kpis,
+      forecast: stored.result.forecast,
+      anomalies: stored.result.analysis?.anomalies || []
+    };
+  }
+
+  let data;
+  try {
+    data = parseRequestData(period.data, period.format || 'json', options);
+  } catch (parseError) {
+    const error = new Error(parseError.message);
+    error.code = 'PARSE_FAILED';
+    throw error;
+  }
+  const validation = validateData(data);
+  if (!validation.isValid) {
+    const error = new Error('Data validation failed');
+    error.code = 'DATA_INVALID';
+    error.details = validation.errors;
+    throw error;
+  }
+
+  return {
+    data,
+    kpis: computeKpis(data),
+    forecast: forecastCashFlow(data, options.forecast),
+    anomalies: detectAnomalies(data)
+  };
+}
+
+/**
+ * Renders an analysis in an export format and sends it as a download
+ * @param {Object} res - Express response
+ * @param {Object} result - Analysis response body
+ * @param {Object} data - Normalized financial data the analysis ran on
+ * @param {string} format - Export format
+ */
+async function sendExport(res, result, data, format) {
+  sendDownload(res, await exportReport(result, data, format));
+}
+
+/**
+ * Sends a rendered file as a download
+ * @param {Object} res - Express response
+ * @param {Object} file - Object with content, contentType and filename
+ */
+function sendDownload(res, { content, contentType, filename }) {
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}"`
+  });
+  res.send(content);
+}
+
+/**
+ * Maps a Semantic Scholar failure to its HTTP status and response body
+ * @param {Error} error - Failure from the Semantic Scholar client
+ * @param {string} failure - Label for unexpected failures
+ * @returns {Object} Object with status and body
+ */
+function describeResearchError(error, failure) {
+  if (error.response?.status === 404) {
+    return { status: 404, body: { error: 'Paper not found', message: error.message } };
+  }
+  if (error.code === 'RESEARCH_UNAVAILABLE') {
+    return { status: 503, body: { error: 'Semantic Scholar unavailable', message: error.message } };
+  }
+  if (error.code === 'ANALYSIS_OUTPUT_INVALID') {
+    return { status: 502, body: { error: 'Research output invalid', message: error.message, details: error.validationErrors } };
+  }
+  if (error.code === 'NO_SOURCES') {
+    return { status: 404, body: { error: 'No sources found', message: error.message } };
+  }
+  if (error.code === 'LLM_DISABLED') {
+    return { status: 503, body: { error: 'LLM disabled', message: error.message } };
+  }
+  return { status: 500, body: { error: failure, message: error.message } };
+}
+
+/**
+ * Checks whether a request asks for an analysis job instead of waiting for the result
+ * @param {Object} req - Express request
+ * @returns {boolean} True for ?async=true or an async body field
+ */
+function wantsJob(req) {
+  return [req.query.async, req.body.async].some(value => value === true || value === 'true');
+}
+
+/**
+ * Checks whether a request came in on a streaming variant of an analyze route
+ * @param {Object} req - Express request
+ * @returns {boolean} True for /api/analyze/stream and /api/analyze/file/stream
+ */
+function wantsStream(req) {
+  return req.path.endsWith('/stream');
+}
+
+/**
+ * Runs an analysis for a request: queued as a job when asked for (202 with the
+ * job to poll), streamed as server-sent events on the streaming routes, otherwise in the request
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} parse - Parses the request's data or file
+ * @param {Object} options - Upload options
+ * @param {Object} labels - Error labels for describeAnalysisError
+ * @param {Object} [extra] - Fields added to the response body, e.g. filename
+ */
+async function respondWithAnalysis(req, res, parse, options, labels, extra = {}) {
+  if (wantsJob(req)) {
+    const job = createJob('analysis', async context => ({ ...extra, ...await runAnalysis(parse, options, context) }), {
+      stages: ANALYSIS_STAGES,
+      describeError: error => describeAnalysisError(error, labels).body
+    });
+    res.status(202).location(`/api/jobs/${job.id}`).json({ success: true, job });
+    return;
+  }
+
+  if (wantsStream(req)) {
+    await streamAnalysis(res, parse, options, labels, extra);
+    return;
+  }
+
+  res.json({ ...extra, ...await runAnalysis(parse, options) });
+}
+
+/**
+ * Streams an analysis as server-sent events: stage, parsed, validated, metrics
+ * and section events as they happen, then complete with the full result or
+ * error. Closing the connection cancels the in-flight LLM calls.
+ * @param {Object} res - Express response
+ * @param {Function} parse - Parses the request's data or file
+ * @param {Object} options - Upload options
+ * @param {Object} labels - Error labels for describeAnalysisError
+ * @param {Object} extra - Fields added to the complete event
+ */
+async function streamAnalysis(res, parse, options, labels, extra) {
+  const events = openEventStream(res);
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    const result = await runAnalysis(parse, options, {
+      signal: controller.signal,
+      updateStage: (stage, status, progress) => events.send('stage', { stage, status, ...(progress && { progress }) }),
+      emit: (event, data) => events.send(event, data)
+    });
+    events.send('complete', { ...extra, ...result });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      logger.info('Streaming analysis cancelled by the client');
+    } else {
+      logger.error('Streaming analysis failed:', error);
+      events.send('error', describeAnalysisError(error, labels).body);
+    }
+  }
+
+  events.close();
+}
+
+/**
+ * Responds with one page of a paper's references or citations
+ * @param {Object} req - Express request, with paperId and optional limit and offset
+ * @param {Object} res - Express response
+ * @param {Function} fetchPage - getReferences or getCitations
+ * @param {string} kind - 'references' or 'citations', for the response and logs
+ */
+async function sendPaperLinks(req, res, fetchPage, kind) {
+  try {
+    const limit = parseBoundedInt(req.query.limit, config.citationGraph.perPaperLimit, 1, 1000);
+    const offset = parseBoundedInt(req.query.offset, 0, 0, 9999);
+    if (limit === null || offset === null) {
+      return res.status(400).json({
+        error: 'Invalid pagination',
+        message: 'limit must be an integer from 1 to 1000 and offset from 0 to 9999'
+      });
+    }
+
+    const { papers, next, cache } = await fetchPage(req.params.paperId, { limit, offset });
+
+    res.json({
+      success: true,
+      paperId: req.params.paperId,
+      [kind]: papers,
+      count: papers.length,
+      next,
+      cache,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Fetching ${kind} failed:`, error);
+    const { status, body } = describeResearchError(error, `Fetching ${kind} failed`);
+    res.status(status).json(body);
+  }
+}
+
 export const analysisController = {
   async analyzeFinancialData(req, res) {
+    const labels = { failure: 'Analysis failed', parseFailure: 'Data parsing failed' };
     try {
       const { data, format = 'json' } = req.body;
       
@@ -17,15 +455,142 @@ export const analysisController = {
         });
       }
 
-      // Parse data based on format
+      const options = getUploadOptions(req.body);
+      const optionsValidation = validateUploadOptions(options);
+      const promptValidation = validatePromptOptions(options.analysis);
+      if (!optionsValidation.isValid || !promptValidation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid upload options',
+          details: [...optionsValidation.errors, ...promptValidation.errors]
+        });
+      }
+
+      await respondWithAnalysis(req, res, () => parseRequestData(data, format, options), options, labels);
+    } catch (error) {
+      logger.error('Analysis failed:', error);
+      const { status, body } = describeAnalysisError(error, labels);
+      res.status(status).json(body);
+    }
+  },
+
+  async comparePeriods(req, res) {
+    const labels = { failure: 'Comparison failed', parseFailure: 'Data parsing failed' };
+    try {
+      const { previous, current } = req.body;
+      const isPeriod = period => Boolean(period && typeof period === 'object' && (period.analysisId || period.data));
+
+      if (!isPeriod(previous) || !isPeriod(current)) {
+        return res.status(400).json({
+          error: 'Missing required fields: previous, current',
+          message: 'Each period needs an analysisId of a stored analysis or data'
+        });
+      }
+
+      const options = getUploadOptions(req.body);
+      const optionsValidation = validateUploadOptions(options);
+      if (!optionsValidation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid upload options',
+          details: optionsValidation.errors
+        });
+      }
+
+      const comparison = comparePeriods(loadPeriod(previous, options), loadPeriod(current, options));
+
+      res.json({
+        success: true,
+        comparison,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Comparison failed:', error);
+      const { status, body } = describeAnalysisError(error, labels);
+      res.status(status).json(body);
+    }
+  },
+
+  async exportAnalysis(req, res) {
+    try {
+      const format = req.query.format || 'pdf';
+      if (!EXPORT_FORMATS[format]) {
+        return res.status(400).json({
+          error: 'Invalid export format',
+          message: `Allowed: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+        });
+      }
+
+      const stored = getAnalysis(req.params.id);
+      if (!stored) {
+        return res.status(404).json({ error: 'Analysis not found' });
+      }
+
+      await sendExport(res, stored.result, stored.input, format);
+    } catch (error) {
+      logger.error('Export failed:', error);
+      res.status(500).json({
+        error: 'Export failed',
+        message: error.message
+      });
+    }
+  },
+
+  async exportResult(req, res) {
+    try {
+      const { format = 'pdf', result } = req.body;
+      if (!EXPORT_FORMATS[format]) {
+        return res.status(400).json({
+          error: 'Invalid export format',
+          message: `Allowed: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+        });
+      }
+      if (!result?.analysis) {
+        return res.status(400).json({
+          error: 'Missing required field: result',
+          message: 'Please provide the analysis response to export'
+        });
+      }
+      const resultValidation = validateExportResult(result);
+      if (!resultValidation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid result',
+          details: resultValidation.errors
+        });
+      }
+
+      const { data, ...analysis } = result;
+      await sendExport(res, analysis, data || {}, format);
+    } catch (error) {
+      logger.error('Export failed:', error);
+      res.status(500).json({
+        error: 'Export failed',
+        message: error.message
+      });
+    }
+  },
+
+  async analyzeBenford(req, res) {
+    try {
+      const { data, format = 'json' } = req.body;
+
+      if (!data) {
+        return res.status(400).json({
+          error: 'Missing required field: data',
+          message: 'Please provide financial data in the request body'
+        });
+      }
+
+      const options = getUploadOptions(req.body);
+      const optionsValidation = validateUploadOptions(options);
+      if (!optionsValidation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid upload options',
+          details: optionsValidation.errors
+        });
+      }
+
       let parsedData;
       try {
-        if (format === 'csv') {
-          const csvArray = parseCSV(data);
-          parsedData = normalizeFinancialData(csvArray);
-        } else {
-          parsedData = normalizeFinancialData(data);
-        }
+        parsedData = parseRequestData(data, format, options);
       } catch (parseError) {
         return res.status(400).json({
           error: 'Data parsing failed',
@@ -33,61 +598,219 @@ export const analysisController = {
         });
       }
 
-      // Validate parsed data
-      const validation = validateData(parsedData);
-      if (!validation.isValid) {
-        return res.status(400).json({
-          error: 'Data validation failed',
-          details: validation.errors
-        });
-      }
+      const benford = runBenfordTests(parsedData);
 
-      // Analyze with LLM
-      const analysis = await analyzeFinancialData(parsedData);
-      
-      logger.info('Financial analysis completed successfully', {
-        dataRecords: Object.values(parsedData).flat().length
+      logger.info('Benford screening completed', {
+        recordCount: benford.recordCount,
+        firstDigitConformity: benford.overall.firstDigit.conformity
       });
 
       res.json({
         success: true,
-        data: parsedData,
-        analysis,
+        benford,
         timestamp: new Date().toISOString()
       });
     } catch (error) {
-      logger.error('Analysis failed:', error);
+      logger.error('Benford screening failed:', error);
       res.status(500).json({
-        error: 'Analysis failed',
+        error: 'Benford screening failed',
         message: error.message
       });
     }
   },
 
   async analyzeFile(req, res) {
+    const labels = { failure: 'File analysis failed', parseFailure: 'File parsing failed' };
     try {
       if (!req.file) {
         return res.status(400).json({
           error: 'No file uploaded',
-          message: 'Please upload a CSV or JSON file'
+          message: 'Please upload a CSV, JSON or Excel file'
         });
       }
 
-      const fileContent = req.file.buffer.toString('utf8');
-      let parsedData;
+      const options = getUploadOptions(req.body);
+      const optionsValidation = validateUploadOptions(options);
+      const promptValidation = validatePromptOptions(options.analysis);
+      if (!optionsValidation.isValid || !promptValidation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid upload options',
+          details: [...optionsValidation.errors, ...promptValidation.errors]
+        });
+      }
+
+      const { file } = req;
+      const parse = () => convertFinancialData(
+        normalizeFinancialData(parseUploadedFile(file, {
+          categorize: createProfileCategorizer(),
+          locale: options.locale
+        })),
+        { reportingCurrency: options.reportingCurrency }
+      );
+
+      await respondWithAnalysis(req, res, parse, options, labels, { filename: file.originalname });
+    } catch (error) {
+      logger.error('File analysis failed:', error);
+      const { status, body } = describeAnalysisError(error, labels);
+      res.status(status).json(body);
+    }
+  },
+
+  async getJob(req, res) {
+    const job = getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ success: true, job });
+  },
+
+  async cancelJob(req, res) {
+    const job = getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (isJobFinished(job)) {
+      return res.status(409).json({
+        error: 'Job already finished',
+        message: `Job ${job.id} is ${job.status}`
+      });
+    }
+    res.json({ success: true, job: cancelJob(job.id) });
+  },
+
+  async listAnalyses(req, res) {
+    try {
+      const limit = req.query.limit === undefined ? config.history.pageSize : parseInt(req.query.limit);
+      const offset = req.query.offset === undefined ? 0 : parseInt(req.query.offset);
+      if (!(limit > 0) || !(offset >= 0)) {
+        return res.status(400).json({
+          error: 'Invalid pagination',
+          message: 'limit must be a positive integer and offset a non-negative integer'
+        });
+      }
+
+      const { analyses, total } = listAnalyses({
+        limit: Math.min(limit, config.history.pageSize),
+        offset,
+        contentHash: req.query.contentHash
+      });
+
+      res.json({
+        success: true,
+        analyses,
+        total
+      });
+    } catch (error) {
+      logger.error('Listing analyses failed:', error);
+      res.status(500).json({
+        error: 'Listing analyses failed',
+        message: error.message
+      });
+    }
+  },
+
+  async getAnalysis(req, res) {
+    try {
+      const analysis = getAnalysis(req.params.id);
+      if (!analysis) {
+        return res.status(404).json({ error: 'Analysis not found' });
+      }
+
+      res.json({ success: true, analysis });
+    } catch (error) {
+      logger.error('Fetching analysis failed:', error);
+      res.status(500).json({
+        error: 'Fetching analysis failed',
+        message: error.message
+      });
+    }
+  },
+
+  async deleteAnalysis(req, res) {
+    try {
+      if (!deleteAnalysis(req.params.id)) {
+        return res.status(404).json({ error: 'Analysis not found' });
+      }
+
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Deleting analysis failed:', error);
+      res.status(500).json({
+        error: 'Deleting analysis failed',
+        message: error.message
+      });
+    }
+  },
 
+  async uploadFiles(req, res) {
+    try {
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({
+          error: 'No files uploaded',
+          message: 'Please upload one or more CSV, JSON or Excel files'
+        });
+      }
+
+      const options = getUploadOptions(req.body);
+      const optionsValidation = validateUploadOptions(options);
+      if (!optionsValidation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid upload options',
+          details: optionsValidation.errors
+        });
+      }
+
+      // An explicit mapping or profile applies to every file; otherwise profiles are matched per table
+      let mapping;
       try {
-        if (req.file.mimetype === 'text/csv' || req.file.originalname.endsWith('.csv')) {
-          const csvArray = parseCSV(fileContent);
-          parsedData = normalizeFinancialData(csvArray);
-        } else {
-          parsedData = normalizeFinancialData(JSON.parse(fileContent));
+        mapping = req.body.mapping ? JSON.parse(req.body.mapping) : undefined;
+      } catch {
+        return res.status(400).json({
+          error: 'Invalid mapping',
+          message: 'mapping must be a JSON object'
+        });
+      }
+      if (mapping !== undefined) {
+        const mappingValidation = validateMapping(mapping);
+        if (!mappingValidation.isValid) {
+          return res.status(400).json({
+            error: 'Invalid mapping',
+            message: mappingValidation.errors.join('; ')
+          });
         }
-      } catch (parseError) {
-        logger.error('File parsing failed:', parseError);
+      }
+      if (req.body.profileId) {
+        const profile = getProfile(req.body.profileId);
+        if (!profile) {
+          return res.status(404).json({ error: 'Import profile not found' });
+        }
+        mapping = profile.mapping;
+      }
+
+      const categorize = createProfileCategorizer(mapping);
+      const datasets = [];
+      for (const file of req.files) {
+        try {
+          datasets.push({ name: file.originalname, data: parseUploadedFile(file, { categorize, locale: options.locale }) });
+        } catch (parseError) {
+          logger.error('File parsing failed:', { filename: file.originalname, error: parseError.message });
+          return res.status(400).json({
+            error: 'File parsing failed',
+            filename: file.originalname,
+            message: parseError.message
+          });
+        }
+      }
+
+      let parsedData;
+      try {
+        parsedData = convertFinancialData(mergeFinancialData(datasets), {
+          reportingCurrency: options.reportingCurrency
+        });
+      } catch (mergeError) {
         return res.status(400).json({
-          error: 'File parsing failed',
-          message: parseError.message
+          error: 'Data parsing failed',
+          message: mergeError.message
         });
       }
 
@@ -100,24 +823,253 @@ export const analysisController = {
         });
       }
 
-      const analysis = await analyzeFinancialData(parsedData);
-      
-      logger.info('File analysis completed successfully', {
-        filename: req.file.originalname,
-        dataRecords: Object.values(parsedData).flat().length
+      logger.info('File upload completed successfully', {
+        files: req.files.map(f => f.originalname),
+        dataRecords: parsedData.metadata.recordCount
       });
 
       res.json({
         success: true,
-        filename: req.file.originalname,
-        data: parsedData,
-        analysis,
+        files: parsedData.metadata.files,
+        parsedData,
+        parseIssues: parsedData.metadata.parseIssues,
+        warnings: validation.warnings,
         timestamp: new Date().toISOString()
       });
     } catch (error) {
-      logger.error('File analysis failed:', error);
+      logger.error('File upload failed:', error);
+      res.status(500).json({
+        error: 'File upload failed',
+        message: error.message
+      });
+    }
+  },
+
+  // Streams a single large CSV through the parser, reporting progress as server-sent events
+  async streamUpload(req, res) {
+    if (!req.is('multipart/form-data')) {
+      return res.status(400).json({
+        error: 'No file uploaded',
+        message: 'Please upload a CSV file as multipart/form-data'
+      });
+    }
+
+    const totalBytes = parseInt(req.headers['content-length']) || null;
+    const fields = {};
+    let bytesRead = 0;
+    let fileReceived = false;
+
+    const bb = busboy({
+      headers: req.headers,
+      limits: { files: 1, fileSize: config.streaming.maxFileSize }
+    });
+
+    // Locale fields must precede the file part to apply to it
+    bb.on('field', (name, value) => {
+      fields[name] = value;
+    });
+
+    bb.on('file', async (name, file, { filename }) => {
+      fileReceived = true;
+
+      if (!/\.(csv|txt)$/i.test(filename)) {
+        file.resume();
+        return res.status(400).json({
+          error: 'Invalid file type',
+          message: 'Streaming uploads support CSV files only'
+        });
+      }
+
+      const options = getUploadOptions(fields);
+      const optionsValidation = validateUploadOptions(options);
+      if (!optionsValidation.isValid) {
+        file.resume();
+        return res.status(400).json({
+          error: 'Invalid upload options',
+          details: optionsValidation.errors
+        });
+      }
+
+      const converter = createCurrencyConverter({ reportingCurrency: options.reportingCurrency });
+      const events = openEventStream(res);
+      file.on('data', chunk => {
+        bytesRead += chunk.length;
+      });
+      file.on('limit', () => {
+        file.destroy(new Error('File size exceeds streaming upload limit'));
+      });
+
+      try {
+        const { data, summary, truncated } = await ingestCsvStream(file, {
+          sourceFile: filename,
+          locale: options.locale,
+          categorize: createProfileCategorizer(),
+          transformRecord: converter.convertRecord,
+          onProgress: progress => events.send('progress', {
+            ...progress,
+            bytesRead,
+            totalBytes,
+            percent: totalBytes ? Math.min(100, Math.round((bytesRead / totalBytes) * 100)) : null
+          })
+        });
+
+        const parsedData = normalizeFinancialData(data);
+        const fx = converter.getSummary();
+        parsedData.metadata = { ...parsedData.metadata, currency: fx.reportingCurrency, fx };
+        const validation = validateData(parsedData);
+
+        logger.info('Streaming upload completed successfully', {
+          filename,
+          rowsProcessed: summary.rowsProcessed,
+          bytesRead
+        });
+
+        events.send('complete', {
+          success: true,
+          filename,
+          summary,
+          truncated,
+          parsedData,
+          validation,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error('Streaming upload failed:', error);
+        events.send('error', {
+          error: 'Streaming upload failed',
+          message: error.message
+        });
+      }
+
+      events.close();
+    });
+
+    bb.on('close', () => {
+      if (!fileReceived && !res.headersSent) {
+        res.status(400).json({
+          error: 'No file uploaded',
+          message: 'Please upload a CSV file'
+        });
+      }
+    });
+
+    bb.on('error', error => {
+      logger.error('Streaming upload failed:', error);
+      if (!res.headersSent) {
+        res.status(400).json({
+          error: 'Streaming upload failed',
+          message: error.message
+        });
+      }
+    });
+
+    req.pipe(bb);
+  },
+
+  async previewUpload(req, res) {
+    try {
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({
+          error: 'No files uploaded',
+          message: 'Please upload one or more CSV, JSON or Excel files'
+        });
+      }
+
+      const options = getUploadOptions(req.body);
+      const optionsValidation = validateUploadOptions(options);
+      if (!optionsValidation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid upload options',
+          details: optionsValidation.errors
+        });
+      }
+
+      const files = [];
+      for (const file of req.files) {
+        try {
+          files.push({ name: file.originalname, tables: extractTables(file, { locale: options.locale }).map(previewTable) });
+        } catch (parseError) {
+          return res.status(400).json({
+            error: 'File parsing failed',
+            filename: file.originalname,
+            message: parseError.message
+          });
+        }
+      }
+
+      res.json({
+        success: true,
+        files,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Upload preview failed:', error);
+      res.status(500).json({
+        error: 'Upload preview failed',
+        message: error.message
+      });
+    }
+  },
+
+  async listImportProfiles(req, res) {
+    try {
+      res.json({
+        success: true,
+        profiles: listProfiles()
+      });
+    } catch (error) {
+      logger.error('Listing import profiles failed:', error);
       res.status(500).json({
-        error: 'File analysis failed',
+        error: 'Listing import profiles failed',
+        message: error.message
+      });
+    }
+  },
+
+  async saveImportProfile(req, res) {
+    try {
+      const { name, columns, mapping } = req.body;
+
+      if (!name || !Array.isArray(columns) || !mapping?.columns) {
+        return res.status(400).json({
+          error: 'Missing required fields: name, columns, mapping'
+        });
+      }
+
+      const mappingValidation = validateMapping(mapping);
+      if (!mappingValidation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid mapping',
+          message: mappingValidation.errors.join('; ')
+        });
+      }
+
+      const profile = saveProfile({ name, columns, mapping });
+
+      res.status(201).json({
+        success: true,
+        profile
+      });
+    } catch (error) {
+      logger.error('Saving import profile failed:', error);
+      res.status(500).json({
+        error: 'Saving import profile failed',
+        message: error.message
+      });
+    }
+  },
+
+  async deleteImportProfile(req, res) {
+    try {
+      if (!deleteProfile(req.params.id)) {
+        return res.status(404).json({ error: 'Import profile not found' });
+      }
+
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Deleting import profile failed:', error);
+      res.status(500).json({
+        error: 'Deleting import profile failed',
         message: error.message
       });
     }
@@ -127,6 +1079,7 @@ export const analysisController = {
   async researchTopic(req, res) {
     try {
       const { topic, context } = req.body;
+      const { defaultPapers, maxPapers } = config.researchTopic;
       
       if (!topic) {
         return res.status(400).json({
@@ -134,44 +1087,67 @@ export const analysisController = {
         });
       }
 
-      const insights = await researchFinancialTopic(topic, context);
+      const papers = parseBoundedInt(req.body.papers, defaultPapers, 1, maxPapers);
+      if (papers === null) {
+        return res.status(400).json({
+          error: 'Invalid research options',
+          details: [`papers must be an integer from 1 to ${maxPapers}`]
+        });
+      }
+
+      const research = await researchFinancialTopic(topic, context, { papers });
       
       res.json({
         success: true,
-        topic,
-        insights,
+        ...research,
         timestamp: new Date().toISOString()
       });
     } catch (error) {
       logger.error('Research failed:', error);
-      res.status(500).json({
-        error: 'Research failed',
-        message: error.message
-      });
+      const { status, body } = describeResearchError(error, 'Research failed');
+      res.status(status).json(body);
     }
   },
 
   async searchPapers(req, res) {
     try {
-      const { query, limit = 5 } = req.query;
+      const { query, limit = 5, format } = req.query;
       
       if (!query) {
         return res.status(400).json({
           error: 'Missing required parameter: query'
         });
       }
+      if (format && !CITATION_FORMATS[format]) {
+        return res.status(400).json({
+          error: 'Invalid citation format',
+          message: `Allowed: ${Object.keys(CITATION_FORMATS).join(', ')}`
+        });
+      }
 
-      const papers = await searchPapers(query, parseInt(limit));
+      if (format) {
+        const { papers } = await searchPapers(query, parseInt(limit), { fields: CITATION_FIELDS });
+        return sendDownload(res, exportCitations(papers, format, `papers-${query}`));
+      }
+
+      const { papers, cache } = await searchPapers(query, parseInt(limit));
       
       res.json({
         success: true,
         query,
         papers,
         count: papers.length,
+        cache,
         timestamp: new Date().toISOString()
       });
     } catch (error) {
       logger.error('Paper search failed:', error);
+      if (error.code === 'RESEARCH_UNAVAILABLE') {
+        return res.status(503).json({
+          error: 'Paper search unavailable',
+          message: error.message
+        });
+      }
       res.status(500).json({
         error: 'Paper search failed',
         message: error.message
@@ -179,15 +1155,73 @@ export const analysisController = {
     }
   },
 
+  async getPaperReferences(req, res) {
+    await sendPaperLinks(req, res, getReferences, 'references');
+  },
+
+  async getPaperCitations(req, res) {
+    await sendPaperLinks(req, res, getCitations, 'citations');
+  },
+
+  async getCitationGraph(req, res) {
+    try {
+      const { paperId, query, direction = 'both' } = req.query;
+      const { defaultDepth, maxDepth, defaultMaxNodes, maxNodes: nodeLimit } = config.citationGraph;
+
+      if (!paperId && !query) {
+        return res.status(400).json({
+          error: 'Missing required parameter: paperId or query'
+        });
+      }
+
+      const depth = parseBoundedInt(req.query.depth, defaultDepth, 0, maxDepth);
+      const maxNodes = parseBoundedInt(req.query.maxNodes, defaultMaxNodes, 1, nodeLimit);
+      const errors = [
+        depth === null && `depth must be an integer from 0 to ${maxDepth}`,
+        maxNodes === null && `maxNodes must be an integer from 1 to ${nodeLimit}`,
+        !GRAPH_DIRECTIONS.includes(direction) && `direction must be one of ${GRAPH_DIRECTIONS.join(', ')}`
+      ].filter(Boolean);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid graph options',
+          details: errors
+        });
+      }
+
+      const graph = await buildCitationGraph({ paperId, query, depth, maxNodes, direction });
+
+      res.json({
+        success: true,
+        ...graph,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Citation graph failed:', error);
+      const { status, body } = describeResearchError(error, 'Citation graph failed');
+      res.status(status).json(body);
+    }
+  },
+
   async researchCompliance(req, res) {
     try {
-      const { topic, limit = 3 } = req.body;
+      const { topic, limit = 3, format } = req.body;
       
       if (!topic) {
         return res.status(400).json({
           error: 'Missing required field: topic'
         });
       }
+      if (format && !COMPLIANCE_EXPORT_FORMATS[format]) {
+        return res.status(400).json({
+          error: 'Invalid export format',
+          message: `Allowed: ${Object.keys(COMPLIANCE_EXPORT_FORMATS).join(', ')}`
+        });
+      }
+
+      if (format) {
+        const research = await researchCompliance(topic, parseInt(limit), { fields: CITATION_FIELDS });
+        return sendDownload(res, exportComplianceReport(research, format));
+      }
 
       const research = await researchCompliance(topic, parseInt(limit));
       
@@ -198,10 +1232,54 @@ export const analysisController = {
       });
     } catch (error) {
       logger.error('Compliance research failed:', error);
+      if (error.code === 'RESEARCH_UNAVAILABLE') {
+        return res.status(503).json({
+          error: 'Compliance research unavailable',
+          message: error.message
+        });
+      }
       res.status(500).json({
         error: 'Compliance research failed',
         message: error.message
       });
     }
+  },
+
+  async researchGaps(req, res) {
+    try {
+      const { query } = req.body;
+      const { defaultPages, maxPages, defaultClusters, maxClusters } = config.researchGaps;
+
+      if (!query) {
+        return res.status(400).json({
+          error: 'Missing required field: query'
+        });
+      }
+
+      const pages = parseBoundedInt(req.body.pages, defaultPages, 1, maxPages);
+      const clusters = parseBoundedInt(req.body.clusters, defaultClusters, 1, maxClusters);
+      const errors = [
+        pages === null && `pages must be an integer from 1 to ${maxPages}`,
+        clusters === null && `clusters must be an integer from 1 to ${maxClusters}`
+      ].filter(Boolean);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid gap discovery options',
+          details: errors
+        });
+      }
+
+      const result = await findResearchGaps(query, { pages, clusters });
+
+      res.json({
+        success: true,
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Research gap discovery failed:', error);
+      const { status, body } = describeResearchError(error, 'Research gap discovery failed');
+      res.status(status).json(body);
+    }
   }
 };
\ No newline at end of file
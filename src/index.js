@@ -6,19 +6,20 @@ import multer from 'multer';
 import { config } from './config/index.js';
 import { analysisController } from './controllers/analysisController.js';
 import { logger } from './utils/logger.js';
+import { isAllowedFileType } from './utils/validation.js';
+import { describeProviders } from './services/llmProviders.js';
 
 // Configure multer for file uploads
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
+    fileSize: config.upload.maxFileSize // 10MB limit
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['text/csv', 'application/json', 'text/plain'];
-    if (allowedTypes.includes(file.mimetype)) {
+    if (isAllowedFileType(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only CSV and JSON files are allowed.'));
+      cb(new Error('Invalid file type. Only CSV, JSON and Excel files are allowed.'));
     }
   }
 });
@@ -33,7 +34,8 @@ app.use(cors());
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  skip: req => req.method === 'GET' && req.path.startsWith('/jobs/') // job status polling
 });
 app.use('/api/', limiter);
 
@@ -53,15 +55,40 @@ app.use((req, res, next) => {
 // Financial Analysis Routes
 app.post('/api/analyze', analysisController.analyzeFinancialData);
 app.post('/api/analyze/file', upload.single('file'), analysisController.analyzeFile);
+app.post('/api/analyze/stream', analysisController.analyzeFinancialData);
+app.post('/api/analyze/file/stream', upload.single('file'), analysisController.analyzeFile);
+app.post('/api/analyze/benford', analysisController.analyzeBenford);
+app.post('/api/compare', analysisController.comparePeriods);
+app.get('/api/jobs/:id', analysisController.getJob);
+app.delete('/api/jobs/:id', analysisController.cancelJob);
+app.post('/api/upload', upload.array('files', config.upload.maxFiles), analysisController.uploadFiles);
+app.post('/api/upload/stream', analysisController.streamUpload);
+app.post('/api/upload/preview', upload.array('files', config.upload.maxFiles), analysisController.previewUpload);
+
+// Analysis History Routes
+app.get('/api/analyses', analysisController.listAnalyses);
+app.get('/api/analyses/:id', analysisController.getAnalysis);
+app.delete('/api/analyses/:id', analysisController.deleteAnalysis);
+app.get('/api/analyses/:id/export', analysisController.exportAnalysis);
+app.post('/api/export', analysisController.exportResult);
+
+// Import Profile Routes
+app.get('/api/import-profiles', analysisController.listImportProfiles);
+app.post('/api/import-profiles', analysisController.saveImportProfile);
+app.delete('/api/import-profiles/:id', analysisController.deleteImportProfile);
 
 // Research Routes (new)
 app.post('/api/research/topic', analysisController.researchTopic);
 app.get('/api/research/papers', analysisController.searchPapers);
+app.get('/api/research/papers/:paperId/references', analysisController.getPaperReferences);
+app.get('/api/research/papers/:paperId/citations', analysisController.getPaperCitations);
+app.get('/api/research/graph', analysisController.getCitationGraph);
 app.post('/api/research/compliance', analysisController.researchCompliance);
+app.post('/api/research/gaps', analysisController.researchGaps);
 
 // Health check
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'healthy', timestamp: new Date().toISOString() });
+  res.json({ status: 'healthy', llm: describeProviders(), timestamp: new Date().toISOString() });
 });
 
 // Error handling middleware
@@ -79,8 +106,11 @@ app.use('*', (req, res) => {
 });
 
 const PORT = config.server.port || 3001;
-app.listen(PORT, () => {
-  logger.info(`Financial AI Analyzer backend running on port ${PORT}`);
-});
+// Tests drive the app through supertest without binding a port
+if (config.server.nodeEnv !== 'test') {
+  app.listen(PORT, () => {
+    logger.info(`Financial AI Analyzer backend running on port ${PORT}`);
+  });
+}
 
 export default app;
\ No newline at end of file
@@ -0,0 +1,145 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import Database from 'better-sqlite3';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+
+const CATEGORIES = ['invoices', 'expenses', 'payments', 'balances'];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS analyses (
+    id TEXT PRIMARY KEY,
+    created_at TEXT NOT NULL,
+    content_hash TEXT NOT NULL,
+    analysis_type TEXT,
+    prompt_version TEXT,
+    provider TEXT,
+    model TEXT,
+    record_count INTEGER NOT NULL,
+    input TEXT NOT NULL,
+    result TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS analyses_created_at ON analyses (created_at);
+  CREATE INDEX IF NOT EXISTS analyses_content_hash ON analyses (content_hash);
+`;
+
+const SUMMARY_COLUMNS = 'id, created_at, content_hash, analysis_type, prompt_version, provider, model, record_count';
+
+let database = null;
+
+/**
+ * Computes the content hash of normalized financial data: its records and
+ * currency, without the metadata that changes on every upload (timestamps)
+ * @param {Object} data - Normalized financial data
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashFinancialData(data) {
+  const content = {
+    currency: data.metadata?.currency || null,
+    ...Object.fromEntries(CATEGORIES.map(category => [category, data[category] || []]))
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+/**
+ * Stores an analysis with its normalized input
+ * @param {Object} data - Normalized financial data the analysis ran on
+ * @param {Object} result - Analysis response body, without the input
+ * @returns {Object} Stored analysis summary
+ */
+export function saveAnalysis(data, result) {
+  const summary = {
+    id: crypto.randomUUID(),
+    createdAt: result.timestamp || new Date().toISOString(),
+    contentHash: hashFinancialData(data),
+    analysisType: result.template?.id || null,
+    promptVersion: result.template?.version || null,
+    provider: result.analysis?.llm?.provider || null,
+    model: result.analysis?.llm?.model || null,
+    recordCount: CATEGORIES.reduce((count, category) => count + (data[category] || []).length, 0)
+  };
+
+  getDatabase()
+    .prepare(`INSERT INTO analyses (${SUMMARY_COLUMNS}, input, result)
+      VALUES (@id, @createdAt, @contentHash, @analysisType, @promptVersion, @provider, @model, @recordCount, @input, @result)`)
+    .run({ ...summary, input: JSON.stringify(data), result: JSON.stringify(result) });
+
+  logger.info('Stored analysis', { id: summary.id, contentHash: summary.contentHash });
+  return summary;
+}
+
+/**
+ * Lists stored analyses, newest first, without their inputs and results
+ * @param {Object} [options] - List options
+ * @param {number} [options.limit] - Page size, config.history.pageSize by default
+ * @param {number} [options.offset] - Analyses to skip
+ * @param {string} [options.contentHash] - Only analyses of this input
+ * @returns {Object} Object with analyses (summaries) and total
+ */
+export function listAnalyses({ limit = config.history.pageSize, offset = 0, contentHash } = {}) {
+  const db = getDatabase();
+  const where = contentHash ? 'WHERE content_hash = @contentHash' : '';
+  const rows = db
+    .prepare(`SELECT ${SUMMARY_COLUMNS} FROM analyses ${where} ORDER BY created_at DESC, rowid DESC LIMIT @limit OFFSET @offset`)
+    .all({ contentHash, limit, offset });
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM analyses ${where}`).get({ contentHash });
+
+  return { analyses: rows.map(toSummary), total };
+}
+
+/**
+ * Gets a stored analysis with its input and result
+ * @param {string} id - Analysis id
+ * @returns {Object|null} Analysis summary with input and result, or null if there is no such analysis
+ */
+export function getAnalysis(id) {
+  const row = getDatabase().prepare(`SELECT ${SUMMARY_COLUMNS}, input, result FROM analyses WHERE id = ?`).get(id);
+  if (!row) return null;
+
+  return {
+    ...toSummary(row),
+    input: JSON.parse(row.input),
+    result: JSON.parse(row.result)
+  };
+}
+
+/**
+ * Deletes a stored analysis
+ * @param {string} id - Analysis id
+ * @returns {boolean} True if an analysis was deleted
+ */
+export function deleteAnalysis(id) {
+  return getDatabase().prepare('DELETE FROM analyses WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * Opens the history database on first use, creating its file and table as needed
+ * @returns {Database} Database connection
+ */
+function getDatabase() {
+  if (!database) {
+    const file = config.history.path;
+    if (file !== ':memory:') {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+    }
+    database = new Database(file);
+    database.pragma('journal_mode = WAL');
+    database.exec(SCHEMA);
+    logger.info('Opened analysis history', { path: file });
+  }
+  return database;
+}
+
+function toSummary(row) {
+  return {
+    id: row.id,
+    createdAt: row.created_at,
+    contentHash: row.content_hash,
+    analysisType: row.analysis_type,
+    promptVersion: row.prompt_version,
+    provider: row.provider,
+    model: row.model,
+    recordCount: row.record_count
+  };
+}
\ No newline at end of file
@@ -0,0 +1,301 @@
+import { config } from '../config/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CATEGORIES = ['invoices', 'expenses', 'payments'];
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+/**
+ * Detects duplicate entries, amount outliers and sudden changes in how often
+ * a counterparty appears. Every anomaly names the entry it concerns and the
+ * evidence behind it. Records left in their original currency for want of an
+ * FX rate are skipped, as their amounts are not comparable with the rest.
+ * @param {Object} data - Normalized financial data
+ * @param {Object} [options] - Overrides for config.anomalies
+ * @returns {Array} Anomalies ({ entryId, category, type, issue, severity, evidence, source })
+ */
+export function detectAnomalies(data, options = {}) {
+  const settings = { ...config.anomalies, ...options };
+  const entries = [];
+
+  CATEGORIES.forEach(category => {
+    (data[category] || []).forEach((record, index) => {
+      if (!record || record.fxRateMissing || typeof record.amount !== 'number') return;
+      entries.push({
+        record,
+        category,
+        entryId: getEntryId(record, category, index),
+        amount: Math.abs(record.amount),
+        counterparty: getCounterparty(record),
+        time: typeof record.date === 'string' ? Date.parse(record.date) : NaN
+      });
+    });
+  });
+
+  const anomalies = [
+    ...findDuplicates(entries, settings),
+    ...findOutliers(entries, settings),
+    ...findFrequencyChanges(entries, settings)
+  ];
+
+  return anomalies.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+}
+
+/**
+ * Merges LLM-reported anomalies into the statistical ones. An LLM finding on the
+ * same entry and type confirms the statistical anomaly; other LLM findings are
+ * kept, marked with whether their entryId exists in the data.
+ * @param {Array} statistical - Result of detectAnomalies
+ * @param {Array} llmAnomalies - Anomalies from the LLM analysis
+ * @param {Object} data - Normalized financial data the analysis ran on
+ * @returns {Array} Merged anomalies
+ */
+export function mergeAnomalies(statistical, llmAnomalies, data) {
+  const merged = statistical.map(anomaly => ({ ...anomaly }));
+  if (!Array.isArray(llmAnomalies)) return merged;
+
+  const knownIds = new Set();
+  CATEGORIES.concat('balances').forEach(category => {
+    (data[category] || []).forEach((record, index) => knownIds.add(getEntryId(record, category, index)));
+  });
+
+  llmAnomalies.forEach(finding => {
+    if (!finding || typeof finding !== 'object') return;
+
+    const match = merged.find(a => a.entryId === finding.entryId && a.type === finding.type);
+    if (match) {
+      match.confirmedByLlm = true;
+      match.llmIssue = finding.issue;
+      return;
+    }
+
+    merged.push({
+      ...finding,
+      severity: SEVERITY_ORDER[finding.severity] === undefined ? 'low' : finding.severity,
+      source: 'llm',
+      entryIdFound: knownIds.has(finding.entryId)
+    });
+  });
+
+  return merged;
+}
+
+/**
+ * Identifies a record: its own id, else its file position, else its index in the category
+ * @param {Object} record - Financial record
+ * @param {string} category - Record category
+ * @param {number} index - Position within the category
+ * @returns {string} Entry id
+ */
+export function getEntryId(record, category, index) {
+  if (record.id !== undefined && record.id !== null && record.id !== '') return String(record.id);
+  if (record.sourceFile) {
+    const sheet = record.sourceSheet ? `#${record.sourceSheet}` : '';
+    return `${record.sourceFile}${sheet}:${record.sourceRow}`;
+  }
+  return `${category}[${index}]`;
+}
+
+function getCounterparty(record) {
+  const name = record.vendor || record.customer || record.counterparty || record.payee || record.payer;
+  return typeof name === 'string' && name.trim() ? name.trim() : null;
+}
+
+/**
+ * Finds entries repeating another entry's counterparty and amount: on the same
+ * date (exact duplicate) or within duplicateWindowDays (near duplicate)
+ * @param {Array} entries - Prepared entries
+ * @param {Object} settings - Detection settings
+ * @returns {Array} Duplicate anomalies
+ */
+function findDuplicates(entries, { duplicateWindowDays }) {
+  const groups = new Map();
+  entries
+    .filter(e => e.counterparty && !isNaN(e.time))
+    .forEach(e => {
+      const key = `${e.category}|${e.counterparty.toLowerCase()}|${e.amount.toFixed(2)}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(e);
+    });
+
+  const anomalies = [];
+  groups.forEach(group => {
+    group.sort((a, b) => a.time - b.time);
+    group.forEach((entry, i) => {
+      const earlier = group.slice(0, i).reverse().find(prev => entry.time - prev.time <= duplicateWindowDays * DAY_MS);
+      if (!earlier) return;
+
+      const daysApart = Math.round((entry.time - earlier.time) / DAY_MS);
+      const exact = daysApart === 0;
+      anomalies.push({
+        entryId: entry.entryId,
+        category: entry.category,
+        type: 'duplicate',
+        issue: exact
+          ? `Same counterparty, amount and date as ${earlier.entryId}`
+          : `Same counterparty and amount as ${earlier.entryId}, ${daysApart} days apart`,
+        severity: exact ? 'high' : 'medium',
+        evidence: {
+          matchedEntryId: earlier.entryId,
+          counterparty: entry.counterparty,
+          amount: entry.amount,
+          daysApart,
+          windowDays: duplicateWindowDays
+        },
+        source: 'statistical'
+      });
+    });
+  });
+
+  return anomalies;
+}
+
+/**
+ * Finds amounts far from their peers, grouped by expense/revenue category and
+ * by counterparty. Uses the robust z-score (median and MAD), or the IQR fences
+ * when more than half the group shares one amount.
+ * @param {Array} entries - Prepared entries
+ * @param {Object} settings - Detection settings
+ * @returns {Array} Outlier anomalies, one per entry with the evidence of each group
+ */
+function findOutliers(entries, { robustZThreshold, iqrMultiplier, minGroupSize }) {
+  const groups = new Map();
+  const addTo = (key, label, entry) => {
+    if (!groups.has(key)) groups.set(key, { label, entries: [] });
+    groups.get(key).entries.push(entry);
+  };
+  entries.forEach(e => {
+    if (typeof e.record.category === 'string' && e.record.category.trim()) {
+      addTo(`${e.category}|category|${e.record.category.toLowerCase()}`, { category: e.record.category }, e);
+    }
+    if (e.counterparty) {
+      addTo(`${e.category}|counterparty|${e.counterparty.toLowerCase()}`, { counterparty: e.counterparty }, e);
+    }
+  });
+
+  const byEntry = new Map();
+  groups.forEach(({ label, entries: members }) => {
+    if (members.length < minGroupSize) return;
+
+    const amounts = members.map(m => m.amount).sort((a, b) => a - b);
+    const median = quantile(amounts, 0.5);
+    const mad = quantile(amounts.map(a => Math.abs(a - median)).sort((a, b) => a - b), 0.5);
+    const q1 = quantile(amounts, 0.25);
+    const q3 = quantile(amounts, 0.75);
+    const iqr = q3 - q1;
+
+    members.forEach(member => {
+      let evidence;
+      if (mad > 0) {
+        const robustZ = 0.6745 * (member.amount - median) / mad;
+        if (Math.abs(robustZ) <= robustZThreshold) return;
+        evidence = { group: label, method: 'robust_z', robustZ: round(robustZ), median, mad: round(mad), groupSize: members.length };
+      } else if (iqr > 0) {
+        const lower = q1 - iqrMultiplier * iqr;
+        const upper = q3 + iqrMultiplier * iqr;
+        if (member.amount >= lower && member.amount <= upper) return;
+        evidence = { group: label, method: 'iqr', q1, q3, lower: round(lower), upper: round(upper), groupSize: members.length };
+      } else {
+        return;
+      }
+
+      if (!byEntry.has(member.entryId)) {
+        byEntry.set(member.entryId, { member, median, evidence: [] });
+      }
+      byEntry.get(member.entryId).evidence.push(evidence);
+    });
+  });
+
+  return [...byEntry.values()].map(({ member, median, evidence }) => {
+    const extreme = evidence.some(e => Math.abs(e.robustZ || 0) >= robustZThreshold * 2);
+    return {
+      entryId: member.entryId,
+      category: member.category,
+      type: 'outlier',
+      issue: `Amount ${member.amount} is ${member.amount > median ? 'far above' : 'far below'} comparable entries (median ${median})`,
+      severity: extreme || evidence.length > 1 ? 'high' : 'medium',
+      evidence,
+      source: 'statistical'
+    };
+  });
+}
+
+/**
+ * Finds months in which a counterparty's number of entries jumps or drops
+ * sharply against the mean of the preceding months
+ * @param {Array} entries - Prepared entries
+ * @param {Object} settings - Detection settings
+ * @returns {Array} Frequency-change anomalies
+ */
+function findFrequencyChanges(entries, { frequencyBaselineMonths, frequencyZThreshold }) {
+  const dated = entries.filter(e => e.counterparty && !isNaN(e.time));
+  if (dated.length === 0) return [];
+
+  const monthOf = e => new Date(e.time).toISOString().slice(0, 7);
+  const months = monthRange(dated.map(monthOf).sort());
+
+  const groups = new Map();
+  dated.forEach(e => {
+    const key = `${e.category}|${e.counterparty.toLowerCase()}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(e);
+  });
+
+  const anomalies = [];
+  groups.forEach(group => {
+    group.sort((a, b) => a.time - b.time);
+    const counts = months.map(month => group.filter(e => monthOf(e) === month));
+
+    for (let i = frequencyBaselineMonths; i < months.length; i++) {
+      const previous = counts.slice(i - frequencyBaselineMonths, i).map(c => c.length);
+      const baseline = previous.reduce((total, c) => total + c, 0) / previous.length;
+      const count = counts[i].length;
+      const z = (count - baseline) / Math.sqrt(Math.max(baseline, 1));
+      if (Math.abs(z) < frequencyZThreshold) continue;
+
+      const spike = z > 0;
+      const subject = spike ? counts[i][0] : group.filter(e => monthOf(e) < months[i]).pop();
+      anomalies.push({
+        entryId: subject.entryId,
+        category: subject.category,
+        type: 'frequency_change',
+        issue: `${subject.counterparty} had ${count} entries in ${months[i]} against an average of ${round(baseline)} over the previous ${frequencyBaselineMonths} months`,
+        severity: Math.abs(z) >= frequencyZThreshold * 2 ? 'high' : 'medium',
+        evidence: {
+          counterparty: subject.counterparty,
+          month: months[i],
+          count,
+          baseline: round(baseline),
+          z: round(z),
+          entryIds: counts[i].map(e => e.entryId)
+        },
+        source: 'statistical'
+      });
+    }
+  });
+
+  return anomalies;
+}
+
+function monthRange(sortedMonths) {
+  const months = [];
+  let [year, month] = sortedMonths[0].split('-').map(Number);
+  const last = sortedMonths[sortedMonths.length - 1];
+  for (;;) {
+    const current = `${year}-${String(month).padStart(2, '0')}`;
+    months.push(current);
+    if (current >= last) return months;
+    month = month === 12 ? 1 : month + 1;
+    if (month === 1) year++;
+  }
+}
+
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
\ No newline at end of file
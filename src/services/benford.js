@@ -0,0 +1,211 @@
+import { config } from '../config/index.js';
+import { getEntryId } from './anomalies.js';
+
+// Nigrini's mean absolute deviation thresholds: close, acceptable, marginal conformity
+const MAD_THRESHOLDS = {
+  firstDigit: [0.006, 0.012, 0.015],
+  firstTwoDigits: [0.0012, 0.0018, 0.0022],
+  lastDigit: [0.006, 0.012, 0.015]
+};
+
+// Chi-square critical values at the 5% significance level, by degrees of freedom
+const CHI_SQUARE_CRITICAL = { 8: 15.507, 9: 16.919, 89: 112.022 };
+
+const TESTS = {
+  firstDigit: {
+    digits: range(1, 9),
+    expected: d => Math.log10(1 + 1 / d),
+    extract: amount => Number(amount.toExponential()[0])
+  },
+  firstTwoDigits: {
+    digits: range(10, 99),
+    expected: d => Math.log10(1 + 1 / d),
+    extract: amount => {
+      const mantissa = amount.toExponential().split('e')[0].replace('.', '');
+      return Number(mantissa[0] + (mantissa[1] || '0'));
+    }
+  },
+  lastDigit: {
+    digits: range(0, 9),
+    expected: () => 0.1,
+    extract: amount => Math.floor(amount) % 10
+  }
+};
+
+/**
+ * Runs first-digit, first-two-digit and last-digit Benford tests on payments
+ * and expenses, overall and per category and vendor. Amounts are tested in
+ * their original currency; amounts below 10 are left out as they carry too few digits.
+ * @param {Object} data - Normalized financial data
+ * @param {Object} [options] - Overrides for config.benford
+ * @returns {Object} Test results with overall, byCategory and byVendor scores and topContributors
+ */
+export function runBenfordTests(data, options = {}) {
+  const settings = { ...config.benford, ...options };
+  const entries = [];
+
+  settings.categories.forEach(category => {
+    (data[category] || []).forEach((record, index) => {
+      const value = typeof record.originalAmount === 'number' ? record.originalAmount : record.amount;
+      if (typeof value !== 'number' || Math.abs(value) < 10) return;
+      entries.push({
+        entryId: getEntryId(record, category, index),
+        category,
+        expenseCategory: typeof record.category === 'string' ? record.category : null,
+        vendor: record.vendor || record.counterparty || record.payee || null,
+        amount: Math.abs(value)
+      });
+    });
+  });
+
+  const overall = testGroup(entries, true);
+
+  return {
+    recordCount: entries.length,
+    sufficientData: entries.length >= settings.minRecords,
+    overall,
+    byCategory: testGroups(entries, e => e.expenseCategory || e.category, settings),
+    byVendor: testGroups(entries, e => e.vendor, settings),
+    topContributors: findTopContributors(entries, overall.firstTwoDigits, settings.topContributors)
+  };
+}
+
+/**
+ * Runs the three digit tests on one group of entries
+ * @param {Array} entries - Entries with amounts
+ * @param {boolean} withDistribution - Include the per-digit distribution
+ * @returns {Object} Results keyed by test name
+ */
+function testGroup(entries, withDistribution) {
+  const results = {};
+  Object.entries(TESTS).forEach(([name, test]) => {
+    const counts = {};
+    test.digits.forEach(d => { counts[d] = 0; });
+    entries.forEach(e => { counts[test.extract(e.amount)]++; });
+
+    const n = entries.length;
+    let chiSquare = 0;
+    let deviation = 0;
+    const distribution = test.digits.map(digit => {
+      const expected = test.expected(digit);
+      const observed = n > 0 ? counts[digit] / n : 0;
+      const expectedCount = expected * n;
+      if (expectedCount > 0) chiSquare += (counts[digit] - expectedCount) ** 2 / expectedCount;
+      deviation += Math.abs(observed - expected);
+      return {
+        digit,
+        expected: round(expected, 4),
+        observed: round(observed, 4),
+        count: counts[digit],
+        expectedCount: round(expectedCount, 2)
+      };
+    });
+
+    const degreesOfFreedom = test.digits.length - 1;
+    const mad = n > 0 ? deviation / test.digits.length : null;
+    results[name] = {
+      n,
+      chiSquare: round(chiSquare, 3),
+      degreesOfFreedom,
+      chiSquareCritical: CHI_SQUARE_CRITICAL[degreesOfFreedom],
+      significant: chiSquare > CHI_SQUARE_CRITICAL[degreesOfFreedom],
+      mad: mad === null ? null : round(mad, 5),
+      conformity: mad === null ? null : classifyMad(mad, MAD_THRESHOLDS[name])
+    };
+    if (withDistribution) results[name].distribution = distribution;
+  });
+  return results;
+}
+
+/**
+ * Tests each group with enough records; smaller groups are only counted
+ * @param {Array} entries - Entries with amounts
+ * @param {Function} keyOf - Group key for an entry
+ * @param {Object} settings - Benford settings
+ * @returns {Object} Results per group name plus the number of groups skipped
+ */
+function testGroups(entries, keyOf, settings) {
+  const groups = new Map();
+  entries.forEach(e => {
+    const key = keyOf(e);
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(e);
+  });
+
+  const results = {};
+  let skipped = 0;
+  groups.forEach((members, key) => {
+    if (members.length < settings.minGroupRecords) {
+      skipped++;
+      return;
+    }
+    results[key] = testGroup(members, false);
+  });
+
+  return { groups: results, skippedGroups: skipped, minGroupRecords: settings.minGroupRecords };
+}
+
+/**
+ * Lists records in the over-represented first-two-digit bins, ranked by each
+ * bin's contribution to the chi-square statistic, then by how much of the
+ * record's vendor falls in that bin, then by amount
+ * @param {Array} entries - Entries with amounts
+ * @param {Object} firstTwoDigits - Overall first-two-digit result with distribution
+ * @param {number} limit - Maximum number of records
+ * @returns {Array} Contributing records
+ */
+function findTopContributors(entries, firstTwoDigits, limit) {
+  const excessBins = new Map();
+  firstTwoDigits.distribution.forEach(bin => {
+    if (bin.count > bin.expectedCount && bin.expectedCount > 0) {
+      excessBins.set(bin.digit, {
+        excess: round(bin.count - bin.expectedCount, 2),
+        contribution: round((bin.count - bin.expectedCount) ** 2 / bin.expectedCount, 3)
+      });
+    }
+  });
+
+  const withDigits = entries.map(e => ({ ...e, digits: TESTS.firstTwoDigits.extract(e.amount) }));
+  const vendorTotals = new Map();
+  const vendorBins = new Map();
+  withDigits.forEach(e => {
+    vendorTotals.set(e.vendor, (vendorTotals.get(e.vendor) || 0) + 1);
+    const key = `${e.vendor}|${e.digits}`;
+    vendorBins.set(key, (vendorBins.get(key) || 0) + 1);
+  });
+  const vendorShare = e => vendorBins.get(`${e.vendor}|${e.digits}`) / vendorTotals.get(e.vendor);
+
+  return withDigits
+    .filter(e => excessBins.has(e.digits))
+    .sort((a, b) => excessBins.get(b.digits).contribution - excessBins.get(a.digits).contribution ||
+      vendorShare(b) - vendorShare(a) ||
+      b.amount - a.amount)
+    .slice(0, limit)
+    .map(e => ({
+      entryId: e.entryId,
+      category: e.category,
+      vendor: e.vendor,
+      amount: e.amount,
+      firstTwoDigits: e.digits,
+      binExcess: excessBins.get(e.digits).excess,
+      chiSquareContribution: excessBins.get(e.digits).contribution,
+      vendorShareOfBin: round(vendorShare(e), 3)
+    }));
+}
+
+function classifyMad(mad, [close, acceptable, marginal]) {
+  if (mad <= close) return 'close';
+  if (mad <= acceptable) return 'acceptable';
+  if (mad <= marginal) return 'marginal';
+  return 'nonconformity';
+}
+
+function range(from, to) {
+  return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
\ No newline at end of file
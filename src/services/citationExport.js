@@ -0,0 +1,218 @@
+export const CITATION_FORMATS = {
+  bibtex: { contentType: 'application/x-bibtex; charset=utf-8', extension: 'bib' },
+  ris: { contentType: 'application/x-research-info-systems; charset=utf-8', extension: 'ris' },
+  'csl-json': { contentType: 'application/vnd.citationstyles.csl+json; charset=utf-8', extension: 'json' }
+};
+
+// The compliance report can also be exported whole, with its reference list
+export const COMPLIANCE_EXPORT_FORMATS = {
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  ...CITATION_FORMATS
+};
+
+// Semantic Scholar fields behind a citation; searches ask for them only when exporting
+export const CITATION_FIELDS = 'title,abstract,url,authors,year,venue,journal,externalIds,publicationDate,publicationTypes';
+
+const BIBTEX_SPECIAL = /[&%$#_{}]/g;
+
+/**
+ * Normalizes Semantic Scholar papers into citations, with a BibTeX key
+ * (first author's family name, year and first title word) unique within the list
+ * @param {Array} papers - Papers as returned for CITATION_FIELDS
+ * @returns {Array} Citations ({ key, id, type, title, authors ({ given, family }), year,
+ *   venue, volume, pages, doi, url, abstract })
+ */
+export function toCitations(papers) {
+  const keys = new Map();
+
+  return papers.map(paper => {
+    const authors = (paper.authors || []).map(author => splitName(author.name || ''));
+    const year = paper.year ?? (paper.publicationDate ? parseInt(paper.publicationDate.slice(0, 4)) : null);
+    const venue = paper.journal?.name || paper.venue || null;
+    const types = paper.publicationTypes || [];
+    const type = types.includes('Conference') ? 'conference' : (paper.journal?.name || types.includes('JournalArticle') ? 'journal' : 'other');
+
+    const titleWord = (paper.title || '').toLowerCase().match(/[a-z]{4,}/)?.[0] || 'paper';
+    const base = `${(authors[0]?.family || 'anon').toLowerCase().replace(/[^a-z]/g, '') || 'anon'}${year || ''}${titleWord}`;
+    const count = keys.get(base) || 0;
+    keys.set(base, count + 1);
+
+    return {
+      key: count === 0 ? base : `${base}${String.fromCharCode(97 + ((count - 1) % 26))}`,
+      id: paper.paperId,
+      type,
+      title: paper.title || '',
+      authors,
+      year,
+      venue,
+      volume: paper.journal?.volume?.trim() || null,
+      pages: paper.journal?.pages?.replace(/\s/g, '') || null,
+      doi: paper.externalIds?.DOI || null,
+      url: paper.url || null,
+      abstract: paper.abstract || null
+    };
+  });
+}
+
+/**
+ * Renders papers as a citation file
+ * @param {Array} papers - Papers as returned for CITATION_FIELDS
+ * @param {string} format - bibtex, ris or csl-json
+ * @param {string} name - File name, without extension
+ * @returns {Object} Object with content, contentType and filename
+ */
+export function exportCitations(papers, format, name) {
+  const settings = CITATION_FORMATS[format];
+  if (!settings) {
+    throw new Error(`Unknown citation format "${format}". Allowed: ${Object.keys(CITATION_FORMATS).join(', ')}`);
+  }
+
+  const renderers = { bibtex: renderBibtex, ris: renderRis, 'csl-json': renderCslJson };
+  return {
+    content: renderers[format](toCitations(papers)),
+    contentType: settings.contentType,
+    filename: `${slugify(name)}.${settings.extension}`
+  };
+}
+
+/**
+ * Exports a compliance research report: as Markdown with a numbered reference
+ * list appended, or its papers alone as a citation file
+ * @param {Object} research - Result of researchCompliance ({ topic, papers, report })
+ * @param {string} format - markdown, bibtex, ris or csl-json
+ * @returns {Object} Object with content, contentType and filename
+ */
+export function exportComplianceReport(research, format) {
+  const settings = COMPLIANCE_EXPORT_FORMATS[format];
+  if (!settings) {
+    throw new Error(`Unknown export format "${format}". Allowed: ${Object.keys(COMPLIANCE_EXPORT_FORMATS).join(', ')}`);
+  }
+
+  const name = `compliance-${research.topic}`;
+  if (format !== 'markdown') {
+    return exportCitations(research.papers, format, name);
+  }
+
+  const references = formatReferenceList(toCitations(research.papers)).map((reference, i) => `${i + 1}. ${reference}`);
+  return {
+    content: `${research.report.trimEnd()}\n\n## References\n\n${references.join('\n')}\n`,
+    contentType: settings.contentType,
+    filename: `${slugify(name)}.${settings.extension}`
+  };
+}
+
+/**
+ * Formats citations as reference list entries in an author-date style:
+ * Family, G., & Family, G. (Year). Title. Venue, volume, pages. DOI or URL
+ * @param {Array} citations - Citations from toCitations
+ * @returns {Array<string>} One Markdown entry per citation
+ */
+export function formatReferenceList(citations) {
+  return citations.map(citation => {
+    const names = citation.authors.map(({ given, family }) => (given
+      ? `${family}, ${given.split(/[\s-]+/).map(part => `${part[0]}.`).join(' ')}`
+      : family));
+    const authors = names.length > 1 ? `${names.slice(0, -1).join(', ')}, & ${names[names.length - 1]}` : names[0] || 'Anonymous';
+    const source = [
+      citation.venue && `*${citation.venue}*`,
+      citation.volume,
+      citation.pages
+    ].filter(Boolean).join(', ');
+    const link = citation.doi ? `https://doi.org/${citation.doi}` : citation.url;
+
+    return [
+      `${authors} (${citation.year || 'n.d.'}).`,
+      `${citation.title.replace(/\.$/, '')}.`,
+      source && `${source}.`,
+      link
+    ].filter(Boolean).join(' ');
+  });
+}
+
+function renderBibtex(citations) {
+  const escape = value => String(value).replace(BIBTEX_SPECIAL, match => `\\${match}`);
+  const entryTypes = { journal: 'article', conference: 'inproceedings', other: 'misc' };
+  const venueFields = { journal: 'journal', conference: 'booktitle', other: 'howpublished' };
+
+  return citations.map(citation => {
+    const fields = [
+      // Double braces keep the title's capitalization
+      ['title', `{${escape(citation.title)}}`],
+      ['author', citation.authors.map(({ given, family }) => escape(given ? `${family}, ${given}` : family)).join(' and ')],
+      ['year', citation.year],
+      [venueFields[citation.type], citation.venue && escape(citation.venue)],
+      ['volume', citation.volume && escape(citation.volume)],
+      ['pages', citation.pages && citation.pages.replace(/-+/, '--')],
+      ['doi', citation.doi && escape(citation.doi)],
+      ['url', citation.url]
+    ].filter(([, value]) => value);
+
+    return `@${entryTypes[citation.type]}{${citation.key},\n${fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n')}\n}`;
+  }).join('\n\n') + '\n';
+}
+
+function renderRis(citations) {
+  const referenceTypes = { journal: 'JOUR', conference: 'CPAPER', other: 'GEN' };
+
+  return citations.map(citation => {
+    const [startPage, endPage] = (citation.pages || '').split(/-+/);
+    const tags = [
+      ['TY', referenceTypes[citation.type]],
+      ['ID', citation.key],
+      ['TI', citation.title],
+      ...citation.authors.map(({ given, family }) => ['AU', given ? `${family}, ${given}` : family]),
+      ['PY', citation.year],
+      ['T2', citation.venue],
+      ['VL', citation.volume],
+      ['SP', startPage],
+      ['EP', endPage],
+      ['DO', citation.doi],
+      ['UR', citation.url],
+      ['AB', citation.abstract?.replace(/\s+/g, ' ')]
+    ].filter(([, value]) => value);
+
+    return [...tags, ['ER', '']].map(([tag, value]) => `${tag}  - ${value}`.trimEnd()).join('\r\n');
+  }).join('\r\n\r\n') + '\r\n';
+}
+
+function renderCslJson(citations) {
+  const itemTypes = { journal: 'article-journal', conference: 'paper-conference', other: 'article' };
+
+  const items = citations.map(citation => {
+    const item = {
+      id: citation.key,
+      type: itemTypes[citation.type],
+      title: citation.title,
+      author: citation.authors.map(({ given, family }) => (given ? { family, given } : { literal: family }))
+    };
+    if (citation.year) item.issued = { 'date-parts': [[citation.year]] };
+    if (citation.venue) item['container-title'] = citation.venue;
+    if (citation.volume) item.volume = citation.volume;
+    if (citation.pages) item.page = citation.pages;
+    if (citation.doi) item.DOI = citation.doi;
+    if (citation.url) item.URL = citation.url;
+    if (citation.abstract) item.abstract = citation.abstract;
+    return item;
+  });
+
+  return JSON.stringify(items, null, 2);
+}
+
+/**
+ * Splits a display name into given names and family name; the family name
+ * is the last word, along with particles such as "van" or "de" before it
+ * @param {string} name - Author name as Semantic Scholar lists it
+ * @returns {Object} Object with given and family
+ */
+function splitName(name) {
+  const words = name.trim().split(/\s+/).filter(Boolean);
+  if (words.length <= 1) return { given: '', family: words[0] || '' };
+
+  let start = words.length - 1;
+  while (start > 1 && /^(van|von|der|den|de|del|della|da|di|du|la|le)$/i.test(words[start - 1])) start--;
+  return { given: words.slice(0, start).join(' '), family: words.slice(start).join(' ') };
+}
+
+function slugify(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'papers';
+}
\ No newline at end of file
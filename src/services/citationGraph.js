@@ -0,0 +1,189 @@
+import { config } from '../config/index.js';
+import { s2Get } from './semanticScholar.js';
+import { logger } from '../utils/logger.js';
+
+export const GRAPH_DIRECTIONS = ['references', 'citations', 'both'];
+
+const PAPER_FIELDS = 'paperId,title,year,citationCount,url,authors';
+
+/**
+ * Gets the papers a paper cites
+ * @param {string} paperId - Semantic Scholar paper id, or a prefixed id such as DOI:10.1000/xyz
+ * @param {Object} [options] - Page options
+ * @param {number} [options.limit] - Number of references
+ * @param {number} [options.offset] - References to skip
+ * @returns {Promise<Object>} Object with papers, next (offset of the next page, if any) and cache
+ */
+export async function getReferences(paperId, { limit = config.citationGraph.perPaperLimit, offset = 0 } = {}) {
+  const { data, cache } = await s2Get(`/paper/${encodeURIComponent(paperId)}/references`, { fields: PAPER_FIELDS, limit, offset });
+  return { papers: toPapers(data.data, 'citedPaper'), next: data.next ?? null, cache };
+}
+
+/**
+ * Gets the papers that cite a paper
+ * @param {string} paperId - Semantic Scholar paper id, or a prefixed id such as DOI:10.1000/xyz
+ * @param {Object} [options] - Page options
+ * @param {number} [options.limit] - Number of citations
+ * @param {number} [options.offset] - Citations to skip
+ * @returns {Promise<Object>} Object with papers, next (offset of the next page, if any) and cache
+ */
+export async function getCitations(paperId, { limit = config.citationGraph.perPaperLimit, offset = 0 } = {}) {
+  const { data, cache } = await s2Get(`/paper/${encodeURIComponent(paperId)}/citations`, { fields: PAPER_FIELDS, limit, offset });
+  return { papers: toPapers(data.data, 'citingPaper'), next: data.next ?? null, cache };
+}
+
+/**
+ * Builds the citation graph around a seed paper, or the top search results
+ * for a query, by following references and/or citations hop by hop. The graph
+ * stops growing at maxNodes; papers already in it are still linked.
+ * @param {Object} options - Graph options
+ * @param {string} [options.paperId] - Seed paper
+ * @param {string} [options.query] - Search query whose top results are the seeds
+ * @param {number} [options.depth] - Hops from the seeds
+ * @param {number} [options.maxNodes] - Node limit
+ * @param {string} [options.direction] - references, citations or both
+ * @returns {Promise<Object>} Graph with nodes ({ id, label, ..., hop, seed, inDegree, outDegree, pagerank, rank }),
+ *   edges ({ source, target }, citing paper to cited paper), seeds and stats
+ */
+export async function buildCitationGraph({
+  paperId,
+  query,
+  depth = config.citationGraph.defaultDepth,
+  maxNodes = config.citationGraph.defaultMaxNodes,
+  direction = 'both'
+}) {
+  const nodes = new Map();
+  const edges = new Map();
+  const stats = { requests: 0, cacheHits: 0, truncated: false };
+  const track = result => {
+    stats.requests++;
+    if (result.cache.hit || result.cache.coalesced) stats.cacheHits++;
+    return result;
+  };
+
+  const addNode = (paper, hop) => {
+    if (nodes.has(paper.paperId)) return true;
+    if (nodes.size >= maxNodes) {
+      stats.truncated = true;
+      return false;
+    }
+    nodes.set(paper.paperId, { ...paper, hop, seed: hop === 0 });
+    return true;
+  };
+  const addEdge = (source, target) => {
+    if (source !== target) edges.set(`${source}>${target}`, { source, target });
+  };
+
+  let seeds;
+  if (paperId) {
+    const { data } = track(await s2Get(`/paper/${encodeURIComponent(paperId)}`, { fields: PAPER_FIELDS }));
+    seeds = toPapers([data]);
+  } else {
+    const { data } = track(await s2Get('/paper/search', { query, limit: config.citationGraph.seedCount, fields: PAPER_FIELDS }));
+    seeds = toPapers(data.data);
+  }
+  seeds.forEach(paper => addNode(paper, 0));
+
+  let frontier = [...nodes.keys()];
+  for (let hop = 1; hop <= depth && frontier.length > 0; hop++) {
+    const next = [];
+    for (const id of frontier) {
+      if (direction !== 'citations') {
+        const { papers } = track(await getReferences(id));
+        papers.forEach(paper => {
+          const isNew = !nodes.has(paper.paperId);
+          if (!addNode(paper, hop)) return;
+          addEdge(id, paper.paperId);
+          if (isNew) next.push(paper.paperId);
+        });
+      }
+      if (direction !== 'references') {
+        const { papers } = track(await getCitations(id));
+        papers.forEach(paper => {
+          const isNew = !nodes.has(paper.paperId);
+          if (!addNode(paper, hop)) return;
+          addEdge(paper.paperId, id);
+          if (isNew) next.push(paper.paperId);
+        });
+      }
+    }
+    frontier = next;
+  }
+
+  const graph = rankByCentrality([...nodes.values()], [...edges.values()]);
+  logger.info('Built citation graph', { seeds: seeds.length, nodes: graph.nodes.length, edges: graph.edges.length, ...stats });
+
+  return {
+    ...graph,
+    seeds: seeds.map(paper => paper.paperId),
+    stats: { ...stats, nodes: graph.nodes.length, edges: graph.edges.length, depth, direction }
+  };
+}
+
+/**
+ * Ranks the papers of a citation graph by PageRank, so that papers cited by
+ * well-cited papers rank highest, and adds each paper's degree within the graph
+ * @param {Array} papers - Graph nodes (with id as paperId)
+ * @param {Array} edges - Citation edges ({ source, target }, citing to cited)
+ * @param {Object} [options] - Overrides for the damping factor and iteration limits
+ * @returns {Object} Object with nodes sorted by rank and edges
+ */
+export function rankByCentrality(papers, edges, { damping = config.citationGraph.damping, iterations = 100, tolerance = 1e-9 } = {}) {
+  const ids = papers.map(paper => paper.paperId);
+  const index = new Map(ids.map((id, i) => [id, i]));
+  const count = ids.length;
+  const outLinks = ids.map(() => []);
+  const inDegree = ids.map(() => 0);
+  edges.forEach(({ source, target }) => {
+    outLinks[index.get(source)].push(index.get(target));
+    inDegree[index.get(target)]++;
+  });
+
+  let scores = ids.map(() => 1 / count);
+  for (let i = 0; i < iterations; i++) {
+    // Papers that cite nothing in the graph spread their score over all papers
+    const dangling = outLinks.reduce((total, links, n) => total + (links.length === 0 ? scores[n] : 0), 0);
+    const next = ids.map(() => (1 - damping) / count + damping * dangling / count);
+    outLinks.forEach((links, n) => links.forEach(target => {
+      next[target] += damping * scores[n] / links.length;
+    }));
+    const change = next.reduce((total, score, n) => total + Math.abs(score - scores[n]), 0);
+    scores = next;
+    if (change < tolerance) break;
+  }
+
+  const nodes = papers
+    .map((paper, n) => ({
+      id: paper.paperId,
+      label: paper.title,
+      ...paper,
+      inDegree: inDegree[n],
+      outDegree: outLinks[n].length,
+      pagerank: Math.round(scores[n] * 1e6) / 1e6
+    }))
+    .sort((a, b) => b.pagerank - a.pagerank || (b.citationCount || 0) - (a.citationCount || 0))
+    .map((node, rank) => ({ ...node, rank: rank + 1 }));
+
+  return { nodes, edges };
+}
+
+/**
+ * Normalizes Semantic Scholar paper records, skipping those without an id
+ * (references to works Semantic Scholar could not resolve)
+ * @param {Array} items - Papers, or reference/citation records wrapping them
+ * @param {string} [field] - Field holding the paper: citedPaper or citingPaper
+ * @returns {Array} Papers ({ paperId, title, year, citationCount, url, authors })
+ */
+function toPapers(items, field) {
+  return (items || [])
+    .map(item => (field ? item?.[field] : item))
+    .filter(paper => paper?.paperId)
+    .map(paper => ({
+      paperId: paper.paperId,
+      title: paper.title || '',
+      year: paper.year ?? null,
+      citationCount: paper.citationCount ?? null,
+      url: paper.url || null,
+      authors: (paper.authors || []).map(author => author.name)
+    }));
+}
\ No newline at end of file
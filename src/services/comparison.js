@@ -0,0 +1,200 @@
+import { getCashMovements } from './kpis.js';
+import { summarizeFinancialData } from './mapReduce.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_FORECAST_MONTH = 30;
+
+/**
+ * Compares two periods: KPI changes, spend by category and vendor, how well
+ * the previous period's forecast predicted the cash movements now in the
+ * current data, and which anomalies are new or resolved
+ * @param {Object} previous - Earlier period ({ data, kpis, forecast, anomalies })
+ * @param {Object} current - Later period, in the same form
+ * @returns {Object} Comparison with periods, kpis, spend, forecastAccuracy and anomalies
+ * @throws {Error} With code CURRENCY_MISMATCH when the periods are in different currencies
+ */
+export function comparePeriods(previous, current) {
+  const currencies = [previous.kpis.currency, current.kpis.currency];
+  if (currencies.every(Boolean) && currencies[0] !== currencies[1]) {
+    const error = new Error(`The periods are in different currencies (${currencies.join(' and ')}); compare them in the same reporting currency`);
+    error.code = 'CURRENCY_MISMATCH';
+    throw error;
+  }
+
+  return {
+    periods: {
+      previous: previous.kpis.period,
+      current: current.kpis.period
+    },
+    currency: current.kpis.currency || previous.kpis.currency,
+    kpis: compareKpis(previous.kpis.kpis, current.kpis.kpis),
+    spend: compareSpend(previous.data, current.data),
+    forecastAccuracy: measureForecastAccuracy(previous.forecast, current.data),
+    anomalies: compareAnomalies(previous.anomalies, current.anomalies)
+  };
+}
+
+/**
+ * Computes the change of each KPI; a KPI missing on either side has no change
+ * @param {Object} previous - KPI values of the earlier period
+ * @param {Object} current - KPI values of the later period
+ * @returns {Object} { previous, current, change, changePercent } per KPI
+ */
+export function compareKpis(previous, current) {
+  const names = [...new Set([...Object.keys(previous), ...Object.keys(current)])];
+  return Object.fromEntries(names.map(name => [name, delta(previous[name], current[name])]));
+}
+
+/**
+ * Compares expenses by category and by vendor, largest change first
+ * @param {Object} previousData - Normalized financial data of the earlier period
+ * @param {Object} currentData - Normalized financial data of the later period
+ * @returns {Object} Object with total, byCategory and byVendor ({ name, previous, current, change, changePercent, status })
+ */
+export function compareSpend(previousData, currentData) {
+  const all = { topCounterparties: Infinity };
+  const before = summarizeFinancialData(previousData, all);
+  const after = summarizeFinancialData(currentData, all);
+
+  return {
+    total: delta(before.totals.expenses.amount, after.totals.expenses.amount),
+    byCategory: compareGroups(before.expensesByCategory, after.expensesByCategory),
+    byVendor: compareGroups(before.topVendors, after.topVendors)
+  };
+}
+
+/**
+ * Checks the previous period's forecast against the actual cash movements of
+ * the current data. Only forecast months the current data covers to their last day are compared.
+ * @param {Object} forecast - Forecast of the earlier period, from forecastCashFlow
+ * @param {Object} currentData - Normalized financial data of the later period
+ * @returns {Object} Object with months (forecast, actual, error, withinBand per stream) and a summary
+ */
+export function measureForecastAccuracy(forecast, currentData) {
+  const movements = getCashMovements(currentData);
+  const dated = flows => flows.filter(m => typeof m.date === 'string' && !isNaN(Date.parse(m.date)));
+  const inflows = dated(movements.inflows);
+  const outflows = dated(movements.outflows);
+  const dates = [...inflows, ...outflows].map(m => Date.parse(m.date));
+  const actualsEnd = dates.length > 0 ? Math.max(...dates) : -Infinity;
+
+  const sumWithin = (flows, start, end) => round(flows
+    .filter(m => Date.parse(m.date) >= start && Date.parse(m.date) < end)
+    .reduce((total, m) => total + m.amount, 0));
+
+  const months = [];
+  Object.entries(forecast?.cashFlowForecast || {}).forEach(([month, predicted], i) => {
+    const start = Date.parse(forecast.startDate) + i * DAYS_PER_FORECAST_MONTH * DAY_MS;
+    const end = start + DAYS_PER_FORECAST_MONTH * DAY_MS;
+    if (end - DAY_MS > actualsEnd) return;
+
+    const actual = { inflow: sumWithin(inflows, start, end), outflow: sumWithin(outflows, start, end) };
+    const stream = field => ({
+      forecast: predicted[field],
+      actual: actual[field],
+      error: round(actual[field] - predicted[field]),
+      percentError: actual[field] !== 0 ? round((actual[field] - predicted[field]) / actual[field], 4) : null,
+      withinBand: actual[field] >= predicted.confidenceBands[field].lower && actual[field] <= predicted.confidenceBands[field].upper
+    });
+
+    months.push({
+      month,
+      start: toIsoDate(start),
+      end: toIsoDate(end - DAY_MS),
+      inflow: stream('inflow'),
+      outflow: stream('outflow'),
+      netFlow: {
+        forecast: predicted.netFlow,
+        actual: round(actual.inflow - actual.outflow),
+        error: round(actual.inflow - actual.outflow - predicted.netFlow)
+      }
+    });
+  });
+
+  const streams = months.flatMap(m => [m.inflow, m.outflow]);
+  const meanAbsolutePercentageError = field => {
+    const errors = months.map(m => m[field].percentError).filter(e => e !== null);
+    return errors.length > 0 ? round(errors.reduce((total, e) => total + Math.abs(e), 0) / errors.length, 4) : null;
+  };
+
+  return {
+    startDate: forecast?.startDate || null,
+    confidenceLevel: forecast?.confidenceLevel ?? null,
+    actualsSource: movements.source,
+    months,
+    summary: {
+      monthsCompared: months.length,
+      meanAbsolutePercentageError: {
+        inflow: meanAbsolutePercentageError('inflow'),
+        outflow: meanAbsolutePercentageError('outflow')
+      },
+      bandCoverage: streams.length > 0 ? round(streams.filter(s => s.withinBand).length / streams.length, 4) : null
+    },
+    ...(months.length === 0 && {
+      note: 'The current data does not cover a full month of the previous forecast'
+    })
+  };
+}
+
+/**
+ * Splits anomalies into new (only in the current period), resolved (only in
+ * the previous one) and persisting, matched by entry and type
+ * @param {Array} previous - Anomalies of the earlier period
+ * @param {Array} current - Anomalies of the later period
+ * @returns {Object} Object with new, resolved, persisting and counts
+ */
+export function compareAnomalies(previous = [], current = []) {
+  const key = anomaly => `${anomaly.entryId}|${anomaly.type}`;
+  const previousKeys = new Set(previous.map(key));
+  const currentKeys = new Set(current.map(key));
+
+  const added = current.filter(a => !previousKeys.has(key(a)));
+  const resolved = previous.filter(a => !currentKeys.has(key(a)));
+  const persisting = current.filter(a => previousKeys.has(key(a)));
+
+  return {
+    new: added,
+    resolved,
+    persisting,
+    counts: {
+      previous: previous.length,
+      current: current.length,
+      new: added.length,
+      resolved: resolved.length,
+      persisting: persisting.length
+    }
+  };
+}
+
+function compareGroups(previous, current) {
+  const names = [...new Set([...previous.map(g => g.name), ...current.map(g => g.name)])];
+  const amountOf = (groups, name) => groups.find(g => g.name === name)?.amount || 0;
+
+  return names
+    .map(name => {
+      const before = amountOf(previous, name);
+      const after = amountOf(current, name);
+      const status = before === 0 ? 'new' : after === 0 ? 'dropped' : 'continuing';
+      return { name, ...delta(before, after), status };
+    })
+    .sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+}
+
+function delta(previous, current) {
+  const known = typeof previous === 'number' && typeof current === 'number';
+  return {
+    previous: previous ?? null,
+    current: current ?? null,
+    change: known ? round(current - previous, 4) : null,
+    changePercent: known && previous !== 0 ? round((current - previous) / Math.abs(previous), 4) : null
+  };
+}
+
+function toIsoDate(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
\ No newline at end of file
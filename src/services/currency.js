@@ -0,0 +1,229 @@
+import fs from 'fs';
+import { parse } from 'csv-parse/sync';
+import { config } from '../config/index.js';
+import { parseDate } from '../utils/localeParsing.js';
+import { logger } from '../utils/logger.js';
+
+const CATEGORIES = ['invoices', 'expenses', 'payments', 'balances'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields holding a record's pre-conversion values
+const ORIGINAL_FIELDS = {
+  amount: 'originalAmount',
+  balance: 'originalBalance'
+};
+
+// Rate table cache, reloaded when the file changes
+let cachedTable = null;
+let cachedMtime = null;
+
+/**
+ * Parses an FX rate table. Each row gives the value of one unit of a currency
+ * in the table's base currency on a date. CSV needs date, currency and rate
+ * columns; JSON is either an array of such rows or { base, rates: [...] }.
+ * @param {string} content - Rate table file contents
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Object} Rate table with base currency and per-currency rates sorted by date
+ */
+export function parseRateTable(content, format) {
+  let base = config.currency.rateBase;
+  let rows;
+
+  if (format === 'json') {
+    const parsed = JSON.parse(content);
+    rows = Array.isArray(parsed) ? parsed : parsed.rates || [];
+    base = parsed.base || base;
+  } else {
+    rows = parse(content, { columns: true, skip_empty_lines: true, trim: true });
+  }
+
+  const rates = {};
+  rows.forEach(row => {
+    const currency = String(row.currency || '').trim().toUpperCase();
+    const date = parseDate(String(row.date || ''), { dateOrder: 'YMD' });
+    const rate = parseFloat(row.rate);
+    if (!currency || !date || !(rate > 0)) return;
+
+    rates[currency] = rates[currency] || [];
+    rates[currency].push({ date, rate });
+  });
+
+  Object.values(rates).forEach(entries => entries.sort((a, b) => a.date.localeCompare(b.date)));
+  return { base: base.toUpperCase(), rates };
+}
+
+/**
+ * Loads the configured FX rate table, or null when no table has been supplied
+ * @param {string} [filePath] - Rate table path (.csv or .json)
+ * @returns {Object|null} Rate table
+ */
+export function loadRateTable(filePath = config.currency.ratesPath) {
+  let stats;
+  try {
+    stats = fs.statSync(filePath);
+  } catch {
+    return null;
+  }
+
+  if (cachedTable && cachedMtime === stats.mtimeMs && cachedTable.path === filePath) {
+    return cachedTable;
+  }
+
+  try {
+    const format = filePath.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+    cachedTable = { ...parseRateTable(fs.readFileSync(filePath, 'utf8'), format), path: filePath };
+    cachedMtime = stats.mtimeMs;
+    logger.info('Loaded FX rate table', { path: filePath, currencies: Object.keys(cachedTable.rates).length });
+    return cachedTable;
+  } catch (error) {
+    logger.error('Failed to load FX rate table:', error);
+    throw new Error(`Invalid FX rate table: ${error.message}`);
+  }
+}
+
+/**
+ * Finds the rate for a currency on a date: the latest rate on or before the
+ * date, provided it is no older than config.currency.maxRateAgeDays
+ * @param {Object} table - Rate table
+ * @param {string} currency - ISO currency code
+ * @param {string} date - ISO date
+ * @returns {Object|null} { rate, date } in the table's base currency, or null if missing
+ */
+export function findRate(table, currency, date) {
+  if (currency === table.base) return { rate: 1, date };
+
+  const entries = table.rates[currency];
+  if (!entries || !date) return null;
+
+  let low = 0;
+  let high = entries.length - 1;
+  let found = null;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (entries[mid].date <= date) {
+      found = entries[mid];
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  if (!found) return null;
+  const age = (Date.parse(date) - Date.parse(found.date)) / DAY_MS;
+  return age <= config.currency.maxRateAgeDays ? found : null;
+}
+
+/**
+ * Creates a converter that restates record amounts in a reporting currency,
+ * keeping the original amount and currency alongside the converted ones
+ * @param {Object} [options] - Conversion options
+ * @param {string} [options.reportingCurrency] - Target ISO currency code
+ * @param {string} [options.defaultCurrency] - Currency of records that do not state one
+ * @param {Object|null} [options.rateTable] - Rate table (defaults to the configured table)
+ * @returns {Object} Converter with convertRecord(record) and getSummary()
+ */
+export function createCurrencyConverter({
+  reportingCurrency = config.currency.reportingCurrency,
+  defaultCurrency,
+  rateTable = loadRateTable()
+} = {}) {
+  const target = reportingCurrency.toUpperCase();
+  const fallback = (defaultCurrency || target).toUpperCase();
+  const currencies = new Set();
+  const missing = new Map();
+  let converted = 0;
+
+  const convertRecord = record => {
+    const source = stripConversion(record);
+    const currency = String(source.currency || fallback).toUpperCase();
+    const fields = Object.keys(ORIGINAL_FIELDS).filter(field => typeof source[field] === 'number');
+    currencies.add(currency);
+
+    if (fields.length === 0) return record;
+    if (currency === target) {
+      return { ...source, currency: target };
+    }
+
+    const from = rateTable && findRate(rateTable, currency, source.date);
+    const to = rateTable && findRate(rateTable, target, source.date);
+    if (!from || !to) {
+      const key = `${currency}|${source.date || 'undated'}`;
+      missing.set(key, { currency, date: source.date || null, records: (missing.get(key)?.records || 0) + 1 });
+      return { ...source, currency, fxRateMissing: true };
+    }
+
+    const rate = from.rate / to.rate;
+    const result = {
+      ...source,
+      currency: target,
+      originalCurrency: currency,
+      fxRate: Math.round(rate * 1e6) / 1e6,
+      fxRateDate: from.date
+    };
+    fields.forEach(field => {
+      result[ORIGINAL_FIELDS[field]] = source[field];
+      result[field] = Math.round(source[field] * rate * 100) / 100;
+    });
+
+    converted++;
+    return result;
+  };
+
+  const getSummary = () => ({
+    reportingCurrency: target,
+    rateTable: rateTable ? rateTable.path || 'inline' : null,
+    currencies: [...currencies].sort(),
+    convertedRecords: converted,
+    missingRates: [...missing.values()]
+  });
+
+  return { convertRecord, getSummary };
+}
+
+/**
+ * Restores a previously converted record to its original currency and amounts,
+ * so that converting again (e.g. to another reporting currency) starts from the source values
+ * @param {Object} record - Financial record
+ * @returns {Object} Record in its original currency
+ */
+function stripConversion(record) {
+  if (!record.originalCurrency && !record.fxRateMissing) return record;
+
+  const { originalCurrency, fxRate, fxRateDate, fxRateMissing, ...source } = record;
+  if (originalCurrency) source.currency = originalCurrency;
+  Object.entries(ORIGINAL_FIELDS).forEach(([field, originalField]) => {
+    if (originalField in source) {
+      source[field] = source[originalField];
+      delete source[originalField];
+    }
+  });
+  return source;
+}
+
+/**
+ * Converts every record of a normalized dataset into the reporting currency
+ * and records the conversion summary in metadata.fx
+ * @param {Object} data - Normalized financial data
+ * @param {Object} [options] - Options for createCurrencyConverter
+ * @returns {Object} Converted financial data
+ */
+export function convertFinancialData(data, options = {}) {
+  const converter = createCurrencyConverter({
+    defaultCurrency: data.metadata?.currency,
+    ...options
+  });
+
+  const converted = { ...data };
+  CATEGORIES.forEach(category => {
+    converted[category] = (data[category] || []).map(converter.convertRecord);
+  });
+
+  const fx = converter.getSummary();
+  converted.metadata = { ...data.metadata, currency: fx.reportingCurrency, fx };
+
+  if (fx.missingRates.length > 0) {
+    logger.warn('FX rates missing for some records', { missingRates: fx.missingRates.length });
+  }
+
+  return converted;
+}
\ No newline at end of file
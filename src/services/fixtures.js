@@ -0,0 +1,64 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+
+export const FIXTURE_MODES = ['off', 'record', 'replay'];
+
+// ISO timestamps (e.g. metadata.timestamp) differ on every run and are left out of fixture keys
+const TIMESTAMP = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z/g;
+
+/**
+ * Computes the fixture key for an outbound request
+ * @param {string} kind - Request kind, e.g. 'llm' or 'semantic-scholar'
+ * @param {Object} request - Request fields that determine the response (prompt and model, path and params)
+ * @returns {string} Fixture key
+ */
+export function getFixtureKey(kind, request) {
+  const normalized = JSON.stringify(request).replace(TIMESTAMP, '<timestamp>');
+  return crypto.createHash('sha256').update(`${kind}\n${normalized}`).digest('hex').slice(0, 24);
+}
+
+/**
+ * Performs an outbound request through the fixture store. In record mode the
+ * response is saved under the request's key; in replay mode it is served from
+ * the store and a missing fixture is an error, so nothing reaches the network.
+ * @param {string} kind - Request kind, used as the fixture subdirectory
+ * @param {Object} request - Request fields the key is computed from
+ * @param {Function} perform - Performs the real request and resolves to a JSON-serializable response
+ * @returns {Promise<*>} Response
+ * @throws {Error} With code FIXTURE_MISSING when replaying a request that was never recorded
+ */
+export async function withFixture(kind, request, perform) {
+  const { mode, dir } = config.fixtures;
+  if (!FIXTURE_MODES.includes(mode)) {
+    throw new Error(`Invalid FIXTURE_MODE "${mode}". Allowed: ${FIXTURE_MODES.join(', ')}`);
+  }
+  if (mode === 'off') {
+    return perform();
+  }
+
+  const key = getFixtureKey(kind, request);
+  const file = path.join(dir, kind, `${key}.json`);
+
+  if (mode === 'replay') {
+    let fixture;
+    try {
+      fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      const error = new Error(`No ${kind} fixture recorded for request ${key} (${file}); run once with FIXTURE_MODE=record`);
+      error.code = 'FIXTURE_MISSING';
+      error.fixtureKey = key;
+      logger.error('Fixture replay miss', { kind, key, request: JSON.stringify(request).slice(0, 200) });
+      throw error;
+    }
+    return fixture.response;
+  }
+
+  const response = await perform();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ key, kind, request, response, recordedAt: new Date().toISOString() }, null, 2));
+  logger.info('Recorded fixture', { kind, key });
+  return response;
+}
\ No newline at end of file
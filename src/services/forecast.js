@@ -0,0 +1,312 @@
+import { config } from '../config/index.js';
+import { getCashMovements, getCashBalance, isUnpaid } from './kpis.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_FORECAST_MONTH = 30;
+const PERIOD_DAYS = { day: 1, week: 7 };
+
+// Two-sided z-scores for the supported confidence levels
+const Z_SCORES = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96, 0.99: 2.5758 };
+
+/**
+ * Builds contiguous inflow and outflow series from dated cash movements.
+ * Periods without movements are zero; weekly periods are aligned so the
+ * last one ends on the latest movement date.
+ * @param {Object} data - Normalized financial data
+ * @param {Object} [options] - Series options
+ * @param {string} [options.granularity] - 'day' or 'week'
+ * @returns {Object} Series with granularity, source, start, end and periods ({ start, inflow, outflow })
+ */
+export function buildCashSeries(data, { granularity = config.forecast.granularity } = {}) {
+  const movements = getCashMovements(data);
+  const dated = flows => flows.filter(m => typeof m.date === 'string' && !isNaN(Date.parse(m.date)));
+  const inflows = dated(movements.inflows);
+  const outflows = dated(movements.outflows);
+  const dates = [...inflows, ...outflows].map(m => m.date).sort();
+
+  if (dates.length === 0) {
+    return { granularity, source: movements.source, start: null, end: null, periods: [] };
+  }
+
+  const periodDays = PERIOD_DAYS[granularity];
+  const end = Date.parse(dates[dates.length - 1]);
+  const days = Math.round((end - Date.parse(dates[0])) / DAY_MS) + 1;
+  const count = Math.ceil(days / periodDays);
+  const start = end - (count * periodDays - 1) * DAY_MS;
+
+  const periods = Array.from({ length: count }, (_, i) => ({
+    start: toIsoDate(start + i * periodDays * DAY_MS),
+    inflow: 0,
+    outflow: 0
+  }));
+  const add = (flows, field) => flows.forEach(m => {
+    const index = Math.floor((Date.parse(m.date) - start) / DAY_MS / periodDays);
+    periods[index][field] += m.amount;
+  });
+  add(inflows, 'inflow');
+  add(outflows, 'outflow');
+
+  periods.forEach(p => {
+    p.inflow = round(p.inflow);
+    p.outflow = round(p.outflow);
+  });
+
+  return { granularity, source: movements.source, start: toIsoDate(start), end: toIsoDate(end), periods };
+}
+
+/**
+ * Forecasts cash inflows and outflows over the horizon and aggregates them
+ * into the cashFlowForecast structure (month1, month2, ...) with confidence bands.
+ * Each stream uses its own method: moving_average, exponential_smoothing
+ * (additive weekly/monthly seasonality once two seasons of history exist) or
+ * scheduled (open invoices and bills by due date).
+ * @param {Object} data - Normalized financial data
+ * @param {Object} [options] - Overrides for config.forecast
+ * @returns {Object} Forecast with cashFlowForecast, per-period forecast, history and method details
+ */
+export function forecastCashFlow(data, options = {}) {
+  // Per-granularity and smoothing overrides may set only some of their values
+  const settings = { ...config.forecast, ...options };
+  ['movingAverageWindow', 'seasonLength', 'smoothing'].forEach(field => {
+    settings[field] = { ...config.forecast[field], ...options[field] };
+  });
+  const { granularity, horizonDays, confidenceLevel } = settings;
+  const periodDays = PERIOD_DAYS[granularity];
+  const horizon = Math.ceil(horizonDays / periodDays);
+
+  const series = buildCashSeries(data, { granularity });
+  const startDate = series.end
+    ? toIsoDate(Date.parse(series.end) + DAY_MS)
+    : new Date().toISOString().slice(0, 10);
+
+  const schedule = records => scheduleOpenItems(records, { startDate, horizon, periodDays, settings });
+  const receivables = schedule(data.invoices);
+  const payables = schedule(data.expenses);
+
+  const inflow = fitStream(series.periods.map(p => p.inflow), settings.inflowMethod, receivables, settings);
+  const outflow = fitStream(series.periods.map(p => p.outflow), settings.outflowMethod, payables, settings);
+
+  const z = Z_SCORES[confidenceLevel] || Z_SCORES[0.8];
+  const opening = getCashBalance(data);
+
+  // Spread each period evenly over its days, then sum the days of each forecast month
+  const months = Array.from({ length: Math.ceil(horizonDays / DAYS_PER_FORECAST_MONTH) }, () => ({
+    inflow: 0, outflow: 0, inflowVariance: 0, outflowVariance: 0
+  }));
+  for (let h = 0; h < horizon; h++) {
+    for (let d = 0; d < periodDays; d++) {
+      const day = h * periodDays + d;
+      if (day >= horizonDays) break;
+      const month = months[Math.floor(day / DAYS_PER_FORECAST_MONTH)];
+      month.inflow += inflow.values[h] / periodDays;
+      month.outflow += outflow.values[h] / periodDays;
+      month.inflowVariance += inflow.variances[h] / periodDays ** 2;
+      month.outflowVariance += outflow.variances[h] / periodDays ** 2;
+    }
+  }
+
+  const cashFlowForecast = {};
+  let balance = opening.amount;
+  let balanceVariance = 0;
+  months.forEach((month, i) => {
+    const netFlow = month.inflow - month.outflow;
+    const netVariance = month.inflowVariance + month.outflowVariance;
+    balance += netFlow;
+    balanceVariance += netVariance;
+
+    cashFlowForecast[`month${i + 1}`] = {
+      inflow: round(month.inflow),
+      outflow: round(month.outflow),
+      netFlow: round(netFlow),
+      cumulativeBalance: round(balance),
+      confidenceBands: {
+        inflow: band(month.inflow, month.inflowVariance, z, 0),
+        outflow: band(month.outflow, month.outflowVariance, z, 0),
+        netFlow: band(netFlow, netVariance, z),
+        cumulativeBalance: band(balance, balanceVariance, z)
+      }
+    };
+  });
+
+  return {
+    cashFlowForecast,
+    confidenceLevel: Z_SCORES[confidenceLevel] ? confidenceLevel : 0.8,
+    granularity,
+    startDate,
+    horizonDays,
+    openingBalance: opening,
+    methods: { inflow: inflow.description, outflow: outflow.description },
+    scheduled: {
+      receivables: round(receivables.reduce((total, v) => total + v, 0)),
+      payables: round(payables.reduce((total, v) => total + v, 0))
+    },
+    history: { source: series.source, periods: series.periods },
+    periods: Array.from({ length: horizon }, (_, h) => ({
+      start: toIsoDate(Date.parse(startDate) + h * periodDays * DAY_MS),
+      inflow: round(inflow.values[h]),
+      outflow: round(outflow.values[h]),
+      inflowBand: band(inflow.values[h], inflow.variances[h], z, 0),
+      outflowBand: band(outflow.values[h], outflow.variances[h], z, 0)
+    }))
+  };
+}
+
+/**
+ * Forecasts one stream with the chosen method
+ * @param {Array} values - Historical values per period
+ * @param {string} method - moving_average, exponential_smoothing or scheduled
+ * @param {Array} scheduled - Open items due per forecast period
+ * @param {Object} settings - Forecast settings
+ * @returns {Object} Object with values and variances per forecast period, and a method description
+ */
+function fitStream(values, method, scheduled, settings) {
+  const horizon = scheduled.length;
+
+  if (method === 'scheduled') {
+    return {
+      values: scheduled,
+      variances: scheduled.map(() => 0),
+      description: {
+        method,
+        note: `Open items by due date; undated items assume ${settings.defaultPaymentTermsDays}-day terms`
+      }
+    };
+  }
+
+  if (values.length === 0) {
+    return {
+      values: scheduled.map(() => 0),
+      variances: scheduled.map(() => 0),
+      description: { method, note: 'No cash history; stream forecast as zero' }
+    };
+  }
+
+  let model;
+  if (method === 'moving_average') {
+    model = movingAverage(values, settings.movingAverageWindow[settings.granularity]);
+  } else if (method === 'exponential_smoothing') {
+    model = exponentialSmoothing(values, {
+      ...settings.smoothing,
+      seasonLength: settings.seasonLength[settings.granularity]
+    });
+  } else {
+    throw new Error(`Unknown forecast method: ${method}`);
+  }
+
+  return {
+    values: Array.from({ length: horizon }, (_, h) => model.point(h + 1)),
+    variances: Array.from({ length: horizon }, (_, h) => model.variance(h + 1)),
+    description: { method, ...model.parameters, historyPeriods: values.length }
+  };
+}
+
+/**
+ * Trailing moving average; the error variance comes from its one-step-ahead
+ * errors over the history
+ * @param {Array} values - Historical values
+ * @param {number} window - Number of periods averaged
+ * @returns {Object} Model with point(h), variance(h) and parameters
+ */
+function movingAverage(values, window) {
+  const size = Math.min(window, values.length);
+  const level = mean(values.slice(-size));
+
+  const errors = [];
+  for (let t = size; t < values.length; t++) {
+    errors.push(values[t] - mean(values.slice(t - size, t)));
+  }
+  const sigma2 = errors.length > 0 ? meanSquare(errors) : variance(values);
+
+  return {
+    point: () => level,
+    variance: () => sigma2 * (1 + 1 / size),
+    parameters: { window: size }
+  };
+}
+
+/**
+ * Exponential smoothing of the level with additive seasonality. Falls back to
+ * simple exponential smoothing with less than two full seasons of history.
+ * @param {Array} values - Historical values
+ * @param {Object} options - alpha (level), gamma (season) and seasonLength
+ * @returns {Object} Model with point(h), variance(h) and parameters
+ */
+function exponentialSmoothing(values, { alpha, gamma, seasonLength }) {
+  const seasonal = seasonLength > 1 && values.length >= 2 * seasonLength;
+  const m = seasonal ? seasonLength : 1;
+  let level = mean(values.slice(0, m));
+  const season = seasonal ? values.slice(0, m).map(v => v - level) : [0];
+
+  const errors = [];
+  for (let t = m; t < values.length; t++) {
+    const s = season[t % m];
+    errors.push(values[t] - (level + s));
+    const nextLevel = alpha * (values[t] - s) + (1 - alpha) * level;
+    if (seasonal) {
+      season[t % m] = gamma * (values[t] - nextLevel) + (1 - gamma) * s;
+    }
+    level = nextLevel;
+  }
+  const sigma2 = errors.length > 0 ? meanSquare(errors) : variance(values);
+  const n = values.length;
+
+  return {
+    point: h => Math.max(0, level + season[(n + h - 1) % m]),
+    variance: h => sigma2 * (1 + (h - 1) * alpha ** 2),
+    parameters: seasonal ? { alpha, gamma, seasonLength } : { alpha, seasonal: false }
+  };
+}
+
+/**
+ * Places open invoices or bills in the forecast period they fall due.
+ * Overdue items are expected in the first period; items due beyond the horizon are left out.
+ * @param {Array} records - Invoice or expense records
+ * @param {Object} options - startDate, horizon, periodDays and settings
+ * @returns {Array} Amount due per forecast period
+ */
+function scheduleOpenItems(records, { startDate, horizon, periodDays, settings }) {
+  const amounts = Array(horizon).fill(0);
+  const start = Date.parse(startDate);
+
+  (records || [])
+    .filter(r => isUnpaid(r) && !r.fxRateMissing && typeof r.amount === 'number')
+    .forEach(r => {
+      const due = Date.parse(r.dueDate || r.due_date || '') ||
+        Date.parse(r.date) + settings.defaultPaymentTermsDays * DAY_MS;
+      if (isNaN(due)) return;
+
+      const index = Math.max(0, Math.floor((due - start) / DAY_MS / periodDays));
+      if (index < horizon) amounts[index] += Math.abs(r.amount);
+    });
+
+  return amounts;
+}
+
+function band(value, valueVariance, z, floor = -Infinity) {
+  const margin = z * Math.sqrt(valueVariance);
+  return {
+    lower: round(Math.max(floor, value - margin)),
+    upper: round(value + margin)
+  };
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((total, v) => total + v, 0) / values.length : 0;
+}
+
+function meanSquare(values) {
+  return mean(values.map(v => v * v));
+}
+
+function variance(values) {
+  const average = mean(values);
+  return mean(values.map(v => (v - average) ** 2));
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function toIsoDate(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
\ No newline at end of file
@@ -0,0 +1,326 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { config } from '../config/index.js';
+import { categorizeFlatData, detectRecordType, categoryForType } from './parser.js';
+import { logger } from '../utils/logger.js';
+
+// Provenance fields added by the parser; never part of a file's own columns
+const PROVENANCE_FIELDS = ['sourceFile', 'sourceSheet', 'sourceRow'];
+
+// Header patterns that suggest each column role
+const ROLE_PATTERNS = {
+  amount: /amount|total|value|sum|debit|credit|net|gross|price/i,
+  date: /date|posted|issued|due|time|period/i,
+  counterparty: /customer|client|vendor|supplier|payee|payer|counterparty|merchant|contact|name/i,
+  type: /type|kind|class/i,
+  currency: /currency|ccy|^cur$/i
+};
+
+// Field a mapped counterparty column is renamed to, per category
+const COUNTERPARTY_FIELDS = {
+  invoices: 'customer',
+  expenses: 'vendor',
+  payments: 'counterparty',
+  balances: 'counterparty'
+};
+
+const SAMPLE_SIZE = 5;
+
+/**
+ * Lists the data columns present in a set of records
+ * @param {Array} records - Parsed records
+ * @returns {Array} Column names in first-seen order
+ */
+export function getColumns(records) {
+  const columns = new Set();
+  records.forEach(record => {
+    Object.keys(record || {}).forEach(key => {
+      if (!PROVENANCE_FIELDS.includes(key)) columns.add(key);
+    });
+  });
+  return [...columns];
+}
+
+/**
+ * Computes a stable signature for a set of column headers, independent of order and case
+ * @param {Array} columns - Column names
+ * @returns {string} Header signature
+ */
+export function getHeaderSignature(columns) {
+  const normalized = columns.map(c => String(c).trim().toLowerCase()).sort().join('|');
+  return crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 16);
+}
+
+/**
+ * Infers which column plays each role (amount, date, counterparty, type, currency)
+ * from header names and sample values
+ * @param {Array} records - Parsed records
+ * @returns {Object} Suggested mapping with columns, typeValues and confidence per role
+ */
+export function inferColumnMapping(records) {
+  const columns = getColumns(records);
+  const samples = records.slice(0, 50);
+
+  const candidates = [];
+  Object.keys(ROLE_PATTERNS).forEach(role => {
+    columns.forEach(column => {
+      const score = scoreColumn(role, column, samples.map(r => r[column]).filter(v => v != null && v !== ''));
+      if (score >= 2) candidates.push({ role, column, score });
+    });
+  });
+
+  // Assign greedily so that each column plays at most one role
+  const mapping = { columns: {}, confidence: {} };
+  candidates.sort((a, b) => b.score - a.score).forEach(({ role, column, score }) => {
+    if (mapping.columns[role] || Object.values(mapping.columns).includes(column)) return;
+    mapping.columns[role] = column;
+    mapping.confidence[role] = score >= 3 ? 'high' : 'medium';
+  });
+
+  if (mapping.columns.type) {
+    mapping.typeValues = {};
+    records.forEach(record => {
+      const value = record[mapping.columns.type];
+      if (value != null && !(value in mapping.typeValues)) {
+        mapping.typeValues[value] = categoryForType(String(value));
+      }
+    });
+  }
+
+  return mapping;
+}
+
+/**
+ * Scores how well a column fits a role: 2 for a header match, 1 for values that look right
+ * @param {string} role - Column role
+ * @param {string} column - Column name
+ * @param {Array} values - Non-empty sample values
+ * @returns {number} Score
+ */
+function scoreColumn(role, column, values) {
+  let score = ROLE_PATTERNS[role].test(column) ? 2 : 0;
+  if (values.length === 0) return score;
+
+  const share = predicate => values.filter(predicate).length / values.length;
+
+  switch (role) {
+    case 'amount':
+      if (share(v => typeof v === 'number' || /^[-(]?[$€£]?[\d,.]+\)?$/.test(String(v).trim())) >= 0.8) score += 1;
+      break;
+    case 'date':
+      if (share(v => v instanceof Date || (typeof v === 'string' && !isNaN(Date.parse(v)))) >= 0.8) score += 1;
+      break;
+    case 'currency':
+      if (share(v => /^[A-Z]{3}$/.test(String(v).trim())) >= 0.8) score += 1;
+      break;
+    case 'type':
+      if (new Set(values).size <= 10 && share(v => typeof v === 'string') === 1) score += 1;
+      break;
+    default:
+      if (share(v => typeof v === 'string') === 1) score += 1;
+  }
+
+  return score;
+}
+
+/**
+ * Applies a column mapping to raw records, renaming role columns to the
+ * standard field names and assigning each record to a category
+ * @param {Array} records - Parsed records
+ * @param {Object} mapping - Mapping with columns, and optionally category, typeValues and defaultCategory
+ * @returns {Object} Categorized data with invoices, expenses, payments and balances
+ */
+export function applyColumnMapping(records, mapping) {
+  const categorized = { invoices: [], expenses: [], payments: [], balances: [] };
+  const columns = mapping.columns || {};
+  const typeValues = mapping.typeValues || {};
+
+  records.forEach(record => {
+    if (!record || typeof record !== 'object') return;
+
+    const typeValue = columns.type ? record[columns.type] : undefined;
+    const mapped = { ...record };
+    ['amount', 'date', 'currency', 'counterparty', 'type'].forEach(role => {
+      if (columns[role] && columns[role] in mapped) delete mapped[columns[role]];
+    });
+
+    if (columns.amount && record[columns.amount] != null) mapped.amount = record[columns.amount];
+    if (columns.date && record[columns.date] != null) mapped.date = record[columns.date];
+    if (columns.currency && record[columns.currency] != null) mapped.currency = record[columns.currency];
+    if (typeValue != null) mapped.recordType = typeValue;
+
+    const category = mapping.category ||
+      typeValues[typeValue] ||
+      categoryForType(typeValue) ||
+      mapping.defaultCategory ||
+      detectRecordType(mapped);
+
+    if (columns.counterparty && record[columns.counterparty] != null) {
+      mapped[COUNTERPARTY_FIELDS[category]] = record[columns.counterparty];
+    }
+    // Payment direction keeps its schema field name
+    if (category === 'payments' && /^(inbound|outbound)$/i.test(String(typeValue))) {
+      mapped.type = String(typeValue).toLowerCase();
+    }
+
+    if (categorized[category]) {
+      categorized[category].push(mapped);
+    }
+  });
+
+  return categorized;
+}
+
+/**
+ * Builds a preview of one table: its columns, inferred or saved mapping,
+ * sample rows and the category counts the mapping would produce
+ * @param {Object} table - Table of { name, category, records }
+ * @returns {Object} Table preview
+ */
+export function previewTable(table) {
+  const columns = getColumns(table.records);
+  const signature = getHeaderSignature(columns);
+  const profile = findProfileBySignature(signature);
+  const mapping = profile ? profile.mapping : inferColumnMapping(table.records);
+  const result = table.category
+    ? { [table.category]: table.records }
+    : applyColumnMapping(table.records, mapping);
+
+  return {
+    name: table.name,
+    category: table.category,
+    columns,
+    signature,
+    profile: profile ? { id: profile.id, name: profile.name } : null,
+    mapping,
+    recordCount: table.records.length,
+    parseIssues: table.issues || [],
+    categoryCounts: Object.fromEntries(
+      ['invoices', 'expenses', 'payments', 'balances'].map(category => [category, result[category]?.length || 0])
+    ),
+    sampleRows: table.records.slice(0, SAMPLE_SIZE)
+  };
+}
+
+/**
+ * Checks that a column mapping names only known categories; a record mapped
+ * to any other category would be dropped
+ * @param {Object} mapping - Mapping with columns, and optionally category, typeValues and defaultCategory
+ * @returns {Object} Validation result with isValid flag and errors
+ */
+export function validateMapping(mapping) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return { isValid: false, errors: ['mapping must be a JSON object'] };
+  }
+
+  const categories = Object.keys(COUNTERPARTY_FIELDS);
+  const targets = [mapping.category, mapping.defaultCategory, ...Object.values(mapping.typeValues || {})];
+  const invalid = targets.filter(target => target && !categories.includes(target));
+  return {
+    isValid: invalid.length === 0,
+    errors: invalid.length > 0 ? [`Unknown categories: ${invalid.join(', ')}`] : []
+  };
+}
+
+/**
+ * Returns a categorizer for parseUploadedFile that applies an explicit mapping,
+ * or else the saved profile matching each table's header signature, falling
+ * back to per-record type detection
+ * @param {Object} [mapping] - Mapping confirmed by the user for this upload
+ * @returns {Function} Categorizer taking an array of records
+ */
+export function createProfileCategorizer(mapping) {
+  return records => {
+    if (mapping) {
+      return applyColumnMapping(records, mapping);
+    }
+
+    const profile = findProfileBySignature(getHeaderSignature(getColumns(records)));
+    if (profile) {
+      logger.info(`Applying import profile "${profile.name}"`, { signature: profile.signature });
+      return applyColumnMapping(records, profile.mapping);
+    }
+
+    return categorizeFlatData(records);
+  };
+}
+
+/**
+ * Lists saved import profiles
+ * @returns {Array} Saved profiles
+ */
+export function listProfiles() {
+  return loadProfiles();
+}
+
+/**
+ * Gets a saved import profile by id
+ * @param {string} id - Profile id
+ * @returns {Object|undefined} Profile
+ */
+export function getProfile(id) {
+  return loadProfiles().find(profile => profile.id === id);
+}
+
+/**
+ * Finds the saved profile for a header signature
+ * @param {string} signature - Header signature
+ * @returns {Object|undefined} Matching profile
+ */
+export function findProfileBySignature(signature) {
+  return loadProfiles().find(profile => profile.signature === signature);
+}
+
+/**
+ * Saves a named import profile, replacing any profile with the same header signature
+ * @param {Object} profile - Profile with name, columns and mapping
+ * @returns {Object} Stored profile
+ */
+export function saveProfile({ name, columns, mapping }) {
+  const signature = getHeaderSignature(columns);
+  const profiles = loadProfiles().filter(p => p.signature !== signature);
+  const profile = {
+    id: crypto.randomUUID(),
+    name,
+    signature,
+    columns,
+    mapping,
+    createdAt: new Date().toISOString()
+  };
+
+  profiles.push(profile);
+  writeProfiles(profiles);
+  logger.info(`Saved import profile "${name}"`, { signature });
+  return profile;
+}
+
+/**
+ * Deletes a saved import profile
+ * @param {string} id - Profile id
+ * @returns {boolean} True if a profile was deleted
+ */
+export function deleteProfile(id) {
+  const profiles = loadProfiles();
+  const remaining = profiles.filter(p => p.id !== id);
+  if (remaining.length === profiles.length) return false;
+
+  writeProfiles(remaining);
+  return true;
+}
+
+function loadProfiles() {
+  try {
+    return JSON.parse(fs.readFileSync(config.importProfiles.path, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Failed to read import profiles:', error);
+    }
+    return [];
+  }
+}
+
+function writeProfiles(profiles) {
+  fs.mkdirSync(path.dirname(config.importProfiles.path), { recursive: true });
+  fs.writeFileSync(config.importProfiles.path, JSON.stringify(profiles, null, 2));
+}
\ No newline at end of file
@@ -0,0 +1,166 @@
+import crypto from 'crypto';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+// Jobs by id, and the queued ones in order; jobs live in this process only
+const jobs = new Map();
+const queue = [];
+let running = 0;
+
+/**
+ * Queues a job. At most config.jobs.concurrency jobs run at once; the rest wait in order.
+ * @param {string} type - Job type, e.g. 'analysis'
+ * @param {Function} run - Performs the job: receives { signal, updateStage } and resolves to its result
+ * @param {Object} options - Job options
+ * @param {Array} options.stages - Stage names, reported in this order
+ * @param {Function} [options.describeError] - Turns a failure into the error reported by the job
+ * @returns {Object} Job description
+ * @throws {Error} With code QUEUE_FULL when config.jobs.maxQueued jobs are already waiting
+ */
+export function createJob(type, run, { stages, describeError = defaultErrorDescription }) {
+  pruneFinishedJobs();
+  if (queue.length >= config.jobs.maxQueued) {
+    const error = new Error(`${queue.length} jobs are already waiting; try again later`);
+    error.code = 'QUEUE_FULL';
+    throw error;
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: 'queued',
+    stages: Object.fromEntries(stages.map(name => [name, { status: 'pending' }])),
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    controller: new AbortController(),
+    run,
+    describeError
+  };
+  jobs.set(job.id, job);
+  queue.push(job);
+  logger.info('Job queued', { id: job.id, type, queued: queue.length, running });
+
+  drainQueue();
+  return describeJob(job);
+}
+
+/**
+ * Gets a job's status, stage progress and, once finished, its result or error
+ * @param {string} id - Job id
+ * @returns {Object|null} Job description, or null if there is no such job
+ */
+export function getJob(id) {
+  const job = jobs.get(id);
+  return job ? describeJob(job) : null;
+}
+
+/**
+ * Cancels a queued or running job; a running job's signal is aborted, which
+ * cancels its in-flight model calls
+ * @param {string} id - Job id
+ * @returns {Object|null} Job description, or null if there is no such job
+ */
+export function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  if (FINISHED.includes(job.status)) return describeJob(job);
+
+  if (job.status === 'queued') {
+    queue.splice(queue.indexOf(job), 1);
+  }
+  job.controller.abort();
+  finishJob(job, 'cancelled');
+  logger.info('Job cancelled', { id });
+  return describeJob(job);
+}
+
+/**
+ * Checks whether a job has completed, failed or been cancelled
+ * @param {Object} job - Job description
+ * @returns {boolean} True if the job will not change any more
+ */
+export function isJobFinished(job) {
+  return FINISHED.includes(job.status);
+}
+
+function drainQueue() {
+  while (running < config.jobs.concurrency && queue.length > 0) {
+    const job = queue.shift();
+    const { signal } = job.controller;
+    running++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    const updateStage = (name, status, progress) => {
+      if (signal.aborted || !job.stages[name]) return;
+      const stage = job.stages[name];
+      if (status === 'running' && !stage.startedAt) stage.startedAt = new Date().toISOString();
+      if (status === 'completed') stage.finishedAt = new Date().toISOString();
+      stage.status = status;
+      if (progress) stage.progress = progress;
+    };
+
+    Promise.resolve()
+      .then(() => job.run({ signal, updateStage }))
+      .then(result => {
+        if (signal.aborted) return;
+        job.result = result;
+        finishJob(job, 'completed');
+      })
+      .catch(error => {
+        if (signal.aborted) return;
+        logger.error('Job failed', { id: job.id, error: error.message });
+        job.error = job.describeError(error);
+        finishJob(job, 'failed');
+      })
+      .finally(() => {
+        running--;
+        drainQueue();
+      });
+  }
+}
+
+/**
+ * Marks a job finished; the stage it was in takes the job's final status
+ * @param {Object} job - Job
+ * @param {string} status - completed, failed or cancelled
+ */
+function finishJob(job, status) {
+  job.status = status;
+  job.finishedAt = new Date().toISOString();
+  Object.values(job.stages).forEach(stage => {
+    if (stage.status === 'running') stage.status = status;
+  });
+}
+
+function describeJob(job) {
+  const description = {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    stages: job.stages,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+  if (job.status === 'queued') description.queuePosition = queue.indexOf(job) + 1;
+  if (job.status === 'completed') description.result = job.result;
+  if (job.status === 'failed') description.error = job.error;
+  return description;
+}
+
+function defaultErrorDescription(error) {
+  return { error: 'Job failed', message: error.message };
+}
+
+function pruneFinishedJobs() {
+  const cutoff = Date.now() - config.jobs.retentionMs;
+  jobs.forEach((job, id) => {
+    if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) jobs.delete(id);
+  });
+}
\ No newline at end of file
@@ -0,0 +1,274 @@
+import { config } from '../config/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_MONTH = 30.44;
+
+// Expense categories counted as cost of sales for gross margin
+const COST_OF_SALES = /cogs|cost of (goods|sales|revenue)|inventory|materials|direct|freight|manufactur/i;
+
+// Balance account names by classification
+const CASH_ACCOUNT = /cash|bank|checking|savings|money market/i;
+const CURRENT_ASSET_ACCOUNT = /cash|bank|checking|savings|money market|receivable|inventory|prepaid|current asset/i;
+const CURRENT_LIABILITY_ACCOUNT = /payable|accrued|credit card|short[- ]term|current liabilit|deferred revenue|overdraft/i;
+
+const UNPAID_STATUS = /pending|overdue|unpaid|open|outstanding/i;
+
+// LLM output keys accepted for each KPI
+const LLM_KPI_KEYS = {
+  grossMargin: ['grossMargin'],
+  netBurnRate: ['netBurnRate', 'burnRate'],
+  dso: ['dso', 'DSO'],
+  dpo: ['dpo', 'DPO'],
+  currentRatio: ['currentRatio'],
+  runway: ['runway', 'runwayMonths']
+};
+
+/**
+ * Computes KPIs directly from normalized financial data. Every KPI comes with
+ * the formula and inputs used; a KPI that the data cannot support is null with a note.
+ * Records whose amounts could not be converted to the reporting currency are excluded.
+ * @param {Object} data - Normalized financial data
+ * @returns {Object} Object with kpis (values) and details (value, formula, inputs, note per KPI)
+ */
+export function computeKpis(data) {
+  const invoices = usableRecords(data.invoices).filter(r => r.status !== 'cancelled');
+  const expenses = usableRecords(data.expenses);
+  const payments = usableRecords(data.payments);
+  const balances = latestBalances(data.balances || []);
+
+  const period = getPeriod([...invoices, ...expenses, ...payments]);
+  const revenue = sum(invoices);
+  const totalExpenses = sum(expenses);
+  const costOfSales = sum(expenses.filter(r => COST_OF_SALES.test(`${r.category || ''} ${r.description || ''}`)));
+
+  const details = {};
+
+  details.grossMargin = revenue > 0 && costOfSales > 0
+    ? kpi((revenue - costOfSales) / revenue, '(revenue - costOfSales) / revenue', { revenue, costOfSales })
+    : kpi(null, '(revenue - costOfSales) / revenue', { revenue, costOfSales },
+      revenue > 0 ? 'No cost-of-sales expenses identified by category' : 'No revenue in period');
+
+  const movements = getCashMovements(data);
+  const cashIn = sum(movements.inflows);
+  const cashOut = sum(movements.outflows);
+  const months = period.days / DAYS_PER_MONTH;
+  const netBurnRate = (cashOut - cashIn) / months;
+
+  details.netBurnRate = kpi(netBurnRate, '(cashOut - cashIn) / months', {
+    cashIn,
+    cashOut,
+    months: round(months, 2),
+    cashSource: movements.source
+  });
+
+  const receivables = sum(invoices.filter(isUnpaid));
+  details.dso = revenue > 0
+    ? kpi((receivables / revenue) * period.days, '(accountsReceivable / revenue) * periodDays', {
+      accountsReceivable: receivables,
+      revenue,
+      periodDays: period.days
+    })
+    : kpi(null, '(accountsReceivable / revenue) * periodDays', { accountsReceivable: receivables, revenue }, 'No revenue in period');
+
+  const payablesFromExpenses = sum(expenses.filter(isUnpaid));
+  const payablesFromBalances = sumLiabilityBalances(balances.filter(b => /payable/i.test(b.account)));
+  const payables = payablesFromExpenses || payablesFromBalances;
+  const purchases = costOfSales || totalExpenses;
+  details.dpo = purchases > 0
+    ? kpi((payables / purchases) * period.days, '(accountsPayable / purchases) * periodDays', {
+      accountsPayable: payables,
+      purchases,
+      periodDays: period.days,
+      payableSource: payablesFromExpenses ? 'unpaid expenses' : 'payable balances'
+    })
+    : kpi(null, '(accountsPayable / purchases) * periodDays', { accountsPayable: payables, purchases }, 'No expenses in period');
+
+  const currentAssets = sumBalances(balances.filter(b => CURRENT_ASSET_ACCOUNT.test(b.account)));
+  const currentLiabilities = sumLiabilityBalances(balances.filter(b => CURRENT_LIABILITY_ACCOUNT.test(b.account)));
+  details.currentRatio = currentLiabilities > 0
+    ? kpi(currentAssets / currentLiabilities, 'currentAssets / currentLiabilities', { currentAssets, currentLiabilities })
+    : kpi(null, 'currentAssets / currentLiabilities', { currentAssets, currentLiabilities }, 'No current liability balances');
+
+  const { amount: cash, accounts: cashAccounts } = getCashBalance(data);
+  const runwayInputs = { cash, netBurnRate: round(netBurnRate, 2) };
+  if (netBurnRate <= 0) {
+    details.runway = kpi(null, 'cash / netBurnRate', runwayInputs, 'Not burning cash; runway is unbounded');
+  } else {
+    details.runway = cashAccounts.length > 0
+      ? kpi(cash / netBurnRate, 'cash / netBurnRate', runwayInputs)
+      : kpi(null, 'cash / netBurnRate', runwayInputs, 'No cash balances');
+  }
+
+  const kpis = {};
+  Object.entries(details).forEach(([name, detail]) => {
+    kpis[name] = detail.value;
+  });
+
+  return {
+    kpis,
+    details,
+    period: { start: period.start, end: period.end, days: period.days },
+    currency: data.metadata?.currency || null
+  };
+}
+
+/**
+ * Gets dated cash movements: bank payments when the data has any, otherwise
+ * paid invoices as inflows and expenses as outflows
+ * @param {Object} data - Normalized financial data
+ * @returns {Object} Object with source, inflows and outflows ({ date, amount } with positive amounts)
+ */
+export function getCashMovements(data) {
+  const toMovement = r => ({ date: r.date, amount: Math.abs(r.amount) });
+  const payments = usableRecords(data.payments).filter(p => p.type === 'inbound' || p.type === 'outbound');
+
+  if (payments.length > 0) {
+    return {
+      source: 'payments',
+      inflows: payments.filter(p => p.type === 'inbound').map(toMovement),
+      outflows: payments.filter(p => p.type === 'outbound').map(toMovement)
+    };
+  }
+
+  return {
+    source: 'paid invoices and expenses',
+    inflows: usableRecords(data.invoices).filter(r => r.status === 'paid').map(toMovement),
+    outflows: usableRecords(data.expenses).map(toMovement)
+  };
+}
+
+/**
+ * Checks whether an invoice or bill is still open (pending, overdue, unpaid)
+ * @param {Object} record - Invoice or expense record
+ * @returns {boolean} True if the record has not been settled
+ */
+export function isUnpaid(record) {
+  return UNPAID_STATUS.test(record.status || '');
+}
+
+/**
+ * Gets the cash on hand from the latest balance of each cash or bank account
+ * @param {Object} data - Normalized financial data
+ * @returns {Object} Object with amount, date of the latest balance and accounts used
+ */
+export function getCashBalance(data) {
+  const accounts = latestBalances(data.balances || []).filter(b => CASH_ACCOUNT.test(b.account));
+  return {
+    amount: sumBalances(accounts),
+    date: accounts.reduce((latest, b) => (!latest || b.date > latest ? b.date : latest), null),
+    accounts: accounts.map(b => b.account)
+  };
+}
+
+/**
+ * Compares the LLM's KPIs with computed ones, flagging any that differ by more
+ * than the tolerance. Percent-style margins (35 for 0.35) are rescaled first.
+ * @param {Object} llmKpis - KPIs from the LLM analysis
+ * @param {Object} computed - Result of computeKpis
+ * @param {number} [tolerance] - Allowed relative difference
+ * @returns {Array} One entry per KPI both sides reported
+ */
+export function crossCheckKpis(llmKpis, computed, tolerance = config.kpis.tolerance) {
+  if (!llmKpis || typeof llmKpis !== 'object') return [];
+
+  const checks = [];
+  Object.entries(LLM_KPI_KEYS).forEach(([name, keys]) => {
+    const key = keys.find(k => typeof llmKpis[k] === 'number');
+    const computedValue = computed.kpis[name];
+    if (!key || computedValue === null || computedValue === undefined) return;
+
+    let llmValue = llmKpis[key];
+    if (name === 'grossMargin' && Math.abs(llmValue) > 1 && Math.abs(llmValue) <= 100) {
+      llmValue /= 100;
+    }
+
+    const difference = llmValue - computedValue;
+    const scale = Math.max(Math.abs(computedValue), 1e-9);
+    const relativeDifference = Math.abs(difference) / scale;
+
+    checks.push({
+      kpi: name,
+      llmKey: key,
+      llmValue: llmKpis[key],
+      computedValue,
+      difference: round(difference, 4),
+      relativeDifference: round(relativeDifference, 4),
+      withinTolerance: relativeDifference <= tolerance || Math.abs(difference) < 0.005
+    });
+  });
+
+  return checks;
+}
+
+/**
+ * Drops records without a numeric amount in the reporting currency
+ * @param {Array} records - Financial records
+ * @returns {Array} Usable records
+ */
+function usableRecords(records) {
+  return (records || []).filter(r => !r.fxRateMissing && typeof r.amount === 'number');
+}
+
+function kpi(value, formula, inputs, note) {
+  const detail = {
+    value: value === null || !Number.isFinite(value) ? null : round(value, 4),
+    formula,
+    inputs: Object.fromEntries(Object.entries(inputs).map(([k, v]) => [k, typeof v === 'number' ? round(v, 2) : v]))
+  };
+  if (note) detail.note = note;
+  return detail;
+}
+
+/**
+ * Keeps the most recent balance per account
+ * @param {Array} balances - Balance records
+ * @returns {Array} Latest balance record per account
+ */
+export function latestBalances(balances) {
+  const latest = {};
+  balances
+    .filter(b => b && !b.fxRateMissing && typeof b.balance === 'number' && typeof b.account === 'string')
+    .forEach(b => {
+      if (!latest[b.account] || (b.date || '') >= (latest[b.account].date || '')) {
+        latest[b.account] = b;
+      }
+    });
+  return Object.values(latest);
+}
+
+/**
+ * Gets the span covered by dated records; at least 30 days so that short
+ * extracts do not produce extreme day-based ratios
+ * @param {Array} records - Dated records
+ * @returns {Object} { start, end, days }
+ */
+function getPeriod(records) {
+  const dates = records.map(r => r.date).filter(d => typeof d === 'string' && !isNaN(Date.parse(d))).sort();
+  if (dates.length === 0) {
+    return { start: null, end: null, days: 30 };
+  }
+
+  const start = dates[0];
+  const end = dates[dates.length - 1];
+  const days = Math.round((Date.parse(end) - Date.parse(start)) / DAY_MS) + 1;
+  return { start, end, days: Math.max(days, 30) };
+}
+
+function sum(records, transform = value => value) {
+  return records.reduce((total, r) => total + transform(r.amount), 0);
+}
+
+// Signed, so that an overdrawn account lowers cash and current assets
+function sumBalances(balances) {
+  return balances.reduce((total, b) => total + b.balance, 0);
+}
+
+// Liabilities count as owed whether they are stored as positive or negative (credit) balances
+function sumLiabilityBalances(balances) {
+  return balances.reduce((total, b) => total + Math.abs(b.balance), 0);
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
\ No newline at end of file
@@ -1,132 +1,299 @@
-import OpenAI from 'openai';
-import axios from 'axios';
 import { config } from '../config/index.js';
 import { logger } from '../utils/logger.js';
-
-// Configure OpenAI client for OpenRouter
-const openai = new OpenAI({
-  apiKey: config.openrouter.apiKey,
-  baseURL: config.openrouter.apiUrl.replace('/chat/completions', ''),
-  defaultHeaders: {
-    'HTTP-Referer': 'https://financial-analyzer.com',
-    'X-Title': 'Financial Analysis App'
-  }
-});
+import { extractJson, createJsonSectionReader } from '../utils/llmOutput.js';
+import { validateChunkAnalysis } from '../utils/validation.js';
+import { chatCompletion, getTaskSettings, isLlmEnabled } from './llmProviders.js';
+import { chunkFinancialData, estimateTokens, mergeChunkAnalyses, summarizeFinancialData } from './mapReduce.js';
+import {
+  getPromptTemplate,
+  renderPrompt,
+  renderCustomRequest,
+  sanitizeCustomPrompt,
+  validateTemplateResult,
+  emptyTemplateResult
+} from './promptTemplates.js';
 
 /**
- * Helper: send a Chat request to OpenRouter (adapted from your research tool)
- * @param {Array} messages - Array of message objects
- * @param {string} model - Model to use
- * @param {number} max_tokens - Maximum tokens
- * @returns {Promise<string>} Response content
+ * Analyzes financial data with the LLM configured for the analysis task.
+ * In no-LLM mode it returns an empty narrative so that the computed results stand alone.
+ * A dataset whose prompt would exceed the task's context budget is analyzed in
+ * chunks, and the merged chunk findings are reduced together with aggregates of the whole dataset.
+ * @param {Object} data - Financial data object containing invoices, expenses, etc.
+ * @param {Object} [computed] - Locally computed results the model must not alter
+ * @param {Object} [computed.cashFlowForecast] - Statistical 90-day forecast for the model to narrate
+ * @param {Array} [computed.anomalies] - Statistically detected anomalies the model need not repeat
+ * @param {Object} [computed.template] - Prompt template from getPromptTemplate, general by default
+ * @param {string} [computed.customPrompt] - Analyst request, for templates that take one
+ * @param {AbortSignal} [computed.signal] - Aborts the in-flight model calls
+ * @param {Function} [computed.onProgress] - Called with { completed, total } model calls
+ * @param {Function} [computed.onSection] - Streams the final response, called with (key, value)
+ *   as each top-level section of it completes; the returned result is the validated one
+ * @returns {Promise<Object>} Analysis results in the template's output format
  */
-export async function openRouterChat(messages, model = 'qwen/qwen3-235b-a22b:free', max_tokens = 200) {
+export async function analyzeFinancialData(data, {
+  cashFlowForecast,
+  anomalies = [],
+  template = getPromptTemplate('general'),
+  customPrompt,
+  signal,
+  onProgress = () => {},
+  onSection
+} = {}) {
   try {
-    const payload = { model, messages, max_tokens };
-    const headers = {
-      'Authorization': `Bearer ${config.openrouter.apiKey}`,
-      'Content-Type': 'application/json'
+    logger.info('Starting financial data analysis', { dataKeys: Object.keys(data), template: template.id, version: template.version });
+
+    if (!isLlmEnabled('analysis')) {
+      return {
+        ...emptyTemplateResult(template),
+        anomalies: [],
+        llm: { provider: 'none' }
+      };
+    }
+
+    const { contextTokens, maxTokens } = getTaskSettings('analysis');
+    const promptBudget = contextTokens - maxTokens;
+    const prompt = {
+      template,
+      cashFlowForecast,
+      anomalies: anomalies.map(({ entryId, type, issue }) => ({ entryId, type, issue })),
+      customPrompt: sanitizeCustomPrompt(customPrompt),
+      signal,
+      onProgress,
+      onSection
     };
-    const resp = await axios.post(config.openrouter.apiUrl, payload, { headers });
-    return resp.data.choices[0].message.content.trim();
+
+    const systemPrompt = renderPrompt(template, {
+      ...prompt,
+      dataSection: `**Financial Data:**\n${JSON.stringify(data, null, 2)}`
+    });
+    const estimatedTokens = estimateTokens(systemPrompt);
+
+    if (estimatedTokens > promptBudget) {
+      return await analyzeInChunks(data, { ...prompt, promptBudget, estimatedTokens });
+    }
+
+    onProgress({ completed: 0, total: 1 });
+    const validate = result => validateTemplateResult(template, result);
+    const { result, llm } = await requestValidJson([{ role: 'system', content: systemPrompt }], validate, { signal, onSection });
+    onProgress({ completed: 1, total: 1 });
+    logger.info('Financial analysis completed successfully', { repairAttempts: llm.repairAttempts });
+    return { ...result, llm };
   } catch (error) {
-    logger.error('OpenRouter chat error:', error);
+    logger.error('Financial analysis failed:', error);
     throw error;
   }
 }
 
 /**
- * Analyzes financial data using OpenRouter's AI models
- * @param {Object} data - Financial data object containing invoices, expenses, etc.
- * @returns {Promise<Object>} Analysis results with forecasts, anomalies, and KPIs
+ * Map-reduce analysis for datasets that do not fit one prompt: each chunk of
+ * records is analyzed on its own, then the merged findings and aggregates of
+ * the whole dataset (not its rows) go into the template's prompt
+ * @param {Object} data - Normalized financial data
+ * @param {Object} options - Template, computed forecast, detected anomalies, analyst request,
+ *   prompt budget, abort signal, and progress and section callbacks
+ * @returns {Promise<Object>} Analysis results, with the chunks listed under llm.mapReduce
  */
-export async function analyzeFinancialData(data) {
-  try {
-    logger.info('Starting financial data analysis', { dataKeys: Object.keys(data) });
-    
-    const systemPrompt = `You are "OpenRouter Financial Analyst," an expert AI financial analyst and supply-chain consultant.
+async function analyzeInChunks(data, {
+  template,
+  cashFlowForecast,
+  anomalies,
+  customPrompt,
+  signal,
+  onProgress,
+  onSection,
+  promptBudget,
+  estimatedTokens
+}) {
+  const { chunkBy } = config.mapReduce;
+  const overhead = estimateTokens(buildChunkPrompt({ label: '', data: {} }, 0, 0, anomalies, customPrompt));
+  const chunks = chunkFinancialData(data, {
+    chunkBy,
+    maxTokens: Math.max(promptBudget - overhead, Math.floor(promptBudget / 4))
+  });
+
+  logger.info('Dataset exceeds the analysis prompt budget; analyzing in chunks', {
+    estimatedTokens,
+    promptBudget,
+    chunkBy,
+    chunks: chunks.length
+  });
+
+  // One call per chunk plus the final one
+  const total = chunks.length + 1;
+  onProgress({ completed: 0, total });
+
+  let repairAttempts = 0;
+  const chunkResults = [];
+  for (const [index, chunk] of chunks.entries()) {
+    const entryIds = new Set(Object.values(chunk.data).flat().map(row => row.id));
+    const chunkAnomalies = anomalies.filter(a => entryIds.has(String(a.entryId)));
+    const chunkPrompt = buildChunkPrompt(chunk, index, chunks.length, chunkAnomalies, customPrompt);
+    const { result, llm } = await requestValidJson([{ role: 'system', content: chunkPrompt }], validateChunkAnalysis, { signal });
+    repairAttempts += llm.repairAttempts;
+    chunkResults.push({ label: chunk.label, analysis: result });
+    onProgress({ completed: index + 1, total });
+  }
+
+  const findings = mergeChunkAnalyses(chunkResults);
+  const reducePrompt = renderPrompt(template, {
+    cashFlowForecast,
+    anomalies,
+    customPrompt,
+    dataSection: `**Financial Data (aggregates; the records were analyzed in ${chunks.length} parts by ${chunkBy}):**\n${JSON.stringify(summarizeFinancialData(data), null, 2)}
+
+**Findings From the Partial Analyses:**
+${JSON.stringify(findings, null, 2)}`
+  });
+  const validate = result => validateTemplateResult(template, result);
+  const { result, llm } = await requestValidJson([{ role: 'system', content: reducePrompt }], validate, { signal, onSection });
+  onProgress({ completed: total, total });
+
+  // Chunk findings come first: they were made on the records themselves
+  const merged = mergeChunkAnalyses([...chunkResults, { label: 'all', analysis: result }]);
+  logger.info('Financial analysis completed successfully', { chunks: chunks.length, repairAttempts: repairAttempts + llm.repairAttempts });
+
+  return {
+    ...result,
+    anomalies: merged.anomalies,
+    ...(Array.isArray(result.procurementSuggestions) && { procurementSuggestions: merged.procurementSuggestions }),
+    llm: {
+      ...llm,
+      repairAttempts: repairAttempts + llm.repairAttempts,
+      mapReduce: {
+        chunkBy,
+        estimatedTokens,
+        promptBudget,
+        chunks: chunks.map(({ label, recordCount, estimatedTokens: tokens }) => ({ label, recordCount, estimatedTokens: tokens }))
+      }
+    }
+  };
+}
+
+/**
+ * Builds the prompt for one chunk of a dataset; rows are sent as compact JSON
+ * @param {Object} chunk - Chunk from chunkFinancialData
+ * @param {number} index - Position of the chunk
+ * @param {number} count - Number of chunks
+ * @param {Array} anomalies - Detected anomalies on the chunk's records
+ * @param {string} [customPrompt] - Sanitized analyst request
+ * @returns {string} System prompt
+ */
+function buildChunkPrompt(chunk, index, count, anomalies, customPrompt) {
+  return `You are "OpenRouter Financial Analyst," an expert AI financial analyst and supply-chain consultant.
 
-Given the following financial dataset in JSON format, perform a comprehensive analysis:
+The dataset is too large to review at once. These records are part ${index + 1} of ${count} (${chunk.label}); the findings of all parts are merged afterwards, so report only what these records show:
 
 **Required Analysis:**
-1. 90-day cash-flow projection with monthly breakdown
-2. Identify anomalies or potential fraud indicators in payments/ledger entries
-3. Recommend procurement optimizations to reduce working capital usage
-4. Compute key KPIs: gross margin, net burn rate, days sales outstanding (DSO), days payable outstanding (DPO)
-5. Data validation and error correction recommendations
+1. Identify anomalies or potential fraud indicators beyond the detected anomalies below, referring to entries by their id
+2. Recommend procurement optimizations to reduce working capital usage
+3. Note observations that matter for cash flow, margins, trends and data quality${customPrompt ? ', and for the analyst request below' : ''}
 
-**Financial Data:**
-${JSON.stringify(data, null, 2)}
+**Financial Records:**
+${JSON.stringify(chunk.data)}
 
-**Output Format (JSON only):**
+**Detected Anomalies (statistical, already reported):**
+${JSON.stringify(anomalies)}
+
+${renderCustomRequest(customPrompt)}**Output Format (JSON only):**
 {
-  "cashFlowForecast": {
-    "month1": { "inflow": 0, "outflow": 0, "netFlow": 0, "cumulativeBalance": 0 },
-    "month2": { "inflow": 0, "outflow": 0, "netFlow": 0, "cumulativeBalance": 0 },
-    "month3": { "inflow": 0, "outflow": 0, "netFlow": 0, "cumulativeBalance": 0 }
-  },
   "anomalies": [
-    { "entryId": "string", "type": "duplicate|outlier|fraud_risk", "issue": "description", "severity": "low|medium|high" }
+    { "entryId": "string", "type": "duplicate|outlier|fraud_risk|frequency_change", "issue": "description", "severity": "low|medium|high" }
   ],
   "procurementSuggestions": [
     { "category": "string", "suggestion": "string", "potentialSavings": 0, "implementation": "string" }
   ],
-  "kpis": {
-    "grossMargin": 0,
-    "netBurnRate": 0,
-    "dso": 0,
-    "dpo": 0
-  },
-  "dataQuality": {
-    "completeness": 0,
-    "accuracy": 0,
-    "recommendations": ["string"]
-  }
+  "observations": ["string"]
 }`;
+}
 
-    const messages = [
-      { role: 'system', content: systemPrompt }
-    ];
-
-    const response = await openai.chat.completions.create({
-      model: config.openrouter.model,
-      messages: messages,
-      max_tokens: config.openrouter.maxTokens || 4000,
-      temperature: config.openrouter.temperature
-    });
+/**
+ * Requests a JSON answer from a task's model (the analysis model by default),
+ * sending schema violations back to it until it conforms or the repair attempts run out
+ * @param {Array} messages - Initial chat messages
+ * @param {Function} validate - Validator returning { isValid, errors }
+ * @param {Object} [options] - Call options
+ * @param {string} [options.task] - LLM task whose model answers
+ * @param {number} [options.maxTokens] - Override for the task's maxTokens
+ * @param {AbortSignal} [options.signal] - Aborts the in-flight call
+ * @param {Function} [options.onSection] - Streams the first attempt, called with each completed top-level section
+ * @returns {Promise<Object>} Object with the parsed result and llm ({ provider, model, repairAttempts })
+ * @throws {Error} With code ANALYSIS_OUTPUT_INVALID when the output never conforms
+ */
+export async function requestValidJson(messages, validate, { task = 'analysis', maxTokens, signal, onSection } = {}) {
+  let onDelta;
+  if (onSection) {
+    const reader = createJsonSectionReader();
+    onDelta = delta => reader.push(delta).forEach(([key, value]) => onSection(key, value));
+  }
 
-    const content = response.choices[0].message.content;
-    
+  return requestWithRepairs(task, messages, content => {
     try {
-      const analysis = JSON.parse(content);
-      logger.info('Financial analysis completed successfully');
-      return analysis;
-    } catch (parseError) {
-      logger.error('Failed to parse LLM response as JSON:', parseError);
+      const result = extractJson(content);
+      const validation = validate(result);
       return {
-        error: 'Analysis parsing failed',
-        rawResponse: content
+        isValid: validation.isValid,
+        result,
+        errors: validation.isValid ? [] : validation.errors.map(e => `${e.field || '(root)'} ${e.message}`)
       };
+    } catch (parseError) {
+      return { isValid: false, errors: [parseError.message] };
     }
-  } catch (error) {
-    logger.error('Financial analysis failed:', error);
-    throw error;
-  }
+  }, {
+    maxTokens,
+    signal,
+    onDelta,
+    repairPrompt: errors => `Your response is not valid against the required output format:\n- ${errors.join('\n- ')}\n\nReply with the corrected JSON object only.`
+  });
 }
 
 /**
- * Research financial topics using AI (adapted from your research tool)
- * @param {string} topic - Research topic
- * @param {string} context - Additional context
- * @returns {Promise<string>} Research insights
+ * Requests an answer from a task's model and checks it, sending the problems
+ * found back to the model until the answer passes or the repair attempts run out.
+ * An empty answer counts as a failed attempt and is asked for again as is.
+ * @param {string} task - LLM task whose model answers
+ * @param {Array} messages - Initial chat messages; repair turns are appended to it
+ * @param {Function} check - Called with the answer's content, returns { isValid, result, errors }
+ *   where errors are strings describing what to fix
+ * @param {Object} options - Call options
+ * @param {Function} options.repairPrompt - Builds the repair message from the errors
+ * @param {number} [options.maxTokens] - Override for the task's maxTokens
+ * @param {AbortSignal} [options.signal] - Aborts the in-flight call
+ * @param {Function} [options.onDelta] - Streams the first attempt's raw content
+ * @returns {Promise<Object>} Object with the checked result and llm ({ provider, model, repairAttempts })
+ * @throws {Error} With code ANALYSIS_OUTPUT_INVALID when the answer never passes
  */
-export async function researchFinancialTopic(topic, context = '') {
-  const messages = [
-    { role: 'system', content: 'You are a financial research assistant specializing in market analysis, regulatory compliance, and industry trends.' },
-    { role: 'user', content: `Research topic: ${topic}\n\nContext: ${context}\n\nProvide comprehensive insights including current trends, regulatory considerations, and practical implications for financial analysis.` }
-  ];
-  
-  return openRouterChat(messages, 'gpt-3.5-turbo', 500);
+export async function requestWithRepairs(task, messages, check, { repairPrompt, maxTokens, signal, onDelta }) {
+  let content;
+  let errors = [];
+  for (let attempt = 0; attempt <= config.llm.maxRepairAttempts; attempt++) {
+    signal?.throwIfAborted();
+    const response = await chatCompletion(task, messages, { maxTokens, signal, onDelta: attempt === 0 ? onDelta : undefined });
+    content = response.content;
+
+    if (!content?.trim()) {
+      errors = ['The model returned an empty response'];
+      logger.warn('LLM returned an empty response', { task, attempt });
+      continue;
+    }
+
+    const outcome = check(content);
+    if (outcome.isValid) {
+      return { result: outcome.result, llm: { provider: response.provider, model: response.model, repairAttempts: attempt } };
+    }
+    errors = outcome.errors;
+
+    logger.warn('LLM output failed its checks', { task, attempt, errors });
+    messages.push(
+      { role: 'assistant', content },
+      { role: 'user', content: repairPrompt(errors) }
+    );
+  }
+
+  const error = new Error(`Model output still invalid after ${config.llm.maxRepairAttempts} repair attempts`);
+  error.code = 'ANALYSIS_OUTPUT_INVALID';
+  error.validationErrors = errors;
+  error.rawResponse = content;
+  throw error;
 }
 
 /**
@@ -136,5 +303,6 @@ export async function researchFinancialTopic(topic, context = '') {
  */
 export async function generateFinancialSummary(dataDescription) {
   const prompt = `Summarize key financial insights from the following data description in 3 bullet points:\n${dataDescription}`;
-  return openRouterChat([{ role: 'user', content: prompt }], 'gpt-3.5-turbo', 150);
+  const { content } = await chatCompletion('summarization', [{ role: 'user', content: prompt }]);
+  return content;
 }
\ No newline at end of file
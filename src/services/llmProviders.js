@@ -0,0 +1,136 @@
+import OpenAI from 'openai';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { withFixture } from './fixtures.js';
+
+export const LLM_PROVIDERS = ['openrouter', 'openai-compatible', 'none'];
+
+// One SDK client per provider and base URL
+const clients = new Map();
+
+/**
+ * Gets the provider settings for a task (analysis, summarization, research)
+ * @param {string} task - Task name
+ * @returns {Object} Task settings with provider, model, baseUrl, maxTokens and temperature
+ */
+export function getTaskSettings(task) {
+  const settings = config.llm.tasks[task];
+  if (!settings) {
+    throw new Error(`Unknown LLM task: ${task}`);
+  }
+  if (!LLM_PROVIDERS.includes(settings.provider)) {
+    throw new Error(`Unknown LLM provider "${settings.provider}" for ${task}. Allowed: ${LLM_PROVIDERS.join(', ')}`);
+  }
+  return settings;
+}
+
+/**
+ * Checks whether a task has an LLM behind it
+ * @param {string} task - Task name
+ * @returns {boolean} False in no-LLM mode
+ */
+export function isLlmEnabled(task) {
+  return getTaskSettings(task).provider !== 'none';
+}
+
+/**
+ * Describes the provider and model configured for each task, without secrets
+ * @returns {Object} Provider, model and base URL per task
+ */
+export function describeProviders() {
+  return Object.fromEntries(Object.keys(config.llm.tasks).map(task => {
+    const { provider, model } = getTaskSettings(task);
+    return [task, provider === 'none' ? { provider } : { provider, model, baseUrl: getBaseUrl(task) }];
+  }));
+}
+
+/**
+ * Sends a chat completion request to the provider configured for a task
+ * @param {string} task - Task name
+ * @param {Array} messages - Chat messages
+ * @param {Object} [options] - Overrides for the task's maxTokens and temperature, an abort
+ *   signal, and onDelta to stream the response (called with each piece of raw content)
+ * @returns {Promise<Object>} Object with content (reasoning tags removed), provider and model
+ * @throws {Error} With code LLM_DISABLED when the task runs without an LLM
+ */
+export async function chatCompletion(task, messages, options = {}) {
+  const settings = getTaskSettings(task);
+  if (settings.provider === 'none') {
+    const error = new Error(`No LLM provider is configured for ${task}`);
+    error.code = 'LLM_DISABLED';
+    throw error;
+  }
+
+  const request = {
+    model: settings.model,
+    messages,
+    max_tokens: options.maxTokens || settings.maxTokens,
+    temperature: options.temperature ?? settings.temperature
+  };
+  let streamed = false;
+
+  // Recorded and replayed by prompt and model when fixtures are on; streaming does not change the key
+  const { content } = await withFixture('llm', { model: settings.model, messages }, async () => {
+    const client = getClient(task);
+    if (!options.onDelta) {
+      const response = await client.chat.completions.create(request, { signal: options.signal });
+      return { content: response.choices?.[0]?.message?.content || '' };
+    }
+
+    const stream = await client.chat.completions.create({ ...request, stream: true }, { signal: options.signal });
+    let text = '';
+    for await (const chunk of stream) {
+      const delta = chunk.choices?.[0]?.delta?.content || '';
+      if (!delta) continue;
+      text += delta;
+      streamed = true;
+      options.onDelta(delta);
+    }
+    return { content: text };
+  });
+
+  // A replayed response arrives in one piece
+  if (options.onDelta && !streamed && content) {
+    options.onDelta(content);
+  }
+
+  logger.debug('LLM completion received', { task, provider: settings.provider, model: settings.model });
+
+  return {
+    content: content.replace(/<think>[\s\S]*?<\/think>/gi, '').trim(),
+    provider: settings.provider,
+    model: settings.model
+  };
+}
+
+function getBaseUrl(task) {
+  const settings = config.llm.tasks[task];
+  return settings.baseUrl || config.llm.providers[settings.provider].baseUrl;
+}
+
+/**
+ * Gets the OpenAI SDK client for a task's provider; OpenRouter and local
+ * servers (Ollama, llama.cpp, vLLM) all speak the OpenAI chat completions API
+ * @param {string} task - Task name
+ * @returns {OpenAI} SDK client
+ */
+function getClient(task) {
+  const { provider } = config.llm.tasks[task];
+  const providerConfig = config.llm.providers[provider];
+  const baseURL = getBaseUrl(task);
+
+  if (provider === 'openrouter' && !providerConfig.apiKey) {
+    throw new Error('OPENROUTER_API_KEY is required for the openrouter provider');
+  }
+
+  const key = `${provider}|${baseURL}`;
+  if (!clients.has(key)) {
+    clients.set(key, new OpenAI({
+      apiKey: providerConfig.apiKey,
+      baseURL,
+      timeout: config.llm.timeoutMs,
+      defaultHeaders: providerConfig.headers
+    }));
+  }
+  return clients.get(key);
+}
\ No newline at end of file
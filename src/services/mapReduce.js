@@ -0,0 +1,226 @@
+import { config } from '../config/index.js';
+import { getEntryId } from './anomalies.js';
+import { isUnpaid, latestBalances } from './kpis.js';
+
+const CATEGORIES = ['invoices', 'expenses', 'payments', 'balances'];
+const CHUNK_BY = ['period', 'category'];
+
+// Provenance and conversion fields the model does not need once each row carries its entry id
+const OMITTED_FIELDS = ['sourceFile', 'sourceSheet', 'sourceRow', 'fxRate', 'fxRateDate'];
+
+/**
+ * Estimates the number of tokens a prompt text uses
+ * @param {string} text - Prompt text
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / config.mapReduce.charsPerToken);
+}
+
+/**
+ * Summarizes a dataset into totals by category, month, expense category and
+ * counterparty, so that a model can reason about it without the raw rows
+ * @param {Object} data - Normalized financial data
+ * @param {Object} [options] - Overrides for config.mapReduce
+ * @returns {Object} Aggregates
+ */
+export function summarizeFinancialData(data, options = {}) {
+  const { topCounterparties } = { ...config.mapReduce, ...options };
+  const invoices = usable(data.invoices);
+  const expenses = usable(data.expenses);
+  const payments = usable(data.payments);
+
+  const dates = [...invoices, ...expenses, ...payments]
+    .map(r => r.date)
+    .filter(date => typeof date === 'string')
+    .sort();
+
+  const months = new Map();
+  const addToMonth = (record, field, amount) => {
+    const month = monthOf(record);
+    if (!months.has(month)) months.set(month, { month, invoiced: 0, expenses: 0, inflow: 0, outflow: 0 });
+    months.get(month)[field] += amount;
+  };
+  invoices.forEach(r => addToMonth(r, 'invoiced', Math.abs(r.amount)));
+  expenses.forEach(r => addToMonth(r, 'expenses', Math.abs(r.amount)));
+  payments.forEach(r => {
+    if (r.type === 'inbound') addToMonth(r, 'inflow', Math.abs(r.amount));
+    if (r.type === 'outbound') addToMonth(r, 'outflow', Math.abs(r.amount));
+  });
+
+  const unpaid = invoices.filter(isUnpaid);
+
+  return {
+    currency: data.metadata?.currency || config.currency.reportingCurrency,
+    period: { start: dates[0] || null, end: dates[dates.length - 1] || null },
+    recordCounts: Object.fromEntries(CATEGORIES.map(category => [category, (data[category] || []).length])),
+    totals: {
+      invoices: { count: invoices.length, amount: total(invoices), unpaidCount: unpaid.length, unpaidAmount: total(unpaid) },
+      expenses: { count: expenses.length, amount: total(expenses) },
+      payments: {
+        count: payments.length,
+        inflow: total(payments.filter(p => p.type === 'inbound')),
+        outflow: total(payments.filter(p => p.type === 'outbound'))
+      }
+    },
+    byMonth: [...months.values()]
+      .sort((a, b) => a.month.localeCompare(b.month))
+      .map(month => ({ ...month, invoiced: round(month.invoiced), expenses: round(month.expenses), inflow: round(month.inflow), outflow: round(month.outflow) })),
+    expensesByCategory: groupTotals(expenses, r => r.category),
+    topCustomers: groupTotals(invoices, r => r.customer || r.counterparty).slice(0, topCounterparties),
+    topVendors: groupTotals(expenses, r => r.vendor || r.counterparty || r.payee).slice(0, topCounterparties),
+    balances: latestBalances(data.balances || []).map(({ account, balance, date }) => ({ account, balance, date: date || null }))
+  };
+}
+
+/**
+ * Splits a dataset into chunks whose rows fit a token budget. Records are
+ * grouped by month or by category; consecutive groups are packed together
+ * and a group too large on its own is split. Each row carries its entry id
+ * so that findings from different chunks refer to the same entries.
+ * @param {Object} data - Normalized financial data
+ * @param {Object} options - Chunking options
+ * @param {number} options.maxTokens - Token budget for the rows of one chunk
+ * @param {string} [options.chunkBy] - 'period' (calendar month) or 'category'
+ * @returns {Array} Chunks ({ label, groups, recordCount, estimatedTokens, data })
+ */
+export function chunkFinancialData(data, { maxTokens, chunkBy = config.mapReduce.chunkBy }) {
+  if (!CHUNK_BY.includes(chunkBy)) {
+    throw new Error(`Invalid chunkBy "${chunkBy}". Allowed: ${CHUNK_BY.join(', ')}`);
+  }
+
+  const groups = new Map();
+  CATEGORIES.forEach(category => {
+    (data[category] || []).forEach((record, index) => {
+      if (!record || typeof record !== 'object') return;
+      const row = compactRecord(record, category, index);
+      const key = chunkBy === 'period' ? monthOf(record) : category;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push({ category, row, tokens: estimateTokens(JSON.stringify(row)) + 1 });
+    });
+  });
+
+  const keys = [...groups.keys()].sort((a, b) => chunkBy === 'period' ? compareMonths(a, b) : 0);
+
+  const chunks = [];
+  let current = null;
+  const startChunk = () => {
+    current = { groups: [], items: [], tokens: 0 };
+    chunks.push(current);
+  };
+
+  keys.forEach(key => {
+    const items = groups.get(key);
+    const groupTokens = items.reduce((sum, item) => sum + item.tokens, 0);
+    if (!current || (current.tokens + groupTokens > maxTokens && current.items.length > 0)) startChunk();
+
+    items.forEach(item => {
+      if (current.tokens + item.tokens > maxTokens && current.items.length > 0) startChunk();
+      if (!current.groups.includes(key)) current.groups.push(key);
+      current.items.push(item);
+      current.tokens += item.tokens;
+    });
+  });
+
+  return chunks.map(({ groups: chunkGroups, items, tokens }) => {
+    const chunkData = Object.fromEntries(CATEGORIES.map(category => [category, []]));
+    items.forEach(({ category, row }) => chunkData[category].push(row));
+    return {
+      label: chunkGroups.length > 1 ? `${chunkGroups[0]} to ${chunkGroups[chunkGroups.length - 1]}` : chunkGroups[0],
+      groups: chunkGroups,
+      recordCount: items.length,
+      estimatedTokens: tokens,
+      data: chunkData
+    };
+  });
+}
+
+/**
+ * Merges the findings of per-chunk analyses: anomalies are kept once per entry
+ * and type, suggestions once per category and wording, observations in chunk order
+ * @param {Array} chunkResults - Chunk analyses ({ label, analysis })
+ * @returns {Object} Merged anomalies, procurementSuggestions and observations
+ */
+export function mergeChunkAnalyses(chunkResults) {
+  const anomalies = new Map();
+  const suggestions = new Map();
+  const observations = [];
+
+  chunkResults.forEach(({ label, analysis }) => {
+    (analysis.anomalies || []).forEach(anomaly => {
+      const key = `${anomaly.entryId}|${anomaly.type}`;
+      if (!anomalies.has(key)) anomalies.set(key, { ...anomaly, chunk: label });
+    });
+    (analysis.procurementSuggestions || []).forEach(suggestion => {
+      const key = `${normalize(suggestion.category)}|${normalize(suggestion.suggestion)}`;
+      if (!suggestions.has(key)) suggestions.set(key, suggestion);
+    });
+    (analysis.observations || []).forEach(observation => observations.push(`${label}: ${observation}`));
+  });
+
+  return {
+    anomalies: [...anomalies.values()],
+    procurementSuggestions: [...suggestions.values()],
+    observations
+  };
+}
+
+/**
+ * Reduces a record to the fields the model needs, identified by its entry id
+ * @param {Object} record - Financial record
+ * @param {string} category - Record category
+ * @param {number} index - Position within the category
+ * @returns {Object} Compact record
+ */
+function compactRecord(record, category, index) {
+  const row = { id: getEntryId(record, category, index) };
+  Object.entries(record).forEach(([field, value]) => {
+    if (field === 'id' || OMITTED_FIELDS.includes(field) || value === null || value === undefined || value === '') return;
+    row[field] = value;
+  });
+  return row;
+}
+
+function usable(records) {
+  return (records || []).filter(r => r && !r.fxRateMissing && typeof r.amount === 'number');
+}
+
+function monthOf(record) {
+  const date = record.date || record.dueDate || record.due_date;
+  return typeof date === 'string' && /^\d{4}-\d{2}/.test(date) ? date.slice(0, 7) : 'undated';
+}
+
+// Months in calendar order, undated records last
+function compareMonths(a, b) {
+  if (a === 'undated') return b === 'undated' ? 0 : 1;
+  if (b === 'undated') return -1;
+  return a.localeCompare(b);
+}
+
+function groupTotals(records, keyOf) {
+  const groups = new Map();
+  records.forEach(record => {
+    const key = keyOf(record);
+    if (typeof key !== 'string' || !key.trim()) return;
+    const name = key.trim();
+    if (!groups.has(name)) groups.set(name, { name, count: 0, amount: 0 });
+    const group = groups.get(name);
+    group.count++;
+    group.amount += Math.abs(record.amount);
+  });
+  return [...groups.values()]
+    .map(group => ({ ...group, amount: round(group.amount) }))
+    .sort((a, b) => b.amount - a.amount);
+}
+
+function total(records) {
+  return round(records.reduce((sum, r) => sum + Math.abs(r.amount), 0));
+}
+
+function normalize(text) {
+  return String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
\ No newline at end of file
@@ -1,19 +1,38 @@
 import { parse } from 'csv-parse/sync';
+import XLSX from 'xlsx';
 import { logger } from '../utils/logger.js';
+import { interpretRecords, parseAmount } from '../utils/localeParsing.js';
+
+// Sheet names (lowercased, non-letters stripped) that map directly to a category
+const SHEET_CATEGORY_ALIASES = {
+  invoices: ['invoice', 'invoices', 'sales', 'receivables', 'accountsreceivable', 'ar'],
+  expenses: ['expense', 'expenses', 'costs', 'spend', 'purchases'],
+  payments: ['payment', 'payments', 'transactions', 'bank', 'cash'],
+  balances: ['balance', 'balances', 'accounts', 'trialbalance']
+};
+
+const FINANCIAL_CATEGORIES = ['invoices', 'expenses', 'payments', 'balances'];
+
+// Number of leading rows scanned when looking for a sheet's header row
+const HEADER_SCAN_ROWS = 10;
 
 /**
- * Parses CSV data into JSON format
+ * Parses CSV data into JSON format. Values are left as strings; run the
+ * records through interpretRecords to read amounts and dates.
  * @param {Buffer|string} csvData - CSV data to parse
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.sourceFile] - File name to tag each record with, along with its line number
  * @returns {Array} Parsed data array
  */
-export function parseCSV(csvData) {
+export function parseCSV(csvData, { sourceFile } = {}) {
   try {
     const records = parse(csvData, {
       columns: true,
       skip_empty_lines: true,
       trim: true,
-      cast: true,
-      cast_date: true
+      on_record: (record, context) => (
+        sourceFile ? { ...record, sourceFile, sourceRow: context.lines } : record
+      )
     });
     
     logger.info(`Successfully parsed CSV with ${records.length} records`);
@@ -24,6 +43,320 @@ export function parseCSV(csvData) {
   }
 }
 
+/**
+ * Splits an uploaded file into tables of raw records, tagging every record
+ * with the file name and row it came from. CSV files and flat JSON arrays are
+ * a single uncategorized table; workbook sheets and categorized JSON keep the
+ * category their sheet name or key implies. Amounts and dates are read with
+ * the upload's locale under the file's own column names, as a preview shows
+ * them; cells that cannot be read are listed in each table's issues.
+ * @param {Object} file - Uploaded file object (originalname, mimetype, buffer)
+ * @param {Object} [options] - Parsing options
+ * @param {Object} [options.locale] - Locale options (decimalSeparator, dateOrder)
+ * @returns {Array} Array of { name, category, records, issues } (category is null when unknown)
+ */
+export function extractTables(file, { locale = {} } = {}) {
+  return readTables(file).map(({ fromText, ...table }) => {
+    // Text formats carry no types, so plain numeric cells are cast as csv-parse used to
+    const { records, issues } = interpretRecords(table.records, { ...locale, castNumbers: Boolean(fromText) });
+    return { ...table, records, issues };
+  });
+}
+
+/**
+ * Reads the raw tables of an uploaded file by format
+ * @param {Object} file - Uploaded file object (originalname, mimetype, buffer)
+ * @returns {Array} Array of { name, category, records, fromText }
+ */
+function readTables(file) {
+  const sourceFile = file.originalname;
+  const filename = sourceFile.toLowerCase();
+
+  if (/\.xlsx?$/.test(filename)) {
+    return parseExcelSheets(file.buffer, { sourceFile });
+  }
+
+  if (file.mimetype === 'text/csv' || filename.endsWith('.csv')) {
+    const records = parseCSV(file.buffer.toString('utf8'), { sourceFile });
+    return [{ name: sourceFile, category: null, records, fromText: true }];
+  }
+
+  let data;
+  try {
+    data = JSON.parse(file.buffer.toString('utf8'));
+  } catch {
+    throw new Error(`Invalid JSON format in ${sourceFile}`);
+  }
+
+  // JSON has no line structure; the row is the record's position in its array
+  const tag = records => records.map((record, index) => (
+    record && typeof record === 'object' ? { ...record, sourceFile, sourceRow: index + 1 } : record
+  ));
+
+  if (Array.isArray(data)) {
+    return [{ name: sourceFile, category: null, records: tag(data) }];
+  }
+
+  return FINANCIAL_CATEGORIES
+    .filter(category => Array.isArray(data?.[category]))
+    .map(category => ({ name: `${sourceFile}#${category}`, category, records: tag(data[category]) }));
+}
+
+/**
+ * Parses an uploaded file into categorized financial data. Amounts and dates
+ * are read once the records are categorized, so that columns a mapping renames
+ * (say "Betrag" to amount) are read under their field names.
+ * @param {Object} file - Uploaded file object (originalname, mimetype, buffer)
+ * @param {Object} [options] - Parsing options
+ * @param {Function} [options.categorize] - Splits an uncategorized table's records into categories;
+ *   defaults to detecting each record's type from its fields
+ * @param {Object} [options.locale] - Locale options (decimalSeparator, dateOrder)
+ * @returns {Object} Financial data object with invoices, expenses, payments, balances and parseIssues
+ */
+export function parseUploadedFile(file, { categorize = categorizeFlatData, locale = {} } = {}) {
+  const data = {
+    invoices: [],
+    expenses: [],
+    payments: [],
+    balances: [],
+    source: 'file_upload',
+    parseIssues: []
+  };
+
+  readTables(file).forEach(({ fromText, ...table }) => {
+    const categorized = table.category ? { [table.category]: table.records } : categorize(table.records);
+    FINANCIAL_CATEGORIES.forEach(category => {
+      const { records, issues } = interpretRecords(categorized[category] || [], { ...locale, castNumbers: Boolean(fromText) });
+      data[category].push(...records);
+      data.parseIssues.push(...issues);
+    });
+  });
+
+  return data;
+}
+
+/**
+ * Merges several parsed files into one normalized dataset
+ * @param {Array} datasets - Array of { name, data } where data is a record array or categorized object
+ * @returns {Object} Normalized financial data with per-file counts in metadata
+ */
+export function mergeFinancialData(datasets) {
+  const merged = {
+    invoices: [],
+    expenses: [],
+    payments: [],
+    balances: [],
+    source: 'multi_file_upload',
+    files: [],
+    parseIssues: []
+  };
+
+  datasets.forEach(({ name, data }) => {
+    const categorized = Array.isArray(data) ? categorizeFlatData(data) : data;
+    const counts = {};
+
+    FINANCIAL_CATEGORIES.forEach(category => {
+      const records = categorized[category] || [];
+      merged[category].push(...records);
+      counts[category] = records.length;
+    });
+
+    merged.files.push({ name, recordCount: getTotalRecordCount(categorized), ...counts });
+    merged.parseIssues.push(...(categorized.parseIssues || []));
+  });
+
+  return normalizeFinancialData(merged);
+}
+
+/**
+ * Parses each non-empty sheet of an Excel workbook into records
+ * @param {Buffer} workbookData - Workbook file contents
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.sourceFile] - File name to tag each record with, along with its sheet and row
+ * @returns {Array} Array of { name, category, records } where category comes from the sheet name
+ */
+function parseExcelSheets(workbookData, { sourceFile } = {}) {
+  let workbook;
+  try {
+    workbook = XLSX.read(workbookData, { type: 'buffer', cellDates: true });
+  } catch (error) {
+    logger.error('Excel parsing error:', error);
+    throw new Error(`Invalid Excel format: ${error.message}`);
+  }
+
+  const sheets = [];
+
+  workbook.SheetNames.forEach(sheetName => {
+    const records = parseSheet(workbook.Sheets[sheetName], sourceFile && { sourceFile, sourceSheet: sheetName });
+    if (records.length === 0) return;
+
+    const category = detectSheetCategory(sheetName);
+    sheets.push({ name: sheetName, category, records });
+
+    logger.info(`Parsed sheet "${sheetName}" with ${records.length} records`, {
+      category: category || 'auto'
+    });
+  });
+
+  return sheets;
+}
+
+/**
+ * Converts a worksheet into an array of records keyed by its header row
+ * @param {Object} sheet - SheetJS worksheet
+ * @param {Object} [provenance] - Fields to add to each record, plus its 1-based sheet row as sourceRow
+ * @returns {Array} Parsed records
+ */
+function parseSheet(sheet, provenance) {
+  if (!sheet || !sheet['!ref']) return [];
+
+  const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: null, blankrows: true });
+  const merges = sheet['!merges'] || [];
+  fillMergedCells(rows, merges);
+
+  const headerIndex = detectHeaderRow(rows);
+  if (headerIndex === -1) return [];
+
+  let headers = rows[headerIndex];
+  let dataStart = headerIndex + 1;
+
+  // A horizontally merged header row is a group header; use the row below for column names
+  const hasGroupHeader = merges.some(m => m.s.r === headerIndex && m.e.c > m.s.c);
+  if (hasGroupHeader && isHeaderLike(rows[dataStart])) {
+    headers = headers.map((value, i) => rows[dataStart][i] ?? value);
+    dataStart += 1;
+  }
+
+  const columns = buildColumnNames(headers);
+
+  const firstRow = XLSX.utils.decode_range(sheet['!ref']).s.r;
+  const records = [];
+
+  rows.slice(dataStart).forEach((row, offset) => {
+    if (!row) return;
+
+    const record = {};
+    columns.forEach((column, i) => {
+      if (!column) return;
+      const value = convertCellValue(row[i], column);
+      if (value !== null && value !== '') {
+        record[column] = value;
+      }
+    });
+
+    if (Object.keys(record).length > 0) {
+      records.push(provenance
+        ? { ...record, ...provenance, sourceRow: firstRow + dataStart + offset + 1 }
+        : record);
+    }
+  });
+
+  return records;
+}
+
+/**
+ * Copies the top-left value of every merged range into the rest of the range
+ * @param {Array} rows - Sheet rows as arrays of cell values
+ * @param {Array} merges - SheetJS merge ranges
+ */
+function fillMergedCells(rows, merges) {
+  merges.forEach(({ s, e }) => {
+    const value = rows[s.r]?.[s.c] ?? null;
+    for (let r = s.r; r <= e.r; r++) {
+      if (!rows[r]) rows[r] = [];
+      for (let c = s.c; c <= e.c; c++) {
+        rows[r][c] = value;
+      }
+    }
+  });
+}
+
+/**
+ * Finds the header row: the first of the leading rows that is mostly text
+ * and about as wide as the widest row, skipping report titles and blank lines
+ * @param {Array} rows - Sheet rows
+ * @returns {number} Index of the header row, or -1 if none was found
+ */
+function detectHeaderRow(rows) {
+  const filledCount = row => (row || []).filter(cell => cell !== null && cell !== '').length;
+  const maxWidth = Math.max(0, ...rows.slice(0, HEADER_SCAN_ROWS * 2).map(filledCount));
+  const minWidth = Math.max(2, Math.ceil(maxWidth / 2));
+
+  const limit = Math.min(rows.length, HEADER_SCAN_ROWS);
+  for (let i = 0; i < limit; i++) {
+    if (filledCount(rows[i]) >= minWidth && isHeaderLike(rows[i])) {
+      return i;
+    }
+  }
+
+  return rows.length > 0 && filledCount(rows[0]) > 0 ? 0 : -1;
+}
+
+/**
+ * Checks whether every filled cell in a row is text
+ * @param {Array} row - Sheet row
+ * @returns {boolean} True if the row looks like a header row
+ */
+function isHeaderLike(row) {
+  if (!row) return false;
+  const filled = row.filter(cell => cell !== null && cell !== '');
+  return filled.length > 0 && filled.every(cell => typeof cell === 'string' && !/^-?[\d.,]+$/.test(cell.trim()));
+}
+
+/**
+ * Builds unique, trimmed column names from a header row
+ * @param {Array} headers - Header row values
+ * @returns {Array} Column names (null for empty header cells)
+ */
+function buildColumnNames(headers) {
+  const seen = {};
+  return headers.map(header => {
+    if (header === null || String(header).trim() === '') return null;
+    const name = String(header).trim();
+    seen[name] = (seen[name] || 0) + 1;
+    return seen[name] > 1 ? `${name}_${seen[name]}` : name;
+  });
+}
+
+/**
+ * Converts a raw cell value into an ISO date for date-formatted cells and for
+ * unformatted Excel date serials in date-named columns
+ * @param {*} value - Raw cell value
+ * @param {string} column - Column name
+ * @returns {*} Converted value
+ */
+function convertCellValue(value, column) {
+  if (typeof value === 'string') {
+    return value.trim();
+  }
+
+  if (value instanceof Date) {
+    const local = new Date(value.getTime() - value.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 10);
+  }
+
+  if (typeof value === 'number' && /date|due|period/i.test(column) && value > 0 && value < 2958466) {
+    const parsed = XLSX.SSF.parse_date_code(value);
+    if (parsed) {
+      const pad = n => String(n).padStart(2, '0');
+      return `${parsed.y}-${pad(parsed.m)}-${pad(parsed.d)}`;
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Maps a sheet name to a financial category when it matches a known alias
+ * @param {string} sheetName - Worksheet name
+ * @returns {string|null} Category name or null
+ */
+function detectSheetCategory(sheetName) {
+  const key = sheetName.toLowerCase().replace(/[^a-z]/g, '');
+  const match = Object.entries(SHEET_CATEGORY_ALIASES).find(([, aliases]) => aliases.includes(key));
+  return match ? match[0] : null;
+}
+
 /**
  * Normalizes various input formats into a standard financial data structure
  * @param {*} input - Input data (JSON string, object, or array)
@@ -58,7 +391,14 @@ export function normalizeFinancialData(input) {
       metadata: {
         source: data.source || 'manual_input',
         timestamp: new Date().toISOString(),
-        recordCount: getTotalRecordCount(data)
+        recordCount: getTotalRecordCount(data),
+        ...(typeof (data.currency || data.metadata?.currency) === 'string' && {
+          currency: data.currency || data.metadata.currency
+        }),
+        ...((data.files || data.metadata?.files) && { files: data.files || data.metadata.files }),
+        ...((data.parseIssues || data.metadata?.parseIssues) && {
+          parseIssues: data.parseIssues || data.metadata.parseIssues
+        })
       }
     };
     
@@ -81,7 +421,7 @@ export function normalizeFinancialData(input) {
  * @param {Array} flatData - Array of financial records
  * @returns {Object} Categorized data object
  */
-function categorizeFlatData(flatData) {
+export function categorizeFlatData(flatData) {
   const categorized = {
     invoices: [],
     expenses: [],
@@ -107,19 +447,11 @@ function categorizeFlatData(flatData) {
  * @param {Object} record - Financial record
  * @returns {string} Record type (invoices, expenses, payments, balances)
  */
-function detectRecordType(record) {
+export function detectRecordType(record) {
   // First check if there's an explicit 'type' field
-  if (record.type) {
-    const type = record.type.toLowerCase();
-    if (type === 'invoice' || type === 'bill') {
-      return 'invoices';
-    } else if (type === 'payment' || type === 'transaction') {
-      return 'payments';
-    } else if (type === 'expense') {
-      return 'expenses';
-    } else if (type === 'balance') {
-      return 'balances';
-    }
+  const explicit = categoryForType(record.type);
+  if (explicit) {
+    return explicit;
   }
   
   // Fallback to checking field names
@@ -136,6 +468,27 @@ function detectRecordType(record) {
   }
 }
 
+/**
+ * Maps a record type value (e.g. "invoice", "payment") to its financial category
+ * @param {*} type - Type value from a record
+ * @returns {string|null} Category name, or null if the value is not a known type
+ */
+export function categoryForType(type) {
+  if (typeof type !== 'string') return null;
+
+  const value = type.trim().toLowerCase();
+  if (value === 'invoice' || value === 'bill') {
+    return 'invoices';
+  } else if (value === 'payment' || value === 'transaction' || value === 'inbound' || value === 'outbound') {
+    return 'payments';
+  } else if (value === 'expense') {
+    return 'expenses';
+  } else if (value === 'balance') {
+    return 'balances';
+  }
+  return null;
+}
+
 /**
  * Gets total record count from normalized data
  * @param {Object} data - Financial data object
@@ -157,7 +510,7 @@ export function cleanFinancialData(data) {
   const cleaned = { ...data };
   
   // Clean each category
-  ['invoices', 'expenses', 'payments', 'balances'].forEach(category => {
+  FINANCIAL_CATEGORIES.forEach(category => {
     if (cleaned[category]) {
       cleaned[category] = cleaned[category]
         .filter(record => record && typeof record === 'object')
@@ -186,9 +539,10 @@ function cleanRecord(record) {
       if (value === '') return;
     }
     
-    // Convert numeric strings to numbers
-    if (typeof value === 'string' && /^-?\d+\.?\d*$/.test(value)) {
-      value = parseFloat(value);
+    // Convert numeric strings (including "$1,200" and "(50.00)") to numbers
+    if (typeof value === 'string') {
+      const amount = parseAmount(value);
+      if (amount !== null) value = amount;
     }
     
     cleaned[key] = value;
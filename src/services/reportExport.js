@@ -0,0 +1,494 @@
+import XLSX from 'xlsx';
+import PDFDocument from 'pdfkit';
+import { config } from '../config/index.js';
+
+export const EXPORT_FORMATS = {
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' }
+};
+
+const CATEGORIES = ['invoices', 'expenses', 'payments', 'balances'];
+
+const KPI_LABELS = {
+  grossMargin: { label: 'Gross Margin', unit: 'percent' },
+  netBurnRate: { label: 'Net Burn Rate (per month)', unit: 'amount' },
+  dso: { label: 'Days Sales Outstanding', unit: 'days' },
+  dpo: { label: 'Days Payable Outstanding', unit: 'days' },
+  currentRatio: { label: 'Current Ratio', unit: 'ratio' },
+  runway: { label: 'Runway', unit: 'months' }
+};
+
+// Template sections the report shows from the computed results instead of the model's
+const COMPUTED_SECTIONS = ['anomalies', 'kpis'];
+
+const SEVERITY_COLORS = { high: '#d32f2f', medium: '#ed6c02', low: '#2e7d32' };
+
+/**
+ * Collects what a report shows from an analysis response body: the executive
+ * summary, computed KPIs, forecast, anomalies and the template's other sections
+ * @param {Object} result - Analysis response body (analysis, kpis, forecast, template, timestamp)
+ * @param {Object} [data] - Normalized financial data the analysis ran on
+ * @returns {Object} Report model shared by the renderers
+ */
+export function buildReport(result, data = {}) {
+  const analysis = result.analysis || {};
+  const template = result.template || {};
+  const sections = (template.sections || []).filter(section => !COMPUTED_SECTIONS.includes(section.key));
+  // The executive summary is the model's summary, else the template's first text section
+  const summaryKey = typeof analysis.summary === 'string'
+    ? 'summary'
+    : sections.find(section => section.type === 'text' && typeof analysis[section.key] === 'string')?.key;
+  const currency = result.kpis?.currency || data.metadata?.currency || config.currency.reportingCurrency;
+
+  return {
+    brand: config.reports.brandName,
+    title: `${template.title || 'Financial Analysis'} Report`,
+    generatedAt: new Date().toISOString(),
+    analyzedAt: result.timestamp || null,
+    template: { id: template.id || null, version: template.version || null, title: template.title || null },
+    model: analysis.llm?.model ? `${analysis.llm.model} (${analysis.llm.provider})` : 'none (computed results only)',
+    currency,
+    period: result.kpis?.period || null,
+    summary: summaryKey ? analysis[summaryKey] : null,
+    kpis: Object.entries(result.kpis?.details || {}).map(([key, detail]) => ({
+      key,
+      label: KPI_LABELS[key]?.label || key,
+      value: detail.value,
+      display: formatKpi(key, detail.value, currency),
+      formula: detail.formula,
+      note: detail.note || ''
+    })),
+    discrepancies: result.kpis?.discrepancies || [],
+    forecast: Object.entries(result.forecast?.cashFlowForecast || analysis.cashFlowForecast || {}).map(([month, values]) => ({
+      month,
+      inflow: values.inflow,
+      outflow: values.outflow,
+      netFlow: values.netFlow,
+      cumulativeBalance: values.cumulativeBalance ?? values.endingBalance ?? null,
+      balanceLower: values.confidenceBands?.cumulativeBalance?.lower ?? null,
+      balanceUpper: values.confidenceBands?.cumulativeBalance?.upper ?? null
+    })),
+    confidenceLevel: result.forecast?.confidenceLevel ?? null,
+    anomalies: (analysis.anomalies || []).map(anomaly => ({
+      severity: anomaly.severity || 'low',
+      entryId: anomaly.entryId ?? '',
+      category: anomaly.category || '',
+      type: anomaly.type || '',
+      issue: anomaly.issue || '',
+      source: anomaly.source || 'statistical'
+    })),
+    sections: sections
+      .filter(section => section.key !== summaryKey)
+      .map(section => ({ ...section, value: analysis[section.key] }))
+      .filter(section => !isEmpty(section.value)),
+    data: Object.fromEntries(CATEGORIES.map(category => [category, data[category] || []]))
+  };
+}
+
+/**
+ * Renders an analysis in an export format
+ * @param {Object} result - Analysis response body
+ * @param {Object} data - Normalized financial data the analysis ran on
+ * @param {string} format - pdf, xlsx or markdown
+ * @returns {Promise<Object>} Object with content (Buffer or string), contentType and filename
+ */
+export async function exportReport(result, data, format) {
+  const settings = EXPORT_FORMATS[format];
+  if (!settings) {
+    throw new Error(`Unknown export format "${format}". Allowed: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  const report = buildReport(result, data);
+  const renderers = { pdf: renderPdf, xlsx: renderWorkbook, markdown: renderMarkdown };
+  const date = (report.analyzedAt || report.generatedAt).slice(0, 10);
+
+  return {
+    content: await renderers[format](report),
+    contentType: settings.contentType,
+    filename: `${report.template.id || 'financial'}-analysis-${date}.${settings.extension}`
+  };
+}
+
+/**
+ * Renders a report as Markdown, with tables for KPIs, forecast and anomalies
+ * @param {Object} report - Report model from buildReport
+ * @returns {string} Markdown document
+ */
+export function renderMarkdown(report) {
+  const lines = [
+    `# ${report.title}`,
+    '',
+    `_${report.brand} · ${describeReport(report)}_`,
+    ''
+  ];
+
+  if (report.summary) {
+    lines.push('## Executive Summary', '', report.summary, '');
+  }
+
+  lines.push('## Key Metrics', '', markdownTable(['KPI', 'Value', 'Formula', 'Note'],
+    report.kpis.map(k => [k.label, k.display, `\`${k.formula}\``, k.note])), '');
+  if (report.discrepancies.length > 0) {
+    lines.push(`> ${report.discrepancies.length} KPI(s) reported by the model differ from the computed values: ${report.discrepancies.map(d => d.kpi).join(', ')}`, '');
+  }
+
+  if (report.forecast.length > 0) {
+    const confidence = report.confidenceLevel ? ` (${report.confidenceLevel * 100}% range)` : '';
+    lines.push('## Cash-Flow Forecast', '', markdownTable(['Month', 'Inflow', 'Outflow', 'Net Flow', 'Balance', `Balance Range${confidence}`],
+      report.forecast.map(f => [
+        f.month,
+        formatAmount(f.inflow),
+        formatAmount(f.outflow),
+        formatAmount(f.netFlow),
+        formatAmount(f.cumulativeBalance),
+        f.balanceLower === null ? '' : `${formatAmount(f.balanceLower)} to ${formatAmount(f.balanceUpper)}`
+      ])), '');
+  }
+
+  lines.push('## Anomalies', '');
+  lines.push(report.anomalies.length > 0
+    ? markdownTable(['Severity', 'Entry', 'Type', 'Issue', 'Source'],
+      report.anomalies.map(a => [a.severity, a.entryId, a.type, a.issue, a.source]))
+    : 'No anomalies found.', '');
+
+  report.sections.forEach(section => {
+    lines.push(`## ${section.title}`, '');
+    if (section.type === 'text') {
+      lines.push(String(section.value));
+    } else if (section.type === 'list') {
+      section.value.forEach(item => lines.push(`- ${describeListItem(section, item)}`));
+    } else {
+      lines.push(markdownTable(['Metric', 'Value'], Object.entries(section.value).map(([key, value]) => [key, formatCell(value)])));
+    }
+    lines.push('');
+  });
+
+  return lines.join('\n').trimEnd() + '\n';
+}
+
+/**
+ * Renders a report as an XLSX workbook: one sheet per report section, then
+ * one sheet per category of the normalized data
+ * @param {Object} report - Report model from buildReport
+ * @returns {Buffer} Workbook file
+ */
+export function renderWorkbook(report) {
+  const workbook = XLSX.utils.book_new();
+  const addSheet = (name, sheet) => XLSX.utils.book_append_sheet(workbook, sheet, uniqueSheetName(workbook, name));
+
+  addSheet('Summary', XLSX.utils.aoa_to_sheet([
+    ['Report', report.title],
+    ['Prepared by', report.brand],
+    ['Analysis', report.template.title ? `${report.template.title} v${report.template.version}` : ''],
+    ['Model', report.model],
+    ['Period', report.period?.start ? `${report.period.start} to ${report.period.end}` : ''],
+    ['Currency', report.currency],
+    ['Analyzed at', report.analyzedAt || ''],
+    ['Generated at', report.generatedAt],
+    ['Executive summary', report.summary || '']
+  ]));
+  addSheet('KPIs', XLSX.utils.json_to_sheet(report.kpis.map(k => ({
+    KPI: k.label,
+    Value: k.value,
+    Formula: k.formula,
+    Note: k.note
+  }))));
+  addSheet('Forecast', XLSX.utils.json_to_sheet(report.forecast));
+  addSheet('Anomalies', XLSX.utils.json_to_sheet(report.anomalies));
+
+  report.sections.forEach(section => {
+    let sheet;
+    if (section.type === 'text') {
+      sheet = XLSX.utils.aoa_to_sheet([[section.value]]);
+    } else if (section.type === 'list') {
+      sheet = XLSX.utils.json_to_sheet(section.value.map(item => (typeof item === 'object' ? flattenRow(item) : { value: item })));
+    } else {
+      sheet = XLSX.utils.aoa_to_sheet(Object.entries(section.value).map(([key, value]) => [key, formatCell(value)]));
+    }
+    addSheet(section.title, sheet);
+  });
+
+  CATEGORIES.forEach(category => {
+    const rows = report.data[category];
+    if (rows.length > 0) {
+      addSheet(`Data - ${category}`, XLSX.utils.json_to_sheet(rows.map(flattenRow)));
+    }
+  });
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+/**
+ * Renders a report as a branded PDF: header, executive summary, KPI table,
+ * forecast chart, anomaly list and the template's other sections
+ * @param {Object} report - Report model from buildReport
+ * @returns {Promise<Buffer>} PDF file
+ */
+export function renderPdf(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      bufferPages: true,
+      info: { Title: report.title, Author: report.brand, CreationDate: new Date(report.generatedAt) }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const brandColor = config.reports.brandColor;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const left = doc.page.margins.left;
+
+    // Header band
+    doc.rect(0, 0, doc.page.width, 80).fill(brandColor);
+    doc.fillColor('#ffffff').fontSize(10).text(report.brand.toUpperCase(), left, 22, { characterSpacing: 1 });
+    doc.fontSize(20).text(report.title, left, 38);
+    doc.fillColor('#555555').fontSize(9).text(describeReport(report), left, 95, { width });
+    doc.moveDown(1.5);
+
+    const heading = text => {
+      ensureSpace(doc, 60);
+      doc.moveDown(0.5).fillColor(brandColor).fontSize(14).text(text, left, doc.y);
+      doc.moveTo(left, doc.y + 2).lineTo(left + width, doc.y + 2).lineWidth(0.5).strokeColor(brandColor).stroke();
+      doc.moveDown(0.6).fillColor('#000000').fontSize(10);
+    };
+
+    if (report.summary) {
+      heading('Executive Summary');
+      doc.text(report.summary, left, doc.y, { width, align: 'justify' });
+    }
+
+    heading('Key Metrics');
+    drawTable(doc, ['KPI', 'Value', 'Formula'], report.kpis.map(k => [k.label, k.display, k.note || k.formula]), [0.35, 0.2, 0.45]);
+    if (report.discrepancies.length > 0) {
+      doc.moveDown(0.3).fillColor('#ed6c02').fontSize(9)
+        .text(`The model's ${report.discrepancies.map(d => d.kpi).join(', ')} differ from the computed values shown.`, left, doc.y, { width });
+      doc.fillColor('#000000').fontSize(10);
+    }
+
+    if (report.forecast.length > 0) {
+      heading('Cash-Flow Forecast');
+      drawForecastChart(doc, report.forecast, { x: left, width, height: 180, color: brandColor });
+      drawTable(doc, ['Month', 'Inflow', 'Outflow', 'Net Flow', 'Balance'],
+        report.forecast.map(f => [f.month, formatAmount(f.inflow), formatAmount(f.outflow), formatAmount(f.netFlow), formatAmount(f.cumulativeBalance)]),
+        [0.2, 0.2, 0.2, 0.2, 0.2]);
+    }
+
+    heading('Anomalies');
+    if (report.anomalies.length === 0) {
+      doc.text('No anomalies found.', left, doc.y);
+    }
+    report.anomalies.slice(0, config.reports.maxPdfAnomalies).forEach(anomaly => {
+      ensureSpace(doc, 30);
+      const y = doc.y;
+      doc.fillColor(SEVERITY_COLORS[anomaly.severity] || '#555555').fontSize(8)
+        .text(anomaly.severity.toUpperCase(), left, y, { width: 50 });
+      doc.fillColor('#000000').fontSize(10)
+        .text(`${anomaly.entryId} · ${anomaly.type}: ${anomaly.issue}`, left + 55, y, { width: width - 55 });
+      doc.moveDown(0.3);
+    });
+    if (report.anomalies.length > config.reports.maxPdfAnomalies) {
+      doc.fillColor('#555555').fontSize(9)
+        .text(`…and ${report.anomalies.length - config.reports.maxPdfAnomalies} more; the XLSX and Markdown exports list them all.`, left, doc.y, { width });
+    }
+
+    report.sections.forEach(section => {
+      heading(section.title);
+      if (section.type === 'text') {
+        doc.text(String(section.value), left, doc.y, { width, align: 'justify' });
+      } else if (section.type === 'list') {
+        doc.list(section.value.map(item => describeListItem(section, item)), left, doc.y, { width, bulletRadius: 2 });
+      } else {
+        drawTable(doc, ['Metric', 'Value'], Object.entries(section.value).map(([key, value]) => [key, formatCell(value)]), [0.4, 0.6]);
+      }
+    });
+
+    // Footer on every page
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      const bottom = doc.page.height - 35;
+      doc.page.margins.bottom = 0;
+      doc.fillColor('#999999').fontSize(8)
+        .text(`${report.brand} · generated ${report.generatedAt.slice(0, 10)}`, left, bottom, { width, lineBreak: false })
+        .text(`Page ${i + 1} of ${range.count}`, left, bottom, { width, align: 'right', lineBreak: false });
+    }
+
+    doc.end();
+  });
+}
+
+/**
+ * Draws grouped inflow and outflow bars per forecast month, with the
+ * cumulative balance as a line on the same scale
+ * @param {PDFDocument} doc - Document to draw on, at its current position
+ * @param {Array} forecast - Forecast months from buildReport
+ * @param {Object} layout - x, width, height and bar color
+ */
+function drawForecastChart(doc, forecast, { x, width, height, color }) {
+  ensureSpace(doc, height + 40);
+  const top = doc.y;
+  const axisLeft = x + 55;
+  const plotWidth = width - 65;
+  const values = forecast.flatMap(f => [f.inflow, f.outflow, f.cumulativeBalance ?? 0]);
+  const max = Math.max(...values, 0);
+  const min = Math.min(...values, 0);
+  const span = max - min || 1;
+  const yOf = value => top + height - ((value - min) / span) * height;
+
+  // Axis and scale
+  doc.lineWidth(0.5).strokeColor('#999999')
+    .moveTo(axisLeft, top).lineTo(axisLeft, top + height).stroke()
+    .moveTo(axisLeft, yOf(0)).lineTo(axisLeft + plotWidth, yOf(0)).stroke();
+  doc.fillColor('#555555').fontSize(7);
+  [max, 0, min].filter((value, i, all) => all.indexOf(value) === i).forEach(value => {
+    doc.text(formatAmount(value), x, yOf(value) - 3, { width: 50, align: 'right', lineBreak: false });
+  });
+
+  const slot = plotWidth / forecast.length;
+  const barWidth = Math.min(28, slot / 3);
+  const points = [];
+  forecast.forEach((f, i) => {
+    const center = axisLeft + slot * i + slot / 2;
+    [[f.inflow, color, -barWidth], [f.outflow, '#dc004e', 0]].forEach(([value, fill, offset]) => {
+      const y = Math.min(yOf(value), yOf(0));
+      doc.rect(center + offset, y, barWidth, Math.abs(yOf(value) - yOf(0))).fill(fill);
+    });
+    doc.fillColor('#555555').fontSize(8).text(f.month, center - slot / 2, top + height + 4, { width: slot, align: 'center', lineBreak: false });
+    if (f.cumulativeBalance !== null) points.push([center, yOf(f.cumulativeBalance)]);
+  });
+
+  if (points.length > 0) {
+    doc.lineWidth(1.5).strokeColor('#333333').moveTo(...points[0]);
+    points.slice(1).forEach(point => doc.lineTo(...point));
+    doc.stroke();
+    points.forEach(([px, py]) => doc.circle(px, py, 2).fill('#333333'));
+  }
+
+  // Legend
+  const legendY = top + height + 18;
+  [['Inflow', color], ['Outflow', '#dc004e'], ['Balance', '#333333']].forEach(([label, fill], i) => {
+    const lx = axisLeft + i * 80;
+    doc.rect(lx, legendY, 8, 8).fill(fill);
+    doc.fillColor('#555555').fontSize(8).text(label, lx + 12, legendY, { lineBreak: false });
+  });
+
+  doc.x = x;
+  doc.y = legendY + 20;
+}
+
+/**
+ * Draws a table with a header row, adding pages as needed
+ * @param {PDFDocument} doc - Document to draw on, at its current position
+ * @param {Array} headers - Column headers
+ * @param {Array} rows - Rows of cell texts
+ * @param {Array} fractions - Column widths as fractions of the text width
+ */
+function drawTable(doc, headers, rows, fractions) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const widths = fractions.map(f => f * width);
+
+  const drawRow = (cells, { bold = false, fill = null } = {}) => {
+    doc.fontSize(9).font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    const height = Math.max(...cells.map((cell, i) => doc.heightOfString(String(cell ?? ''), { width: widths[i] - 8 }))) + 8;
+    ensureSpace(doc, height);
+    const y = doc.y;
+    if (fill) doc.rect(left, y, width, height).fill(fill);
+    let x = left;
+    cells.forEach((cell, i) => {
+      doc.fillColor('#000000').text(String(cell ?? ''), x + 4, y + 4, { width: widths[i] - 8 });
+      x += widths[i];
+    });
+    doc.moveTo(left, y + height).lineTo(left + width, y + height).lineWidth(0.3).strokeColor('#cccccc').stroke();
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  drawRow(headers, { bold: true, fill: '#f0f4f8' });
+  rows.forEach(row => drawRow(row));
+  doc.font('Helvetica').fontSize(10).moveDown(0.5);
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+}
+
+function describeReport(report) {
+  return [
+    report.template.title && `${report.template.title} v${report.template.version}`,
+    `model: ${report.model}`,
+    report.period?.start && `period: ${report.period.start} to ${report.period.end}`,
+    `currency: ${report.currency}`,
+    `analyzed ${(report.analyzedAt || report.generatedAt).slice(0, 10)}`
+  ].filter(Boolean).join(' · ');
+}
+
+function describeListItem(section, item) {
+  if (typeof item !== 'object' || item === null) return String(item);
+  const primary = item[section.primary] ?? Object.values(item)[0];
+  const secondary = item[section.secondary];
+  const chip = item[section.chip];
+  return [
+    chip !== undefined && chip !== null && chip !== '' ? `[${chip}]` : null,
+    primary,
+    secondary ? `— ${secondary}` : null
+  ].filter(part => part !== null && part !== undefined).join(' ');
+}
+
+function formatKpi(key, value, currency) {
+  if (value === null || value === undefined) return 'n/a';
+  switch (KPI_LABELS[key]?.unit) {
+    case 'percent': return `${(value * 100).toFixed(1)}%`;
+    case 'amount': return `${formatAmount(value)} ${currency}`;
+    case 'days': return `${value.toFixed(1)} days`;
+    case 'months': return `${value.toFixed(1)} months`;
+    default: return value.toFixed(2);
+  }
+}
+
+function formatAmount(value) {
+  if (typeof value !== 'number') return '';
+  return value.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 });
+}
+
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(formatCell).join('; ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+function markdownTable(headers, rows) {
+  const cell = value => String(formatCell(value)).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  return [
+    `| ${headers.map(cell).join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+  ].join('\n');
+}
+
+// Nested values (e.g. fx details) become JSON so that every cell is a scalar
+function flattenRow(row) {
+  return Object.fromEntries(Object.entries(row).map(([key, value]) => [key, formatCell(value)]));
+}
+
+function uniqueSheetName(workbook, name) {
+  const base = name.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31);
+  let candidate = base;
+  for (let i = 2; workbook.SheetNames.includes(candidate); i++) {
+    candidate = `${base.slice(0, 28)} ${i}`;
+  }
+  return candidate;
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0) ||
+    (typeof value === 'object' && Object.keys(value).length === 0);
+}
\ No newline at end of file
@@ -0,0 +1,188 @@
+import { config } from '../config/index.js';
+import { isLlmEnabled } from './llmProviders.js';
+import { gatherAbstracts, discoverFinancialGaps } from './researchService.js';
+import { logger } from '../utils/logger.js';
+
+// Words too common in abstracts to tell themes apart
+const STOP_WORDS = new Set(`
+  about above after again against also among analysis analyze analyzed approach are based been before being
+  between both but can could data did does doing during each effect effects evidence find findings first for
+  from further had has have having here how however into its itself may more most much must new not our
+  over paper papers per results same should show shows since some study studies such than that the their
+  them then there these they this those through thus under use used using very was were what when where
+  which while who whose why will with within without would yet
+`.trim().split(/\s+/));
+
+/**
+ * Finds the research gaps in the literature on a query: gathers abstracts
+ * from several pages of search results, clusters them by theme and asks the
+ * research model for the gaps in each cluster, citing the papers behind each gap.
+ * In no-LLM mode the clusters are returned without gaps.
+ * @param {string} query - Search query
+ * @param {Object} [options] - Pipeline options
+ * @param {number} [options.pages] - Search result pages to gather abstracts from
+ * @param {number} [options.clusters] - Most themes to form
+ * @param {AbortSignal} [options.signal] - Aborts the in-flight model calls
+ * @returns {Promise<Object>} Object with query, clusters ({ id, label, terms, papers, gaps }),
+ *   stats and llm ({ provider, model, repairAttempts } summed over clusters)
+ */
+export async function findResearchGaps(query, {
+  pages = config.researchGaps.defaultPages,
+  clusters: clusterCount = config.researchGaps.defaultClusters,
+  signal
+} = {}) {
+  const gathered = await gatherAbstracts(query, { pages });
+  const clusters = clusterPapers(gathered.papers, { clusters: clusterCount });
+  const stats = {
+    pages: gathered.pages,
+    searched: gathered.searched,
+    papers: gathered.papers.length,
+    clusters: clusters.length,
+    cacheHits: gathered.cacheHits
+  };
+
+  if (!isLlmEnabled('research')) {
+    return {
+      query,
+      clusters: clusters.map(cluster => ({ ...cluster, gaps: [] })),
+      stats,
+      llm: { provider: 'none' }
+    };
+  }
+
+  let llm = null;
+  const withGaps = [];
+  for (const cluster of clusters) {
+    const result = await discoverFinancialGaps(cluster.papers, { theme: cluster.label, signal });
+    llm = { ...result.llm, repairAttempts: (llm?.repairAttempts || 0) + result.llm.repairAttempts };
+    withGaps.push({ ...cluster, gaps: result.gaps });
+  }
+
+  logger.info('Discovered research gaps', { query, ...stats, gaps: withGaps.reduce((total, cluster) => total + cluster.gaps.length, 0) });
+  return { query, clusters: withGaps, stats, llm };
+}
+
+/**
+ * Clusters papers by theme: k-means over TF-IDF vectors of their titles and
+ * abstracts, by cosine similarity. Seeding is deterministic (the top result,
+ * then repeatedly the paper least like the seeds so far), so the same papers
+ * always cluster the same way.
+ * @param {Array} papers - Papers with title and abstract
+ * @param {Object} [options] - Clustering options
+ * @param {number} [options.clusters] - Most clusters; fewer when there are not
+ *   minClusterSize papers for each
+ * @param {number} [options.iterations] - Most k-means iterations
+ * @returns {Array} Clusters ({ id, label, terms, papers }), largest first
+ */
+export function clusterPapers(papers, {
+  clusters: clusterCount = config.researchGaps.defaultClusters,
+  iterations = 20
+} = {}) {
+  if (papers.length === 0) return [];
+
+  const vectors = vectorize(papers.map(paper => `${paper.title || ''} ${paper.abstract || ''}`));
+  const k = Math.max(1, Math.min(clusterCount, Math.floor(papers.length / config.researchGaps.minClusterSize)));
+
+  const seeds = [0];
+  while (seeds.length < k) {
+    let farthest = -1;
+    let lowest = Infinity;
+    vectors.forEach((vector, i) => {
+      if (seeds.includes(i)) return;
+      const closest = Math.max(...seeds.map(seed => cosine(vector, vectors[seed])));
+      if (closest < lowest) {
+        lowest = closest;
+        farthest = i;
+      }
+    });
+    seeds.push(farthest);
+  }
+
+  let centroids = seeds.map(seed => vectors[seed]);
+  let assignments = [];
+  for (let i = 0; i < iterations; i++) {
+    const next = vectors.map(vector => {
+      const similarities = centroids.map(centroid => cosine(vector, centroid));
+      return similarities.indexOf(Math.max(...similarities));
+    });
+    const settled = next.every((cluster, n) => cluster === assignments[n]);
+    assignments = next;
+    if (settled) break;
+    centroids = centroids.map((centroid, c) => {
+      const members = vectors.filter((_, n) => assignments[n] === c);
+      return members.length > 0 ? centroidOf(members) : centroid;
+    });
+  }
+
+  return centroids
+    .map((centroid, c) => {
+      const terms = [...centroid.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, 5)
+        .map(([term]) => term);
+      return {
+        label: terms.slice(0, 3).join(', '),
+        terms,
+        papers: papers.filter((_, n) => assignments[n] === c)
+      };
+    })
+    .filter(cluster => cluster.papers.length > 0)
+    .sort((a, b) => b.papers.length - a.papers.length)
+    .map((cluster, i) => ({ id: i + 1, ...cluster }));
+}
+
+/**
+ * Turns texts into unit-length TF-IDF vectors; terms found in every text
+ * (such as the query's) weigh nothing
+ * @param {Array<string>} texts - Texts
+ * @returns {Array<Map>} Sparse vectors, term to weight
+ */
+function vectorize(texts) {
+  const counts = texts.map(text => {
+    const terms = new Map();
+    tokenize(text).forEach(term => terms.set(term, (terms.get(term) || 0) + 1));
+    return terms;
+  });
+
+  const documentFrequency = new Map();
+  counts.forEach(terms => terms.forEach((_, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1)));
+
+  return counts.map(terms => {
+    const vector = new Map();
+    terms.forEach((count, term) => {
+      const weight = count * Math.log(texts.length / documentFrequency.get(term));
+      if (weight > 0) vector.set(term, weight);
+    });
+    return normalize(vector);
+  });
+}
+
+function tokenize(text) {
+  return text
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+    // Folds simple plurals: markets -> market, but not stress or analysis
+    .map(word => (word.length > 4 && word.endsWith('s') && !/(ss|is|us)$/.test(word) ? word.slice(0, -1) : word));
+}
+
+function centroidOf(vectors) {
+  const sum = new Map();
+  vectors.forEach(vector => vector.forEach((weight, term) => sum.set(term, (sum.get(term) || 0) + weight)));
+  return normalize(sum);
+}
+
+function normalize(vector) {
+  const length = Math.sqrt([...vector.values()].reduce((total, weight) => total + weight * weight, 0));
+  if (length > 0) vector.forEach((weight, term) => vector.set(term, weight / length));
+  return vector;
+}
+
+function cosine(a, b) {
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  let dot = 0;
+  small.forEach((weight, term) => {
+    if (large.has(term)) dot += weight * large.get(term);
+  });
+  return dot;
+}
\ No newline at end of file
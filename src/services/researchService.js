@@ -1,54 +1,80 @@
-import axios from 'axios';
 import { config } from '../config/index.js';
-import { openRouterChat } from './llmClient.js';
+import { chatCompletion, isLlmEnabled } from './llmProviders.js';
+import { requestValidJson, requestWithRepairs } from './llmClient.js';
+import { s2Get } from './semanticScholar.js';
 import { logger } from '../utils/logger.js';
+import { createResultValidator } from '../utils/validation.js';
 
-const S2_URL = config.semanticScholar.baseUrl;
-const S2_HEADERS = config.semanticScholar.headers;
+const SEARCH_FIELDS = 'title,abstract,url,authors';
+// Papers whose abstracts go into a prompt
+const CONTEXT_FIELDS = 'paperId,title,abstract,year,url,authors,citationCount';
+
+const validateGapList = createResultValidator({
+  type: 'object',
+  required: ['gaps'],
+  properties: {
+    gaps: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['title', 'description', 'supportingPapers'],
+        properties: {
+          title: { type: 'string', minLength: 1 },
+          description: { type: 'string', minLength: 1 },
+          supportingPapers: { type: 'array', minItems: 1, items: { type: 'integer' } }
+        }
+      }
+    }
+  }
+});
 
 /**
- * Search papers by keyword (adapted from your research tool)
+ * Search papers by keyword (adapted from your research tool). Results come
+ * from the Semantic Scholar client, cached and retried there.
  * @param {string} query - Search query
  * @param {number} limit - Number of results
- * @returns {Promise<Array>} Array of papers
+ * @param {Object} [options] - Search options
+ * @param {string} [options.fields] - Paper fields to return, such as CITATION_FIELDS for exports
+ * @returns {Promise<Object>} Object with papers and cache (whether and where the response was cached)
  */
-export async function searchPapers(query, limit = 5) {
+export async function searchPapers(query, limit = 5, { fields = SEARCH_FIELDS } = {}) {
   try {
-    const res = await axios.get(`${S2_URL}/paper/search`, {
-      params: { query, limit, fields: 'title,abstract,url,authors' },
-      headers: S2_HEADERS
-    });
-    return res.data.data;
+    const params = { query, limit, fields };
+    const { data, cache } = await s2Get('/paper/search', params);
+    return { papers: data.data || [], cache };
   } catch (err) {
-    if (err.response && err.response.status === 429) {
-      logger.warn('Semantic Scholar rate limit hit; retrying after 5 seconds...');
-      await new Promise(res => setTimeout(res, 5000));
-      return searchPapers(query, limit);
-    }
     logger.error('Paper search failed:', err);
     throw err;
   }
 }
 
 /**
- * Summarize an abstract (from your research tool)
+ * Summarize an abstract (from your research tool). In no-LLM mode the
+ * summary is the abstract's first three sentences.
  * @param {string} abstract - Paper abstract
  * @returns {Promise<string>} Summary
  */
 export async function summarizeAbstract(abstract) {
+  if (!isLlmEnabled('summarization')) {
+    const sentences = abstract.match(/[^.!?]+[.!?]+(\s|$)/g) || [abstract];
+    return sentences.slice(0, 3).join('').trim();
+  }
+
   const prompt = `Summarize the following financial research abstract in 3 sentences:\n${abstract}`;
-  return openRouterChat([{ role: 'user', content: prompt }], 'gpt-3.5-turbo', 150);
+  const { content } = await chatCompletion('summarization', [{ role: 'user', content: prompt }]);
+  return content;
 }
 
 /**
  * Research financial regulations and compliance
  * @param {string} topic - Compliance topic
  * @param {number} limit - Number of papers to search
+ * @param {Object} [options] - Search options passed to searchPapers
  * @returns {Promise<Object>} Research results
  */
-export async function researchCompliance(topic, limit = 3) {
+export async function researchCompliance(topic, limit = 3, options = {}) {
   const query = `financial compliance regulations ${topic}`;
-  const papers = await searchPapers(query, limit);
+  const { papers } = await searchPapers(query, limit, options);
   
   let report = `# Compliance Research: ${topic}\n\n`;
   
@@ -70,12 +96,177 @@ export async function researchCompliance(topic, limit = 3) {
 }
 
 /**
- * Discover research gaps in financial analysis
- * @param {Array} abstracts - Array of abstracts
- * @returns {Promise<string>} Research gaps
+ * Researches a financial topic from the literature: retrieves papers on it,
+ * gives the model their abstracts as numbered sources and requires it to cite
+ * them inline, e.g. [1] or [2, 3]. An answer without citations, or citing a
+ * number that is not a source, is sent back to the model to fix.
+ * @param {string} topic - Research topic
+ * @param {string} [context] - Additional context, such as the company it is for
+ * @param {Object} [options] - Research options
+ * @param {number} [options.papers] - Papers to retrieve
+ * @returns {Promise<Object>} Object with insights (the cited answer), sources ({ number, paperId,
+ *   title, authors, year, url, cited }), citations ({ count, cited, uncited }) and llm
+ * @throws {Error} With code NO_SOURCES when no paper with an abstract is found, LLM_DISABLED
+ *   in no-LLM mode, or ANALYSIS_OUTPUT_INVALID when the citations are never fixed
+ */
+export async function researchFinancialTopic(topic, context = '', { papers: limit = config.researchTopic.defaultPapers } = {}) {
+  const { papers: found } = await searchPapers(topic, limit, { fields: CONTEXT_FIELDS });
+  const papers = found.filter(paper => paper.paperId && paper.abstract?.trim());
+  if (papers.length === 0) {
+    const error = new Error(`No papers with an abstract were found for "${topic}"`);
+    error.code = 'NO_SOURCES';
+    throw error;
+  }
+
+  const { maxAbstractChars, maxTokens } = config.researchTopic;
+  const sources = papers
+    .map((paper, i) => `[${i + 1}] ${paper.title}${paper.year ? ` (${paper.year})` : ''}\n${paper.abstract.slice(0, maxAbstractChars)}`)
+    .join('\n\n');
+  const messages = [
+    {
+      role: 'system',
+      content: `You are a financial research assistant specializing in market analysis, regulatory compliance, and industry trends.
+Answer from the numbered sources you are given, not from memory. Cite the sources behind each claim inline by number, e.g. [1] or [2, 3].
+Where the sources do not cover part of the topic, say so instead of answering it.`
+    },
+    {
+      role: 'user',
+      content: `Research topic: ${topic}\n\nContext: ${context}\n\nSources:\n${sources}\n\nProvide insights on current trends, regulatory considerations, and practical implications for financial analysis.`
+    }
+  ];
+
+  const { result: cited, llm } = await requestWithRepairs('research', messages, content => {
+    const numbers = extractCitations(content);
+    const unknown = [...new Set(numbers.filter(number => number < 1 || number > papers.length))];
+    const problems = [
+      numbers.length === 0 && 'The answer cites no sources',
+      unknown.length > 0 && `The answer cites ${unknown.map(number => `[${number}]`).join(', ')}, but the sources are numbered 1 to ${papers.length}`
+    ].filter(Boolean);
+    return { isValid: problems.length === 0, result: { content, numbers }, errors: problems };
+  }, {
+    maxTokens,
+    repairPrompt: problems => `${problems.join('. ')}. Rewrite the answer, citing only sources 1 to ${papers.length} by number.`
+  });
+
+  const citedNumbers = new Set(cited.numbers);
+  return {
+    topic,
+    insights: cited.content,
+    sources: papers.map((paper, i) => ({
+      number: i + 1,
+      paperId: paper.paperId,
+      title: paper.title,
+      authors: (paper.authors || []).map(author => author.name),
+      year: paper.year ?? null,
+      url: paper.url || null,
+      cited: citedNumbers.has(i + 1)
+    })),
+    citations: {
+      count: cited.numbers.length,
+      cited: [...citedNumbers].sort((a, b) => a - b),
+      uncited: papers.map((_, i) => i + 1).filter(number => !citedNumbers.has(number))
+    },
+    llm
+  };
+}
+
+/**
+ * Gathers the papers with an abstract from several pages of search results
+ * @param {string} query - Search query
+ * @param {Object} [options] - Gather options
+ * @param {number} [options.pages] - Result pages to read; fewer when the results run out
+ * @param {number} [options.pageSize] - Results per page
+ * @returns {Promise<Object>} Object with papers (unique, in search order), searched
+ *   (results read, with or without an abstract), pages and cacheHits
+ */
+export async function gatherAbstracts(query, {
+  pages = config.researchGaps.defaultPages,
+  pageSize = config.researchGaps.pageSize
+} = {}) {
+  const papers = new Map();
+  let searched = 0;
+  let cacheHits = 0;
+  let page = 0;
+
+  while (page < pages) {
+    const params = { query, limit: pageSize, offset: page * pageSize, fields: CONTEXT_FIELDS };
+    const { data, cache } = await s2Get('/paper/search', params);
+    page++;
+    if (cache.hit || cache.coalesced) cacheHits++;
+
+    const results = data.data || [];
+    searched += results.length;
+    results
+      .filter(paper => paper.paperId && paper.abstract?.trim())
+      .forEach(paper => papers.has(paper.paperId) || papers.set(paper.paperId, paper));
+
+    if (data.next === undefined || results.length === 0) break;
+  }
+
+  logger.info('Gathered research abstracts', { query, pages: page, searched, withAbstract: papers.size });
+  return { papers: [...papers.values()], searched, pages: page, cacheHits };
+}
+
+/**
+ * Discovers open research gaps in a set of related papers. The papers are
+ * numbered in the prompt and each gap must cite the ones that support it.
+ * @param {Array} papers - Papers with paperId, title, year and abstract
+ * @param {Object} [options] - Discovery options
+ * @param {string} [options.theme] - Theme the papers share, to focus the prompt
+ * @param {AbortSignal} [options.signal] - Aborts the in-flight call
+ * @returns {Promise<Object>} Object with gaps ({ title, description, supportingPapers }, the
+ *   papers as { paperId, title, year, url }) and llm ({ provider, model, repairAttempts })
+ * @throws {Error} With code ANALYSIS_OUTPUT_INVALID when the model never returns valid gaps
+ */
+export async function discoverFinancialGaps(papers, { theme, signal } = {}) {
+  const { gapsPerCluster, maxAbstractChars, maxTokens } = config.researchGaps;
+  const listed = papers
+    .map((paper, i) => `[${i + 1}] ${paper.title}${paper.year ? ` (${paper.year})` : ''}\n${paper.abstract.slice(0, maxAbstractChars)}`)
+    .join('\n\n');
+
+  const prompt = `Identify up to ${gapsPerCluster} open research gaps in financial analysis based on the numbered abstracts below${theme ? `, which share the theme "${theme}"` : ''}.
+A gap is a question the papers raise or leave unanswered, not a summary of what they found.
+For each gap, cite the numbers of the papers that support it.
+
+Return only a JSON object:
+{ "gaps": [{ "title": "short name", "description": "what is missing and why it matters", "supportingPapers": [1, 2] }] }
+
+${listed}`;
+
+  // Citations must point at papers in the list; the model is asked to fix any that do not
+  const validate = result => {
+    const validation = validateGapList(result);
+    if (!validation.isValid) return validation;
+    const errors = result.gaps.flatMap((gap, i) => gap.supportingPapers
+      .filter(number => number < 1 || number > papers.length)
+      .map(number => ({ field: `gaps[${i}].supportingPapers`, message: `cites paper ${number}, but the papers are numbered 1 to ${papers.length}` })));
+    return { isValid: errors.length === 0, errors };
+  };
+
+  const { result, llm } = await requestValidJson([{ role: 'user', content: prompt }], validate, { task: 'research', maxTokens, signal });
+
+  const gaps = result.gaps.slice(0, gapsPerCluster).map(gap => ({
+    title: gap.title,
+    description: gap.description,
+    supportingPapers: [...new Set(gap.supportingPapers)].map(number => {
+      const { paperId, title, year, url } = papers[number - 1];
+      return { paperId, title, year: year ?? null, url: url || null };
+    })
+  }));
+  return { gaps, llm };
+}
+
+/**
+ * Lists the source numbers cited inline in an answer, once per mention:
+ * "[1]", "[2, 3]" and "[4-6]" cite 1, 2, 3, 4, 5 and 6
+ * @param {string} text - Answer
+ * @returns {Array<number>} Cited numbers
  */
-export async function discoverFinancialGaps(abstracts) {
-  const combined = abstracts.join('\n');
-  const prompt = `Identify 3 open research gaps in financial analysis based on these abstracts:\n${combined}`;
-  return openRouterChat([{ role: 'user', content: prompt }], 'gpt-3.5-turbo', 200);
+function extractCitations(text) {
+  return [...text.matchAll(/\[(\d+(?:\s*[,–-]\s*\d+)*)\]/g)].flatMap(([, list]) => list
+    .split(/\s*,\s*/)
+    .flatMap(part => {
+      const [start, end = start] = part.split(/\s*[–-]\s*/).map(Number);
+      return end >= start && end - start < 50 ? Array.from({ length: end - start + 1 }, (_, i) => start + i) : [start, end];
+    }));
 }
\ No newline at end of file
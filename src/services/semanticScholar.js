@@ -0,0 +1,206 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import axios from 'axios';
+import { config } from '../config/index.js';
+import { withFixture } from './fixtures.js';
+import { logger } from '../utils/logger.js';
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const RETRYABLE_NETWORK_ERRORS = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+// Cached responses by key, least recently used first, and requests in flight by key
+const memoryCache = new Map();
+const inFlight = new Map();
+
+/**
+ * Computes the cache key of a Semantic Scholar request: its path and
+ * parameters (query, fields, limit...), with the query's case and spacing normalized
+ * @param {string} apiPath - Graph API path, e.g. '/paper/search'
+ * @param {Object} params - Query parameters
+ * @returns {string} Cache key
+ */
+export function getCacheKey(apiPath, params) {
+  const normalized = Object.keys(params).sort().map(name => [
+    name,
+    name === 'query' ? String(params[name]).trim().toLowerCase().replace(/\s+/g, ' ') : params[name]
+  ]);
+  return crypto.createHash('sha256').update(`${apiPath}\n${JSON.stringify(normalized)}`).digest('hex').slice(0, 32);
+}
+
+/**
+ * GETs a Semantic Scholar Graph API path. Responses are cached in memory and
+ * on disk until they expire; identical requests made while one is in flight
+ * share its response; rate limits and server errors are retried with backoff.
+ * @param {string} apiPath - Graph API path, e.g. '/paper/search'
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Object>} Object with data and cache ({ hit, source, storedAt, expiresAt, coalesced, retries })
+ * @throws {Error} With code RESEARCH_UNAVAILABLE once the retries are used up
+ */
+export async function s2Get(apiPath, params) {
+  const key = getCacheKey(apiPath, params);
+
+  const cached = readCache(key);
+  if (cached) {
+    return {
+      data: cached.data,
+      cache: { hit: true, source: cached.source, storedAt: cached.storedAt, expiresAt: cached.expiresAt, coalesced: false }
+    };
+  }
+
+  if (inFlight.has(key)) {
+    const { data, cache } = await inFlight.get(key);
+    return { data, cache: { ...cache, coalesced: true } };
+  }
+
+  const request = fetchWithRetry(apiPath, params)
+    .then(({ data, retries }) => {
+      const { storedAt, expiresAt } = writeCache(key, apiPath, params, data);
+      return { data, cache: { hit: false, source: 'network', storedAt, expiresAt, coalesced: false, retries } };
+    })
+    .finally(() => inFlight.delete(key));
+  inFlight.set(key, request);
+  return request;
+}
+
+/**
+ * Computes how long to wait before a retry: exponential backoff with full
+ * jitter, or the server's Retry-After when it asks for longer, within maxDelayMs
+ * @param {number} attempt - Retries made so far
+ * @param {string} [retryAfter] - Retry-After header, in seconds
+ * @param {Object} [settings] - Overrides for config.semanticScholar.retry
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(attempt, retryAfter, settings = {}) {
+  const { baseDelayMs, maxDelayMs } = { ...config.semanticScholar.retry, ...settings };
+  const delay = Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  const requested = parseFloat(retryAfter) * 1000;
+  return Number.isFinite(requested) ? Math.min(maxDelayMs, Math.max(requested, delay)) : delay;
+}
+
+/**
+ * Empties the response cache
+ * @param {Object} [options] - Clear options
+ * @param {boolean} [options.disk] - Also delete the cached files
+ */
+export function clearResearchCache({ disk = false } = {}) {
+  memoryCache.clear();
+  if (disk) {
+    fs.rmSync(config.semanticScholar.cache.dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Performs a request, retrying rate limits, server errors and dropped
+ * connections up to config.semanticScholar.retry.maxRetries times
+ * @param {string} apiPath - Graph API path
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Object>} Object with data and the number of retries it took
+ */
+async function fetchWithRetry(apiPath, params) {
+  const { maxRetries } = config.semanticScholar.retry;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      // Recorded and replayed by path and parameters when fixtures are on
+      const data = await withFixture('semantic-scholar', { path: apiPath, params }, async () => {
+        const res = await axios.get(`${config.semanticScholar.baseUrl}${apiPath}`, {
+          params,
+          headers: config.semanticScholar.headers,
+          timeout: config.semanticScholar.timeoutMs
+        });
+        return res.data;
+      });
+      return { data, retries: attempt };
+    } catch (err) {
+      if (!isRetryable(err)) throw err;
+
+      const status = err.response?.status || err.code;
+      if (attempt >= maxRetries) {
+        const error = new Error(`Semantic Scholar is unavailable (${status}) after ${maxRetries} retries`);
+        error.code = 'RESEARCH_UNAVAILABLE';
+        error.status = err.response?.status;
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt, err.response?.headers?.['retry-after']);
+      logger.warn('Semantic Scholar request failed; retrying', { path: apiPath, status, attempt: attempt + 1, delayMs: Math.round(delay) });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+function isRetryable(error) {
+  if (error.response) return RETRYABLE_STATUSES.includes(error.response.status);
+  return RETRYABLE_NETWORK_ERRORS.includes(error.code);
+}
+
+/**
+ * Looks a response up in memory, then on disk; expired entries are misses
+ * @param {string} key - Cache key
+ * @returns {Object|null} Entry with data, storedAt, expiresAt and source, or null
+ */
+function readCache(key) {
+  const now = Date.now();
+  const entry = memoryCache.get(key);
+  if (entry && Date.parse(entry.expiresAt) > now) {
+    // Most recently used last
+    memoryCache.delete(key);
+    memoryCache.set(key, entry);
+    return { ...entry, source: 'memory' };
+  }
+  memoryCache.delete(key);
+
+  if (!config.semanticScholar.cache.disk) return null;
+  try {
+    const stored = JSON.parse(fs.readFileSync(cacheFile(key), 'utf8'));
+    if (Date.parse(stored.expiresAt) <= now) return null;
+    remember(key, stored);
+    return { ...stored, source: 'disk' };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn('Failed to read cached research response', { key, error: error.message });
+    }
+    return null;
+  }
+}
+
+/**
+ * Caches a response in memory and, unless disabled, on disk
+ * @param {string} key - Cache key
+ * @param {string} apiPath - Graph API path, kept in the file for reference
+ * @param {Object} params - Query parameters, kept in the file for reference
+ * @param {*} data - Response body
+ * @returns {Object} Stored entry
+ */
+function writeCache(key, apiPath, params, data) {
+  const storedAt = new Date();
+  const entry = {
+    data,
+    storedAt: storedAt.toISOString(),
+    expiresAt: new Date(storedAt.getTime() + config.semanticScholar.cache.ttlMs).toISOString()
+  };
+  remember(key, entry);
+
+  if (config.semanticScholar.cache.disk) {
+    try {
+      fs.mkdirSync(config.semanticScholar.cache.dir, { recursive: true });
+      fs.writeFileSync(cacheFile(key), JSON.stringify({ key, path: apiPath, params, ...entry }));
+    } catch (error) {
+      logger.warn('Failed to write cached research response', { key, error: error.message });
+    }
+  }
+  return entry;
+}
+
+function remember(key, { data, storedAt, expiresAt }) {
+  memoryCache.delete(key);
+  memoryCache.set(key, { data, storedAt, expiresAt });
+  if (memoryCache.size > config.semanticScholar.cache.maxEntries) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+}
+
+function cacheFile(key) {
+  return path.join(config.semanticScholar.cache.dir, `${key}.json`);
+}
\ No newline at end of file
@@ -0,0 +1,171 @@
+import { parse } from 'csv-parse';
+import { config } from '../config/index.js';
+import { categorizeFlatData } from './parser.js';
+import { interpretRecords, detectRecordsDateOrder } from '../utils/localeParsing.js';
+import { logger } from '../utils/logger.js';
+
+const CATEGORIES = ['invoices', 'expenses', 'payments', 'balances'];
+
+// Parse issues kept in full; beyond this only the count is reported
+const MAX_REPORTED_ISSUES = 1000;
+
+/**
+ * Parses a CSV stream row by row, categorizing records in batches and
+ * accumulating summary statistics, so that the raw file is never held in memory.
+ * Normalized records are retained up to config.streaming.maxRetainedRecords;
+ * statistics always cover every row.
+ * @param {Readable} input - CSV byte stream
+ * @param {Object} options - Ingestion options
+ * @param {string} options.sourceFile - File name to tag each record with, along with its line number
+ * @param {Object} [options.locale] - Locale options (decimalSeparator, dateOrder)
+ * @param {Function} [options.categorize] - Splits a batch of records into categories
+ * @param {Function} [options.transformRecord] - Maps each categorized record before it is counted,
+ *   e.g. currency conversion
+ * @param {Function} [options.onProgress] - Called with { rowsProcessed, recordsRetained } after each batch
+ * @returns {Promise<Object>} Object with categorized data, summary statistics and a truncated flag
+ */
+export async function ingestCsvStream(input, {
+  sourceFile,
+  locale = {},
+  categorize = categorizeFlatData,
+  transformRecord = record => record,
+  onProgress
+} = {}) {
+  const { batchSize, maxRetainedRecords } = config.streaming;
+  const parser = parse({
+    columns: true,
+    skip_empty_lines: true,
+    trim: true,
+    on_record: (record, context) => ({ ...record, sourceFile, sourceRow: context.lines })
+  });
+
+  const data = { invoices: [], expenses: [], payments: [], balances: [] };
+  const summary = createSummary();
+  const parseIssues = [];
+  let issueCount = 0;
+  let skippedCount = 0;
+  let retained = 0;
+  let dateOrder = locale.dateOrder || 'auto';
+  let batch = [];
+
+  const flush = () => {
+    // Amounts and dates are read after categorizing, under the field names a mapping gives them
+    const categorized = categorize(batch);
+
+    // Lock the date order as soon as a batch makes it unambiguous, so every batch reads dates alike
+    if (dateOrder === 'auto') {
+      dateOrder = detectRecordsDateOrder(CATEGORIES.flatMap(category => categorized[category] || []));
+    }
+
+    CATEGORIES.forEach(category => {
+      const batchRecords = categorized[category] || [];
+      const { records, issues } = interpretRecords(batchRecords, { ...locale, dateOrder, castNumbers: true });
+      // A record can have several unreadable cells, so issues do not count skipped records
+      skippedCount += batchRecords.length - records.length;
+      issueCount += issues.length;
+      parseIssues.push(...issues.slice(0, MAX_REPORTED_ISSUES - parseIssues.length));
+
+      records.map(transformRecord).forEach(record => {
+        addToSummary(summary, category, record);
+        if (retained < maxRetainedRecords) {
+          data[category].push(record);
+          retained++;
+        }
+      });
+    });
+
+    summary.rowsProcessed += batch.length;
+    batch = [];
+    onProgress?.({ rowsProcessed: summary.rowsProcessed, recordsRetained: retained });
+  };
+
+  input.on('error', error => parser.destroy(error));
+
+  try {
+    for await (const record of input.pipe(parser)) {
+      batch.push(record);
+      if (batch.length >= batchSize) flush();
+    }
+    if (batch.length > 0) flush();
+  } catch (error) {
+    logger.error('Streaming CSV parsing error:', error);
+    throw new Error(`Invalid CSV format: ${error.message}`);
+  }
+
+  logger.info(`Streamed CSV with ${summary.rowsProcessed} rows`, { sourceFile, retained, skippedCount, issueCount });
+
+  return {
+    data: {
+      ...data,
+      source: 'streaming_upload',
+      parseIssues
+    },
+    summary: finalizeSummary(summary, { retained, skippedCount }),
+    truncated: retained < summary.rowsProcessed - skippedCount
+  };
+}
+
+function createSummary() {
+  const summary = { rowsProcessed: 0, categories: {}, monthly: {} };
+  CATEGORIES.forEach(category => {
+    summary.categories[category] = {
+      count: 0,
+      amountCount: 0,
+      totalAmount: 0,
+      minAmount: null,
+      maxAmount: null,
+      firstDate: null,
+      lastDate: null
+    };
+  });
+  return summary;
+}
+
+/**
+ * Adds one record to the running per-category and per-month statistics
+ * @param {Object} summary - Running summary
+ * @param {string} category - Record category
+ * @param {Object} record - Normalized record
+ */
+function addToSummary(summary, category, record) {
+  const stats = summary.categories[category];
+  const amount = typeof record.amount === 'number' ? record.amount : record.balance;
+  stats.count++;
+
+  if (typeof amount === 'number') {
+    stats.amountCount++;
+    stats.totalAmount += amount;
+    stats.minAmount = stats.minAmount === null ? amount : Math.min(stats.minAmount, amount);
+    stats.maxAmount = stats.maxAmount === null ? amount : Math.max(stats.maxAmount, amount);
+  }
+
+  if (typeof record.date === 'string') {
+    if (!stats.firstDate || record.date < stats.firstDate) stats.firstDate = record.date;
+    if (!stats.lastDate || record.date > stats.lastDate) stats.lastDate = record.date;
+
+    if (typeof amount === 'number') {
+      const month = record.date.slice(0, 7);
+      summary.monthly[month] = summary.monthly[month] || {};
+      summary.monthly[month][category] = (summary.monthly[month][category] || 0) + amount;
+    }
+  }
+}
+
+function finalizeSummary(summary, { retained, skippedCount }) {
+  const categories = {};
+  Object.entries(summary.categories).forEach(([category, { amountCount, ...stats }]) => {
+    categories[category] = {
+      ...stats,
+      totalAmount: Math.round(stats.totalAmount * 100) / 100,
+      meanAmount: amountCount > 0 ? Math.round((stats.totalAmount / amountCount) * 100) / 100 : null
+    };
+  });
+
+  return {
+    rowsProcessed: summary.rowsProcessed,
+    recordsRetained: retained,
+    recordsSkipped: skippedCount,
+    categories,
+    monthly: summary.monthly
+  };
+}
\ No newline at end of file
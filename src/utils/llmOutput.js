@@ -0,0 +1,155 @@
+/**
+ * Extracts a JSON value from a model response that may wrap it in reasoning
+ * tags, a Markdown code fence or surrounding prose
+ * @param {string} content - Raw model response
+ * @returns {*} Parsed JSON value
+ * @throws {Error} If the response contains no parseable JSON object or array
+ */
+export function extractJson(content) {
+  if (typeof content !== 'string') {
+    throw new Error('Model response is empty');
+  }
+
+  const text = content.replace(/<think>[\s\S]*?<\/think>/gi, '').trim();
+  const candidates = [text];
+
+  const fenced = [...text.matchAll(/```(?:json)?\s*([\s\S]*?)```/gi)].map(match => match[1].trim());
+  candidates.push(...fenced);
+
+  const balanced = findBalanced(text);
+  if (balanced) candidates.push(balanced);
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch {
+      // Try the next candidate
+    }
+  }
+
+  throw new Error('No JSON object found in model response');
+}
+
+/**
+ * Finds the first balanced {...} or [...] block, ignoring brackets inside strings
+ * @param {string} text - Text to scan
+ * @returns {string|null} The block, or null if none closes
+ */
+function findBalanced(text) {
+  const start = text.search(/[{[]/);
+  if (start === -1) return null;
+
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === '{' || char === '[') stack.push(char === '{' ? '}' : ']');
+    else if (char === '}' || char === ']') {
+      if (stack.pop() !== char) return null;
+      if (stack.length === 0) return text.slice(start, i + 1);
+    }
+  }
+  return null;
+}
+
+/**
+ * Creates a reader that follows a streamed JSON object and returns each
+ * top-level property as soon as its value is complete, so that sections of a
+ * model response can be shown before the whole response has arrived
+ * @returns {Object} Reader with push(delta), returning the newly completed [key, value] pairs
+ */
+export function createJsonSectionReader() {
+  let text = '';
+  let position = -1; // index of the next character to scan; -1 until the root object is found
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let expectKey = false;
+  let keyStart = -1;
+  let key = null;
+  let valueStart = -1;
+  let done = false;
+
+  const findRoot = () => {
+    const visible = text.replace(/<think>[\s\S]*?<\/think>/gi, match => ' '.repeat(match.length));
+    if (/<think>/i.test(visible)) return -1; // reasoning still streaming
+    return visible.indexOf('{');
+  };
+
+  // A top-level value ends at a comma or at the root's closing brace
+  const endValue = sections => {
+    if (valueStart !== -1) {
+      try {
+        sections.push([key, JSON.parse(text.slice(valueStart, position))]);
+      } catch {
+        // Not valid JSON; the final validation reports it
+      }
+    }
+    key = null;
+    valueStart = -1;
+    expectKey = true;
+  };
+
+  return {
+    push(delta) {
+      const sections = [];
+      if (done || !delta) return sections;
+      text += delta;
+
+      if (position === -1) {
+        const root = findRoot();
+        if (root === -1) return sections;
+        position = root + 1;
+        depth = 1;
+        expectKey = true;
+      }
+
+      for (; position < text.length && !done; position++) {
+        const char = text[position];
+        if (inString) {
+          if (escaped) escaped = false;
+          else if (char === '\\') escaped = true;
+          else if (char === '"') {
+            inString = false;
+            if (depth === 1 && keyStart !== -1) {
+              key = JSON.parse(text.slice(keyStart, position + 1));
+              keyStart = -1;
+            }
+          }
+          continue;
+        }
+
+        if (char === '"') {
+          inString = true;
+          if (depth === 1 && expectKey) {
+            keyStart = position;
+            expectKey = false;
+          }
+        } else if (char === ':' && depth === 1 && key !== null && valueStart === -1) {
+          valueStart = position + 1;
+        } else if (char === '{' || char === '[') {
+          depth++;
+        } else if (char === '}' || char === ']') {
+          depth--;
+          if (depth === 0) {
+            endValue(sections);
+            done = true;
+          }
+        } else if (char === ',' && depth === 1) {
+          endValue(sections);
+        }
+      }
+
+      return sections;
+    }
+  };
+}
@@ -0,0 +1,299 @@
+// Last words of a column name that make it an amount or a date column: "Net Amount",
+// "Value Date"; "Cost Center" and "Tax ID" are neither
+const AMOUNT_WORDS = new Set(['amount', 'balance', 'total', 'subtotal', 'price', 'value', 'debit', 'credit', 'cost', 'fee', 'fees', 'tax', 'vat']);
+const DATE_WORDS = new Set(['date']);
+// Name a date on their own ("Posted", "Payment Due") and an amount after an amount word ("Balance Due")
+const DATE_PARTICIPLES = new Set(['due', 'posted', 'issued']);
+// Currency suffixes ignored at the end of a column name, as in "Amount USD"
+const CURRENCY_WORDS = new Set(['usd', 'eur', 'gbp', 'jpy', 'inr', 'chf', 'cad', 'aud', 'cny']);
+
+// Fields the financial data schema types as numbers or dates; a record whose
+// value cannot be read would fail validation, so it is skipped instead
+const SCHEMA_FIELDS = { amount: 'amount', balance: 'amount', date: 'date' };
+
+const CURRENCY_SYMBOLS = /[$€£¥₹]|^[A-Z]{3}|[A-Z]{3}$/g;
+
+// ISO codes for currency symbols; "$" is read as US dollars
+const SYMBOL_CURRENCIES = {
+  '$': 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY',
+  '₹': 'INR'
+};
+
+/**
+ * Tells whether a column holds amounts or dates from its name: the last word
+ * decides, after any parenthesized note or trailing currency code
+ * @param {string} field - Column name, e.g. "Net Amount (EUR)", "dueDate" or "Cost Center"
+ * @returns {string|null} 'amount', 'date', or null for any other column
+ */
+export function getColumnKind(field) {
+  const words = String(field)
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(Boolean);
+  if (words.length > 1 && CURRENCY_WORDS.has(words[words.length - 1])) words.pop();
+
+  const last = words[words.length - 1];
+  if (AMOUNT_WORDS.has(last)) return 'amount';
+  if (DATE_WORDS.has(last) || (words[0] === 'date' && words[1] === 'of')) return 'date';
+  if (DATE_PARTICIPLES.has(last)) {
+    return words.slice(0, -1).some(word => AMOUNT_WORDS.has(word)) ? 'amount' : 'date';
+  }
+  return null;
+}
+
+/**
+ * Parses a formatted amount such as "1.234,56", "(1,200.00)", "$3,400" or "€99"
+ * @param {*} value - Raw cell value
+ * @param {Object} [locale] - Locale options
+ * @param {string} [locale.decimalSeparator] - '.', ',' or 'auto'
+ * @returns {number|null} Parsed amount, or null if the value is not an amount
+ */
+export function parseAmount(value, { decimalSeparator = 'auto' } = {}) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+
+  let text = value.trim().replace(/[\s']/g, '');
+  if (text === '') return null;
+
+  // Accounting negatives: (1,200.00), -$50, $-50 or 50-
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  text = text.replace(CURRENCY_SYMBOLS, '');
+  if (/^-/.test(text) || /-$/.test(text)) {
+    negative = !negative;
+    text = text.replace(/^-|-$/g, '');
+  }
+
+  if (!/^\d[\d.,]*$/.test(text) || /[.,]$/.test(text)) return null;
+
+  const separator = decimalSeparator === 'auto' ? detectDecimalSeparator(text) : decimalSeparator;
+  const thousands = separator === ',' ? '.' : ',';
+  const parts = text.split(separator);
+  if (parts.length > 2) return null;
+
+  const integer = parts[0].split(thousands).join('');
+  const fraction = parts[1] ?? '';
+  if (/[.,]/.test(integer) || /[.,]/.test(fraction)) return null;
+
+  const amount = parseFloat(fraction ? `${integer}.${fraction}` : integer);
+  if (isNaN(amount)) return null;
+  return negative ? -amount : amount;
+}
+
+/**
+ * Detects the currency a formatted amount is written in, from a symbol or ISO code
+ * @param {string} value - Raw amount text such as "€99" or "1,200.00 GBP"
+ * @returns {string|null} ISO currency code, or null if none is present
+ */
+export function detectCurrency(value) {
+  if (typeof value !== 'string') return null;
+
+  const text = value.trim();
+  const code = text.match(/^\(?-?([A-Z]{3})\s?[\d(-]|[\d)]\s?([A-Z]{3})\)?$/);
+  if (code) return code[1] || code[2];
+
+  const symbol = text.match(/[$€£¥₹]/);
+  return symbol ? SYMBOL_CURRENCIES[symbol[0]] : null;
+}
+
+/**
+ * Guesses the decimal separator of a digits-and-separators string. When both
+ * separators appear the last one is the decimal; a lone comma followed by
+ * exactly three digits, or a repeated separator, is a thousands separator.
+ * @param {string} text - Amount text without signs or currency symbols
+ * @returns {string} '.' or ','
+ */
+function detectDecimalSeparator(text) {
+  const lastDot = text.lastIndexOf('.');
+  const lastComma = text.lastIndexOf(',');
+
+  if (lastDot !== -1 && lastComma !== -1) {
+    return lastDot > lastComma ? '.' : ',';
+  }
+  if (lastComma !== -1) {
+    const repeated = text.indexOf(',') !== lastComma;
+    return repeated || text.length - lastComma - 1 === 3 ? '.' : ',';
+  }
+  if (lastDot !== -1 && text.indexOf('.') !== lastDot) {
+    return ',';
+  }
+  return '.';
+}
+
+/**
+ * Parses a date such as "2024-01-15", "15/01/2024", "01.15.24" or "15 Jan 2024" into an ISO date
+ * @param {*} value - Raw cell value
+ * @param {Object} [locale] - Locale options
+ * @param {string} [locale.dateOrder] - 'DMY', 'MDY', 'YMD' or 'auto' (auto assumes MDY when ambiguous)
+ * @returns {string|null} ISO date (YYYY-MM-DD), or null if the value is not a date
+ */
+export function parseDate(value, { dateOrder = 'auto' } = {}) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : toIsoDate(value.getFullYear(), value.getMonth() + 1, value.getDate());
+  }
+  if (typeof value !== 'string') return null;
+
+  const text = value.trim();
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ][\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/);
+  if (iso) {
+    return toIsoDate(+iso[1], +iso[2], +iso[3]);
+  }
+
+  const numeric = text.match(/^(\d{1,4})[/.-](\d{1,2})[/.-](\d{1,4})$/);
+  if (numeric) {
+    const [a, b, c] = numeric.slice(1).map(Number);
+    if (numeric[1].length === 4) {
+      return toIsoDate(a, b, c);
+    }
+
+    const order = dateOrder === 'auto' ? (a > 12 ? 'DMY' : 'MDY') : dateOrder;
+    const year = numeric[3].length <= 2 ? 2000 + c : c;
+    if (order === 'DMY') return toIsoDate(year, b, a);
+    if (order === 'MDY') return toIsoDate(year, a, b);
+    return null;
+  }
+
+  // Month names ("15 Jan 2024", "January 15, 2024")
+  if (/[a-z]/i.test(text) && /\d{4}/.test(text)) {
+    const parsed = new Date(text);
+    if (!isNaN(parsed.getTime())) {
+      return toIsoDate(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate());
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Picks a date order for a column from its values: any first part above 12
+ * means day-first, any second part above 12 means month-first
+ * @param {Array} values - Raw date values
+ * @returns {string} 'DMY', 'MDY' or 'auto' when the values are ambiguous
+ */
+export function detectDateOrder(values) {
+  let dayFirst = false;
+  let monthFirst = false;
+
+  values.forEach(value => {
+    const match = typeof value === 'string' && value.trim().match(/^(\d{1,2})[/.-](\d{1,2})[/.-]\d{1,4}$/);
+    if (!match) return;
+    if (+match[1] > 12) dayFirst = true;
+    if (+match[2] > 12) monthFirst = true;
+  });
+
+  if (dayFirst && !monthFirst) return 'DMY';
+  if (monthFirst && !dayFirst) return 'MDY';
+  return 'auto';
+}
+
+/**
+ * Picks one date order for all date columns of a batch of records
+ * @param {Array} records - Parsed records
+ * @returns {string} 'DMY', 'MDY' or 'auto' when the values are ambiguous
+ */
+export function detectRecordsDateOrder(records) {
+  const values = [];
+  records.forEach(record => {
+    Object.entries(record || {}).forEach(([field, value]) => {
+      if (getColumnKind(field) === 'date') values.push(value);
+    });
+  });
+  return detectDateOrder(values);
+}
+
+/**
+ * Interprets the string cells of parsed records: amount and date columns are
+ * parsed with the upload's locale, and other numeric-looking cells become
+ * numbers when castNumbers is set. A currency symbol on an amount sets the
+ * record's currency when it has no currency column. Cells that cannot be
+ * interpreted are reported rather than failing the file: they keep their text,
+ * except in the schema's amount, balance and date fields, whose records are skipped.
+ * Run it after any column mapping, so that mapped columns are read under their field names.
+ * @param {Array} records - Parsed records
+ * @param {Object} [options] - Locale options plus castNumbers
+ * @returns {Object} Object with interpreted records and an array of issues
+ */
+export function interpretRecords(records, { decimalSeparator = 'auto', dateOrder = 'auto', castNumbers = false } = {}) {
+  const issues = [];
+  const dateOrders = {};
+
+  const columnOrder = field => {
+    if (!(field in dateOrders)) {
+      dateOrders[field] = dateOrder === 'auto' ? detectDateOrder(records.map(r => r?.[field])) : dateOrder;
+    }
+    return dateOrders[field];
+  };
+
+  const interpreted = [];
+  records.forEach(record => {
+    if (!record || typeof record !== 'object') {
+      interpreted.push(record);
+      return;
+    }
+
+    const result = {};
+    const hasCurrencyField = Object.keys(record).some(field => /currency|ccy/i.test(field));
+    let skipped = false;
+    Object.entries(record).forEach(([field, value]) => {
+      if (typeof value !== 'string' || ['sourceFile', 'sourceSheet'].includes(field)) {
+        result[field] = value;
+        return;
+      }
+
+      const text = value.trim();
+      if (text === '') return;
+
+      let parsed = null;
+      const expected = SCHEMA_FIELDS[field] || getColumnKind(field);
+      if (expected === 'amount') {
+        parsed = parseAmount(text, { decimalSeparator });
+        const currency = hasCurrencyField ? null : detectCurrency(text);
+        if (parsed !== null && currency) result.currency = currency;
+      } else if (expected === 'date') {
+        parsed = parseDate(text, { dateOrder: columnOrder(field) });
+      } else if (castNumbers && /^-?\d+(\.\d+)?$/.test(text)) {
+        parsed = parseFloat(text);
+      }
+
+      if (parsed !== null) {
+        result[field] = parsed;
+        return;
+      }
+
+      result[field] = text;
+      if (expected) {
+        const required = field in SCHEMA_FIELDS;
+        if (required) skipped = true;
+        issues.push({
+          sourceFile: record.sourceFile,
+          sourceSheet: record.sourceSheet,
+          sourceRow: record.sourceRow,
+          field,
+          value,
+          expected,
+          action: required ? 'record_skipped' : 'kept_as_text'
+        });
+      }
+    });
+
+    if (!skipped) interpreted.push(result);
+  });
+
+  return { records: interpreted, issues };
+}
+
+function toIsoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
\ No newline at end of file
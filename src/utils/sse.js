@@ -0,0 +1,26 @@
+/**
+ * Opens a server-sent events stream on an Express response
+ * @param {Object} res - Express response
+ * @returns {Object} Stream with send(event, data) and close()
+ */
+export function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders?.();
+
+  return {
+    send(event, data) {
+      if (!res.writableEnded) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    },
+    close() {
+      if (!res.writableEnded) {
+        res.end();
+      }
+    }
+  };
+}
\ No newline at end of file
@@ -1,10 +1,24 @@
 import Ajv from 'ajv';
 import addFormats from 'ajv-formats';
+import { config } from '../config/index.js';
 import { logger } from './logger.js';
 
 const ajv = new Ajv({ allErrors: true });
 addFormats(ajv);
 
+// Forecast settings a request may override; see config.forecast
+const FORECAST_OPTIONS = [
+  'horizonDays',
+  'granularity',
+  'inflowMethod',
+  'outflowMethod',
+  'movingAverageWindow',
+  'seasonLength',
+  'smoothing',
+  'confidenceLevel',
+  'defaultPaymentTermsDays'
+];
+
 // Financial data schema
 const financialDataSchema = {
   type: 'object',
@@ -82,6 +96,137 @@ const financialDataSchema = {
 
 export const validateFinancialData = ajv.compile(financialDataSchema);
 
+// Schema for the LLM's analysis result; the forecast is computed locally and not part of it
+export const nullableNumber = { type: ['number', 'null'] };
+export const anomalyItemSchema = {
+  type: 'object',
+  properties: {
+    entryId: { type: ['string', 'number'] },
+    type: { type: 'string', enum: ['duplicate', 'outlier', 'fraud_risk', 'frequency_change'] },
+    issue: { type: 'string' },
+    severity: { type: 'string', enum: ['low', 'medium', 'high'] }
+  },
+  required: ['entryId', 'type', 'issue', 'severity']
+};
+export const suggestionItemSchema = {
+  type: 'object',
+  properties: {
+    category: { type: 'string' },
+    suggestion: { type: 'string' },
+    potentialSavings: { type: ['number', 'string'] },
+    implementation: { type: 'string' }
+  },
+  required: ['category', 'suggestion']
+};
+export const dataQualitySchema = {
+  type: 'object',
+  properties: {
+    completeness: { type: 'number' },
+    accuracy: { type: 'number' },
+    recommendations: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['completeness', 'accuracy', 'recommendations']
+};
+export const analysisResultSchema = {
+  type: 'object',
+  properties: {
+    forecastCommentary: { type: 'string' },
+    anomalies: { type: 'array', items: anomalyItemSchema },
+    procurementSuggestions: { type: 'array', items: suggestionItemSchema },
+    kpis: {
+      type: 'object',
+      properties: {
+        grossMargin: nullableNumber,
+        netBurnRate: nullableNumber,
+        dso: nullableNumber,
+        dpo: nullableNumber
+      },
+      required: ['grossMargin', 'netBurnRate', 'dso', 'dpo']
+    },
+    dataQuality: dataQualitySchema
+  },
+  required: ['forecastCommentary', 'anomalies', 'procurementSuggestions', 'kpis', 'dataQuality'],
+  additionalProperties: true
+};
+
+// Schema for the analysis of one chunk of a dataset too large for a single prompt
+const chunkAnalysisSchema = {
+  type: 'object',
+  properties: {
+    anomalies: { type: 'array', items: anomalyItemSchema },
+    procurementSuggestions: { type: 'array', items: suggestionItemSchema },
+    observations: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['anomalies', 'procurementSuggestions', 'observations'],
+  additionalProperties: true
+};
+
+export const validateChunkAnalysisResult = ajv.compile(chunkAnalysisSchema);
+
+// Schema for an analysis response body posted back to be exported
+const objectMap = { type: 'object', additionalProperties: { type: 'object' } };
+const objectList = { type: 'array', items: { type: 'object' } };
+const exportResultSchema = {
+  type: 'object',
+  properties: {
+    analysis: {
+      type: 'object',
+      properties: {
+        anomalies: objectList,
+        cashFlowForecast: objectMap
+      }
+    },
+    kpis: {
+      type: 'object',
+      properties: {
+        details: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: { value: nullableNumber }
+          }
+        },
+        discrepancies: objectList,
+        currency: { type: 'string' },
+        period: { type: ['object', 'null'] }
+      }
+    },
+    forecast: {
+      type: 'object',
+      properties: { cashFlowForecast: objectMap }
+    },
+    template: {
+      type: 'object',
+      properties: {
+        sections: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              key: { type: 'string' },
+              title: { type: 'string' },
+              type: { type: 'string', enum: ['text', 'list', 'metrics'] }
+            },
+            required: ['key', 'title', 'type']
+          }
+        }
+      }
+    },
+    data: {
+      type: 'object',
+      properties: {
+        invoices: objectList,
+        expenses: objectList,
+        payments: objectList,
+        balances: objectList
+      }
+    }
+  },
+  required: ['analysis']
+};
+
+const validateExportResultShape = ajv.compile(exportResultSchema);
+
 /**
  * Validates financial data and returns detailed error information
  * @param {Object} data - Data to validate
@@ -110,6 +255,63 @@ export function validateData(data) {
   return result;
 }
 
+/**
+ * Compiles an LLM output schema, such as a prompt template's, into a validator
+ * @param {Object} schema - JSON schema
+ * @returns {Function} Validator returning { isValid, errors } for a parsed result
+ */
+export function createResultValidator(schema) {
+  const validate = ajv.compile(schema);
+  return result => {
+    const isValid = validate(result);
+    return {
+      isValid,
+      errors: isValid ? [] : validate.errors.map(formatValidationError)
+    };
+  };
+}
+
+/**
+ * Validates the LLM analysis of one chunk of a larger dataset
+ * @param {Object} result - Parsed chunk analysis
+ * @returns {Object} Validation result with isValid flag and errors
+ */
+export function validateChunkAnalysis(result) {
+  const isValid = validateChunkAnalysisResult(result);
+  return {
+    isValid,
+    errors: isValid ? [] : validateChunkAnalysisResult.errors.map(formatValidationError)
+  };
+}
+
+/**
+ * Validates an analysis response body posted back for export, including that
+ * each template section's value has the shape its section type renders
+ * @param {Object} result - Analysis response body
+ * @returns {Object} Validation result with isValid flag and errors
+ */
+export function validateExportResult(result) {
+  if (!validateExportResultShape(result)) {
+    return { isValid: false, errors: validateExportResultShape.errors.map(formatValidationError) };
+  }
+
+  const errors = [];
+  (result.template?.sections || []).forEach(section => {
+    const value = result.analysis[section.key];
+    if (value === undefined || value === null) return;
+    if (section.type === 'list' && !Array.isArray(value)) {
+      errors.push({ field: `/analysis/${section.key}`, message: 'must be array', value });
+    } else if (section.type === 'metrics' && !isPlainObject(value)) {
+      errors.push({ field: `/analysis/${section.key}`, message: 'must be object', value });
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
 /**
  * Formats AJV validation errors into user-friendly messages
  * @param {Object} error - AJV error object
@@ -161,6 +363,28 @@ function checkDataQuality(data) {
     warnings.push(`${suspiciousAmounts.length} records with unusual amounts detected`);
   }
   
+  // Report cells the parser could not interpret; a skipped record may have several
+  const parseIssues = data.metadata?.parseIssues || [];
+  const skippedRows = new Set(parseIssues
+    .filter(issue => issue.action === 'record_skipped')
+    .map((issue, i) => (issue.sourceRow === undefined ? i : `${issue.sourceFile}|${issue.sourceSheet}|${issue.sourceRow}`)));
+  if (skippedRows.size > 0) {
+    warnings.push(`${skippedRows.size} records skipped because an amount or date could not be interpreted`);
+  }
+
+  const keptAsText = parseIssues.filter(issue => issue.action === 'kept_as_text').length;
+  if (keptAsText > 0) {
+    warnings.push(`${keptAsText} cells kept as text because an amount or date could not be interpreted`);
+  }
+  
+  // Report records that could not be converted into the reporting currency
+  const missingRates = data.metadata?.fx?.missingRates || [];
+  if (missingRates.length > 0) {
+    const affected = missingRates.reduce((sum, missing) => sum + missing.records, 0);
+    const examples = missingRates.slice(0, 3).map(m => `${m.currency} on ${m.date || 'undated'}`).join(', ');
+    warnings.push(`${affected} records have no FX rate into ${data.metadata.fx.reportingCurrency} (${examples}) - amounts left in original currency`);
+  }
+  
   return warnings;
 }
 
@@ -178,18 +402,126 @@ export function validateFileUpload(file) {
   }
   
   // Check file size (10MB limit)
-  if (file.size > 10 * 1024 * 1024) {
+  if (file.size > config.upload.maxFileSize) {
     errors.push('File size exceeds 10MB limit');
   }
   
   // Check file type
-  const allowedTypes = ['text/csv', 'application/json', 'text/plain'];
-  if (!allowedTypes.includes(file.mimetype)) {
-    errors.push(`Invalid file type. Allowed types: ${allowedTypes.join(', ')}`);
+  if (!isAllowedFileType(file)) {
+    errors.push(`Invalid file type. Allowed types: ${config.upload.allowedExtensions.join(', ')}`);
   }
   
   return {
     isValid: errors.length === 0,
     errors
   };
+}
+
+/**
+ * Checks an uploaded file's MIME type and extension against the allowed list.
+ * Spreadsheets are often sent as application/octet-stream, so a known
+ * extension is accepted on its own.
+ * @param {Object} file - Uploaded file object (mimetype, originalname)
+ * @returns {boolean} True if the file type is allowed
+ */
+export function isAllowedFileType(file) {
+  const name = (file.originalname || '').toLowerCase();
+  const hasAllowedExtension = config.upload.allowedExtensions.some(ext => name.endsWith(ext));
+  return hasAllowedExtension || config.upload.allowedMimeTypes.includes(file.mimetype);
+}
+
+/**
+ * Reads an optional integer parameter within bounds
+ * @param {string|number} value - Parameter value
+ * @param {number} fallback - Value when the parameter is absent
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {number|null} The integer, or null if it is not one or out of bounds
+ */
+export function parseBoundedInt(value, fallback, min, max) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min && number <= max ? number : null;
+}
+
+/**
+ * Validates per-upload options for amount and date parsing, currency conversion and forecasting
+ * @param {Object} options - Upload options (locale, reportingCurrency, forecast)
+ * @returns {Object} Validation result
+ */
+export function validateUploadOptions({ locale = {}, reportingCurrency, forecast = {} } = {}) {
+  const errors = [];
+  const { decimalSeparator = 'auto', dateOrder = 'auto' } = locale;
+
+  if (!['.', ',', 'auto'].includes(decimalSeparator)) {
+    errors.push(`Invalid decimalSeparator "${decimalSeparator}". Allowed: ".", ",", auto`);
+  }
+
+  if (!['DMY', 'MDY', 'YMD', 'auto'].includes(dateOrder)) {
+    errors.push(`Invalid dateOrder "${dateOrder}". Allowed: DMY, MDY, YMD, auto`);
+  }
+
+  if (reportingCurrency && !/^[A-Z]{3}$/.test(reportingCurrency)) {
+    errors.push(`Invalid reportingCurrency "${reportingCurrency}". Expected a 3-letter ISO code`);
+  }
+
+  if (!isPlainObject(forecast)) {
+    errors.push('Invalid forecast options. Expected a JSON object');
+  } else {
+    const unknown = Object.keys(forecast).filter(field => !FORECAST_OPTIONS.includes(field));
+    if (unknown.length > 0) {
+      errors.push(`Unknown forecast options: ${unknown.join(', ')}. Allowed: ${FORECAST_OPTIONS.join(', ')}`);
+    }
+
+    if (parseBoundedInt(forecast.horizonDays, 1, 1, config.forecast.maxHorizonDays) === null) {
+      errors.push(`Invalid forecast horizonDays "${forecast.horizonDays}". Expected an integer from 1 to ${config.forecast.maxHorizonDays}`);
+    }
+
+    if (parseBoundedInt(forecast.defaultPaymentTermsDays, 0, 0, 365) === null) {
+      errors.push(`Invalid forecast defaultPaymentTermsDays "${forecast.defaultPaymentTermsDays}". Expected an integer from 0 to 365`);
+    }
+
+    // Periods per granularity, e.g. { day: 28, week: 4 }; either one may be left out
+    ['movingAverageWindow', 'seasonLength'].forEach(field => {
+      const value = forecast[field];
+      if (value === undefined) return;
+      const valid = isPlainObject(value) && Object.entries(value).every(([granularity, periods]) =>
+        ['day', 'week'].includes(granularity) && Number.isInteger(periods) && periods >= 1 && periods <= 365);
+      if (!valid) {
+        errors.push(`Invalid forecast ${field}. Expected an object with day and/or week periods from 1 to 365`);
+      }
+    });
+
+    if (forecast.smoothing !== undefined) {
+      const valid = isPlainObject(forecast.smoothing) && Object.entries(forecast.smoothing).every(([factor, value]) =>
+        ['alpha', 'gamma'].includes(factor) && typeof value === 'number' && value > 0 && value <= 1);
+      if (!valid) {
+        errors.push('Invalid forecast smoothing. Expected an object with alpha and/or gamma above 0 and at most 1');
+      }
+    }
+
+    const methods = ['moving_average', 'exponential_smoothing', 'scheduled'];
+    ['inflowMethod', 'outflowMethod'].forEach(field => {
+      if (forecast[field] !== undefined && !methods.includes(forecast[field])) {
+        errors.push(`Invalid forecast ${field} "${forecast[field]}". Allowed: ${methods.join(', ')}`);
+      }
+    });
+
+    if (forecast.granularity !== undefined && !['day', 'week'].includes(forecast.granularity)) {
+      errors.push(`Invalid forecast granularity "${forecast.granularity}". Allowed: day, week`);
+    }
+
+    if (forecast.confidenceLevel !== undefined && ![0.8, 0.9, 0.95, 0.99].includes(forecast.confidenceLevel)) {
+      errors.push(`Invalid forecast confidenceLevel "${forecast.confidenceLevel}". Allowed: 0.8, 0.9, 0.95, 0.99`);
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
 }
\ No newline at end of file
@@ -1,5 +1,11 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import request from 'supertest';
+import XLSX from 'xlsx';
 import app from '../src/index.js';
+import { analyzeFinancialData } from '../src/services/llmClient.js';
+import { config } from '../src/config/index.js';
 
 // Mock the OpenRouter client
 jest.mock('../src/services/llmClient.js', () => ({
@@ -31,6 +37,21 @@ jest.mock('../src/services/llmClient.js', () => ({
 }));
 
 describe('Financial Analysis API', () => {
+  const { path: profilesPath } = config.importProfiles;
+  let profilesDir;
+
+  // Analyses are stored in a history, and import profiles in a file, that last for the test run only
+  beforeAll(() => {
+    config.history.path = ':memory:';
+    profilesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-profiles-'));
+    config.importProfiles.path = path.join(profilesDir, 'import-profiles.json');
+  });
+
+  afterAll(() => {
+    config.importProfiles.path = profilesPath;
+    fs.rmSync(profilesDir, { recursive: true, force: true });
+  });
+
   const sampleData = {
     invoices: [
       {
@@ -73,6 +94,280 @@ describe('Financial Analysis API', () => {
     expect(response.body.analysis).toHaveProperty('cashFlowForecast');
     expect(response.body.analysis).toHaveProperty('kpis');
     expect(response.body.analysis).toHaveProperty('anomalies');
+    expect(response.body.kpis.details.netBurnRate.formula).toBe('(cashOut - cashIn) / months');
+    expect(response.body.kpis.discrepancies.map(check => check.kpi)).toContain('netBurnRate');
+    expect(response.body.analysis.cashFlowForecast.month1).toHaveProperty('confidenceBands');
+    expect(response.body.forecast.methods.inflow.method).toBe('exponential_smoothing');
+    expect(response.body.benford.overall).toHaveProperty('firstDigit');
+  });
+
+  test('POST /api/analyze/benford - should return digit tests on their own', async () => {
+    const response = await request(app)
+      .post('/api/analyze/benford')
+      .send({ data: sampleData })
+      .expect(200);
+
+    expect(response.body.benford.recordCount).toBe(1);
+    expect(response.body.benford.sufficientData).toBe(false);
+    expect(response.body.benford.overall.firstDigit.distribution).toHaveLength(9);
+  });
+
+  test('POST /api/analyze - should return 502 when the model output does not conform', async () => {
+    const outputError = new Error('Model output still invalid after 2 repair attempts');
+    outputError.code = 'ANALYSIS_OUTPUT_INVALID';
+    outputError.validationErrors = ["(root) must have required property 'kpis'"];
+    analyzeFinancialData.mockRejectedValueOnce(outputError);
+
+    const response = await request(app)
+      .post('/api/analyze')
+      .send({ data: sampleData })
+      .expect(502);
+
+    expect(response.body.error).toBe('Analysis output invalid');
+    expect(response.body.details).toEqual(["(root) must have required property 'kpis'"]);
+  });
+
+  test('POST /api/analyze - should return 400 for an unknown forecast method', async () => {
+    const response = await request(app)
+      .post('/api/analyze')
+      .send({ data: sampleData, forecast: { inflowMethod: 'crystal_ball' } })
+      .expect(400);
+
+    expect(response.body.error).toBe('Invalid upload options');
+  });
+
+  test('POST /api/analyze - should return 400 for unknown or malformed forecast settings', async () => {
+    const invalid = [
+      { horizonDays: 'abc' },
+      { horizonDays: -5 },
+      { horizonDays: 1e9 },
+      { movingAverageWindow: 3 },
+      { smoothing: { alpha: 2 } },
+      { cashOnHand: 1000 }
+    ];
+
+    for (const forecast of invalid) {
+      const response = await request(app)
+        .post('/api/analyze')
+        .send({ data: sampleData, forecast })
+        .expect(400);
+
+      expect(response.body.details).toHaveLength(1);
+    }
+  });
+
+  test('POST /api/analyze - should use the prompt template of the analysis type and return its version', async () => {
+    const response = await request(app)
+      .post('/api/analyze')
+      .send({ data: sampleData, analysisType: 'custom', customPrompt: 'Which vendors could we consolidate?' })
+      .expect(200);
+
+    const [, options] = analyzeFinancialData.mock.calls[analyzeFinancialData.mock.calls.length - 1];
+    expect(options.template).toMatchObject({ id: 'custom', version: '1.0.0' });
+    expect(options.customPrompt).toBe('Which vendors could we consolidate?');
+    expect(response.body.template).toMatchObject({ id: 'custom', version: '1.0.0', title: 'Custom Analysis' });
+    expect(response.body.template.sections.map(section => section.key)).toEqual(['summary', 'findings', 'anomalies', 'kpis']);
+  });
+
+  test('POST /api/analyze - should return 400 for a custom analysis without a prompt or an unknown template', async () => {
+    const custom = await request(app)
+      .post('/api/analyze')
+      .send({ data: sampleData, analysisType: 'custom', customPrompt: '   ' })
+      .expect(400);
+    expect(custom.body.details).toEqual(['analysisType "custom" requires a customPrompt']);
+
+    const versioned = await request(app)
+      .post('/api/analyze')
+      .send({ data: sampleData, analysisType: 'trends', promptVersion: '0.9.0' })
+      .expect(400);
+    expect(versioned.body.details).toEqual(['Unknown promptVersion "0.9.0" for trends. Available: 1.0.0']);
+  });
+
+  test('POST /api/analyze?async=true - should run the analysis as a job with stage progress', async () => {
+    const created = await request(app)
+      .post('/api/analyze?async=true')
+      .send({ data: sampleData })
+      .expect(202);
+
+    const { id } = created.body.job;
+    expect(created.headers.location).toBe(`/api/jobs/${id}`);
+
+    let job = created.body.job;
+    for (let i = 0; i < 20 && !['completed', 'failed'].includes(job.status); i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      job = (await request(app).get(`/api/jobs/${id}`).expect(200)).body.job;
+    }
+
+    expect(job.status).toBe('completed');
+    expect(Object.values(job.stages).map(stage => stage.status)).toEqual(['completed', 'completed', 'completed', 'completed']);
+    expect(job.result.analysis).toHaveProperty('anomalies');
+    expect(job.result.template.id).toBe('general');
+
+    await request(app).delete(`/api/jobs/${id}`).expect(409);
+    await request(app).get('/api/jobs/unknown').expect(404);
+  });
+
+  test('POST /api/analyze/stream - should emit stage results and LLM sections before the full result', async () => {
+    analyzeFinancialData.mockImplementationOnce(async (data, { onSection }) => {
+      onSection('forecastCommentary', 'Cash stays positive.');
+      onSection('anomalies', [{ entryId: 'exp_001', type: 'fraud_risk', issue: 'Round amount', severity: 'low' }]);
+      return { forecastCommentary: 'Cash stays positive.', anomalies: [], kpis: {} };
+    });
+
+    const response = await request(app)
+      .post('/api/analyze/stream')
+      .send({ data: sampleData })
+      .expect('Content-Type', /text\/event-stream/)
+      .expect(200);
+
+    const events = response.text.trim().split('\n\n').map(block => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+
+    expect(events.filter(e => e.event !== 'stage').map(e => e.event))
+      .toEqual(['parsed', 'validated', 'metrics', 'section', 'section', 'complete']);
+    expect(events.find(e => e.event === 'parsed').data.recordCounts).toMatchObject({ invoices: 1, expenses: 1 });
+    expect(events.find(e => e.event === 'metrics').data.kpis.kpis).toHaveProperty('netBurnRate');
+    expect(events.filter(e => e.event === 'stage' && e.data.status === 'completed').map(e => e.data.stage))
+      .toEqual(['parse', 'validate', 'compute', 'llm']);
+
+    const anomalies = events.filter(e => e.event === 'section')[1].data;
+    expect(anomalies.key).toBe('anomalies');
+    expect(anomalies.value[anomalies.value.length - 1]).toMatchObject({ entryId: 'exp_001', source: 'llm', entryIdFound: true });
+    expect(events[events.length - 1].data.analysis.forecastCommentary).toBe('Cash stays positive.');
+  });
+
+  test('POST /api/analyze/stream - should report parse failures as an error event', async () => {
+    const response = await request(app)
+      .post('/api/analyze/stream')
+      .send({ data: 'amount,date\n"unterminated', format: 'csv' })
+      .expect(200);
+
+    expect(response.text).toMatch(/^event: stage\n/);
+    expect(response.text).toMatch(/event: error\ndata: {"error":"Data parsing failed"/);
+  });
+
+  test('GET /api/analyses - should list, fetch and delete stored analyses', async () => {
+    const analyzed = await request(app)
+      .post('/api/analyze')
+      .send({ data: sampleData, analysisType: 'cashflow' })
+      .expect(200);
+    const { analysisId } = analyzed.body;
+    expect(analysisId).toEqual(expect.any(String));
+
+    const list = await request(app)
+      .get('/api/analyses')
+      .expect(200);
+    expect(list.body.analyses[0]).toMatchObject({ id: analysisId, analysisType: 'cashflow', promptVersion: '1.0.0', recordCount: 2 });
+    expect(list.body.analyses[0]).not.toHaveProperty('result');
+    expect(list.body.total).toBeGreaterThanOrEqual(1);
+
+    const stored = await request(app)
+      .get(`/api/analyses/${analysisId}`)
+      .expect(200);
+    expect(stored.body.analysis.input.invoices[0].id).toBe('inv_001');
+    expect(stored.body.analysis.result.template.id).toBe('cashflow');
+    expect(stored.body.analysis.result.kpis).toEqual(analyzed.body.kpis);
+
+    await request(app).delete(`/api/analyses/${analysisId}`).expect(200);
+    await request(app).get(`/api/analyses/${analysisId}`).expect(404);
+    await request(app).delete(`/api/analyses/${analysisId}`).expect(404);
+    await request(app).get('/api/analyses?limit=0').expect(400);
+  });
+
+  test('POST /api/compare - should compare a stored analysis with a dataset', async () => {
+    const analyzed = await request(app)
+      .post('/api/analyze')
+      .send({ data: sampleData })
+      .expect(200);
+
+    const nextMonth = {
+      ...sampleData,
+      expenses: [
+        { id: 'exp_002', date: '2024-02-10', amount: 1500, category: 'facilities', vendor: 'Property Management' }
+      ]
+    };
+    const response = await request(app)
+      .post('/api/compare')
+      .send({ previous: { analysisId: analyzed.body.analysisId }, current: { data: nextMonth } })
+      .expect(200);
+
+    const { comparison } = response.body;
+    expect(comparison.spend.byCategory[0]).toMatchObject({ name: 'facilities', previous: 1200, current: 1500, change: 300 });
+    expect(comparison.kpis).toHaveProperty('netBurnRate');
+    expect(comparison.forecastAccuracy).toHaveProperty('summary');
+    expect(comparison.anomalies.counts).toMatchObject({ new: 0, resolved: 0 });
+
+    await request(app)
+      .post('/api/compare')
+      .send({ previous: { analysisId: 'missing' }, current: { data: nextMonth } })
+      .expect(404);
+    await request(app)
+      .post('/api/compare')
+      .send({ previous: { data: sampleData } })
+      .expect(400);
+
+    const mismatch = await request(app)
+      .post('/api/compare')
+      .send({ previous: { analysisId: analyzed.body.analysisId }, current: { data: nextMonth }, reportingCurrency: 'EUR' })
+      .expect(400);
+    expect(mismatch.body.error).toBe('Currency mismatch');
+  });
+
+  test('GET /api/analyses/:id/export - should download a stored analysis as Markdown or XLSX', async () => {
+    const analyzed = await request(app)
+      .post('/api/analyze')
+      .send({ data: sampleData })
+      .expect(200);
+
+    const markdown = await request(app)
+      .get(`/api/analyses/${analyzed.body.analysisId}/export?format=markdown`)
+      .expect('Content-Type', /text\/markdown/)
+      .expect(200);
+    expect(markdown.headers['content-disposition']).toMatch(/^attachment; filename="general-analysis-\d{4}-\d{2}-\d{2}\.md"$/);
+    expect(markdown.text).toContain('## Key Metrics');
+
+    const workbook = await request(app)
+      .post('/api/export')
+      .send({ format: 'xlsx', result: analyzed.body })
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+    expect(XLSX.read(workbook.body, { type: 'buffer' }).SheetNames).toContain('Data - invoices');
+
+    await request(app).get(`/api/analyses/${analyzed.body.analysisId}/export?format=docx`).expect(400);
+    await request(app).get('/api/analyses/missing/export').expect(404);
+  });
+
+  test('POST /api/export - should reject a result whose fields have the wrong shape', async () => {
+    const anomalies = await request(app)
+      .post('/api/export')
+      .send({ format: 'markdown', result: { analysis: { anomalies: 'x' } } })
+      .expect(400);
+    expect(anomalies.body.error).toBe('Invalid result');
+    expect(anomalies.body.details[0].field).toBe('/analysis/anomalies');
+
+    await request(app)
+      .post('/api/export')
+      .send({ format: 'markdown', result: { analysis: {}, template: { sections: 'x' } } })
+      .expect(400);
+
+    const list = await request(app)
+      .post('/api/export')
+      .send({
+        format: 'markdown',
+        result: {
+          analysis: { risks: 'x' },
+          template: { sections: [{ key: 'risks', title: 'Risks', type: 'list' }] }
+        }
+      })
+      .expect(400);
+    expect(list.body.details[0].field).toBe('/analysis/risks');
   });
 
   test('POST /api/analyze - should return 400 for missing data', async () => {
@@ -84,6 +379,330 @@ describe('Financial Analysis API', () => {
     expect(response.body.error).toBe('Missing required field: data');
   });
 
+  test('POST /api/analyze/file - should parse Excel workbooks by sheet name', async () => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+      ['Invoice export'],
+      ['id', 'amount', 'date', 'customer'],
+      ['inv_001', 5000, 45306, 'Acme']
+    ]), 'Invoices');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+      ['id', 'amount', 'date', 'vendor'],
+      ['exp_001', 1200, 45301, 'Property Management']
+    ]), 'Expenses');
+    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+    const response = await request(app)
+      .post('/api/analyze/file')
+      .attach('file', buffer, 'ledger.xlsx')
+      .expect(200);
+
+    expect(response.body.data.invoices).toEqual([
+      {
+        id: 'inv_001',
+        amount: 5000,
+        date: '2024-01-15',
+        customer: 'Acme',
+        currency: 'USD',
+        sourceFile: 'ledger.xlsx',
+        sourceSheet: 'Invoices',
+        sourceRow: 3
+      }
+    ]);
+    expect(response.body.data.expenses[0].date).toBe('2024-01-10');
+  });
+
+  test('POST /api/upload - should merge several files and tag record provenance', async () => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+      ['id', 'amount', 'date', 'vendor'],
+      ['exp_002', 300, 45310, 'Stationers']
+    ]), 'Expenses');
+
+    const response = await request(app)
+      .post('/api/upload')
+      .attach('files', Buffer.from(JSON.stringify(sampleData)), 'ledger.json')
+      .attach('files', XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }), 'expenses.xlsx')
+      .expect(200);
+
+    const { parsedData } = response.body;
+    expect(parsedData.invoices).toHaveLength(1);
+    expect(parsedData.expenses).toHaveLength(2);
+    expect(parsedData.expenses[0]).toMatchObject({ id: 'exp_001', sourceFile: 'ledger.json', sourceRow: 1 });
+    expect(parsedData.expenses[1]).toMatchObject({ id: 'exp_002', sourceFile: 'expenses.xlsx', sourceRow: 2 });
+    expect(parsedData.metadata.files.map(f => f.name)).toEqual(['ledger.json', 'expenses.xlsx']);
+  });
+
+  test('POST /api/upload - should return 400 when no files are sent', async () => {
+    const response = await request(app)
+      .post('/api/upload')
+      .expect(400);
+
+    expect(response.body.error).toBe('No files uploaded');
+  });
+
+  test('POST /api/upload - should reject a mapping to an unknown category', async () => {
+    const response = await request(app)
+      .post('/api/upload')
+      .field('mapping', JSON.stringify({ columns: { amount: 'Total' }, defaultCategory: 'receipts' }))
+      .attach('files', Buffer.from(JSON.stringify([{ Total: 10 }])), 'receipts.json')
+      .expect(400);
+
+    expect(response.body).toEqual({ error: 'Invalid mapping', message: 'Unknown categories: receipts' });
+  });
+
+  test('POST /api/upload/preview - should infer column roles and reuse saved profiles', async () => {
+    const qbExport = Buffer.from(JSON.stringify([
+      { Posted: '2024-01-15', Total: 5000, Client: 'Acme', Kind: 'Invoice' },
+      { Posted: '2024-01-20', Total: 800, Client: 'Stationers', Kind: 'Bill' }
+    ]));
+
+    const preview = await request(app)
+      .post('/api/upload/preview')
+      .attach('files', qbExport, 'qb.json')
+      .expect(200);
+
+    const [table] = preview.body.files[0].tables;
+    expect(table.columns).toEqual(['Posted', 'Total', 'Client', 'Kind']);
+    expect(table.mapping.columns).toEqual({ amount: 'Total', date: 'Posted', counterparty: 'Client', type: 'Kind' });
+    expect(table.profile).toBeNull();
+
+    // Bills in this export are supplier bills, not invoices
+    const saved = await request(app)
+      .post('/api/import-profiles')
+      .send({
+        name: 'QuickBooks AR export',
+        columns: table.columns,
+        mapping: { ...table.mapping, typeValues: { Invoice: 'invoices', Bill: 'expenses' } }
+      })
+      .expect(201);
+
+    const upload = await request(app)
+      .post('/api/upload')
+      .attach('files', qbExport, 'qb-february.json')
+      .expect(200);
+
+    expect(upload.body.parsedData.invoices[0]).toMatchObject({ amount: 5000, date: '2024-01-15', customer: 'Acme' });
+    expect(upload.body.parsedData.expenses[0]).toMatchObject({ amount: 800, vendor: 'Stationers' });
+
+    await request(app)
+      .delete(`/api/import-profiles/${saved.body.profile.id}`)
+      .expect(200);
+  });
+
+  test('POST /api/upload - should read amounts and dates with the upload locale', async () => {
+    const csv = [
+      'type,amount,date,description',
+      'invoice,"1.234,56",03/02/2024,Consulting',
+      'expense,€99,04/02/2024,Software'
+    ].join('\n');
+
+    const response = await request(app)
+      .post('/api/upload')
+      .field('decimalSeparator', ',')
+      .field('dateOrder', 'DMY')
+      .attach('files', Buffer.from(csv), 'eu-ledger.csv')
+      .expect(200);
+
+    const { parsedData } = response.body;
+    expect(parsedData.invoices[0]).toMatchObject({ amount: 1234.56, date: '2024-02-03' });
+    expect(parsedData.expenses[0]).toMatchObject({ amount: 99, date: '2024-02-04' });
+  });
+
+  test('POST /api/upload - should read the amounts and dates of mapped columns', async () => {
+    const csv = [
+      'Datum,Betrag,Kunde',
+      '03.02.2024,"1.234,56 €",Muster GmbH'
+    ].join('\n');
+
+    const response = await request(app)
+      .post('/api/upload')
+      .field('decimalSeparator', ',')
+      .field('dateOrder', 'DMY')
+      .field('mapping', JSON.stringify({ columns: { amount: 'Betrag', date: 'Datum', counterparty: 'Kunde' }, defaultCategory: 'invoices' }))
+      .attach('files', Buffer.from(csv), 'rechnungen.csv')
+      .expect(200);
+
+    const { parsedData } = response.body;
+    expect(parsedData.invoices[0]).toMatchObject({ amount: 1234.56, date: '2024-02-03', customer: 'Muster GmbH', currency: 'EUR' });
+    expect(parsedData.metadata.parseIssues).toEqual([]);
+  });
+
+  test('POST /api/upload - should warn about skipped records and cells kept as text separately', async () => {
+    const csv = [
+      'type,amount,date,Tax Amount,description',
+      'expense,120.00,2024-01-05,exempt,Stationery',
+      'expense,n/a,someday,,Unknown',
+      'expense,80.00,2024-01-09,8.00,Courier'
+    ].join('\n');
+
+    const response = await request(app)
+      .post('/api/upload')
+      .attach('files', Buffer.from(csv), 'ledger.csv')
+      .expect(200);
+
+    expect(response.body.parsedData.metadata.parseIssues).toHaveLength(3);
+    expect(response.body.warnings).toEqual(expect.arrayContaining([
+      '1 records skipped because an amount or date could not be interpreted',
+      '1 cells kept as text because an amount or date could not be interpreted'
+    ]));
+  });
+
+  test('POST /api/analyze/file - should skip and report uninterpretable cells', async () => {
+    const csv = [
+      'type,amount,date,description',
+      'invoice,"$3,400",01/15/2024,Consulting',
+      'expense,€99,1/2/24,Software',
+      'expense,n/a,01/20/2024,Unknown'
+    ].join('\n');
+
+    const response = await request(app)
+      .post('/api/analyze/file')
+      .attach('file', Buffer.from(csv), 'us-ledger.csv')
+      .expect(200);
+
+    expect(response.body.data.invoices[0]).toMatchObject({ amount: 3400, date: '2024-01-15' });
+    expect(response.body.data.expenses[0]).toMatchObject({ amount: 99, date: '2024-01-02' });
+    expect(response.body.data.metadata.parseIssues).toEqual([
+      expect.objectContaining({ sourceRow: 4, field: 'amount', value: 'n/a', action: 'record_skipped' })
+    ]);
+  });
+
+  test('POST /api/upload/stream - should stream rows and report progress and totals', async () => {
+    const rows = ['type,amount,date,vendor'];
+    for (let i = 0; i < 2500; i++) {
+      rows.push(`expense,"1,000.50",2024-01-${String((i % 28) + 1).padStart(2, '0')},Vendor ${i % 10}`);
+    }
+
+    const response = await request(app)
+      .post('/api/upload/stream')
+      .attach('file', Buffer.from(rows.join('\n')), 'ledger.csv')
+      .expect('Content-Type', /text\/event-stream/)
+      .expect(200);
+
+    const events = response.text.trim().split('\n\n').map(block => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+
+    expect(events.filter(e => e.event === 'progress').map(e => e.data.rowsProcessed)).toEqual([1000, 2000, 2500]);
+
+    const complete = events.find(e => e.event === 'complete').data;
+    expect(complete.summary.rowsProcessed).toBe(2500);
+    expect(complete.summary.categories.expenses).toMatchObject({
+      count: 2500,
+      totalAmount: 2501250,
+      firstDate: '2024-01-01',
+      lastDate: '2024-01-28'
+    });
+    expect(complete.parsedData.expenses).toHaveLength(2500);
+  });
+
+  test('POST /api/upload/stream - should count skipped records rather than unreadable cells', async () => {
+    const csv = [
+      'type,amount,date,vendor',
+      'expense,120.00,2024-01-05,Stationers',
+      'expense,n/a,someday,Unknown',
+      'expense,80.00,2024-01-09,Couriers'
+    ].join('\n');
+
+    const response = await request(app)
+      .post('/api/upload/stream')
+      .attach('file', Buffer.from(csv), 'ledger.csv')
+      .expect(200);
+
+    const complete = response.text.trim().split('\n\n')
+      .map(block => block.split('\n'))
+      .find(([eventLine]) => eventLine === 'event: complete');
+    const { summary, truncated, parsedData } = JSON.parse(complete[1].slice('data: '.length));
+
+    expect(parsedData.metadata.parseIssues).toHaveLength(2);
+    expect(summary).toMatchObject({ rowsProcessed: 3, recordsRetained: 2, recordsSkipped: 1 });
+    expect(truncated).toBe(false);
+  });
+
+  test('POST /api/upload - should convert amounts into the reporting currency', async () => {
+    const ratesPath = path.join(os.tmpdir(), `fx-rates-${Date.now()}.csv`);
+    fs.writeFileSync(ratesPath, 'date,currency,rate\n2024-01-12,EUR,1.10\n2024-01-12,GBP,1.25\n');
+    const originalRatesPath = config.currency.ratesPath;
+    config.currency.ratesPath = ratesPath;
+
+    const ledger = {
+      invoices: [{ id: 'inv_eu', amount: 1000, currency: 'EUR', date: '2024-01-15' }],
+      expenses: [
+        { id: 'exp_uk', amount: 200, currency: 'GBP', date: '2024-01-13' },
+        { id: 'exp_late', amount: 50, currency: 'GBP', date: '2024-03-01' }
+      ]
+    };
+
+    try {
+      const response = await request(app)
+        .post('/api/upload')
+        .field('reportingCurrency', 'EUR')
+        .attach('files', Buffer.from(JSON.stringify(ledger)), 'fx.json')
+        .expect(200);
+
+      const { parsedData } = response.body;
+      expect(parsedData.invoices[0]).toMatchObject({ amount: 1000, currency: 'EUR' });
+      expect(parsedData.expenses[0]).toMatchObject({
+        amount: 227.27,
+        currency: 'EUR',
+        originalAmount: 200,
+        originalCurrency: 'GBP',
+        fxRateDate: '2024-01-12'
+      });
+      expect(parsedData.expenses[1]).toMatchObject({ amount: 50, currency: 'GBP', fxRateMissing: true });
+      expect(parsedData.metadata.fx.missingRates).toEqual([{ currency: 'GBP', date: '2024-03-01', records: 1 }]);
+      expect(response.body.warnings).toContainEqual(expect.stringContaining('no FX rate into EUR'));
+    } finally {
+      config.currency.ratesPath = originalRatesPath;
+      fs.unlinkSync(ratesPath);
+    }
+  });
+
+  test('GET /api/research/graph - should reject a request without a seed or with out-of-range options', async () => {
+    await request(app)
+      .get('/api/research/graph')
+      .expect(400);
+
+    const response = await request(app)
+      .get('/api/research/graph')
+      .query({ paperId: 'abc', depth: 9, direction: 'sideways' })
+      .expect(400);
+
+    expect(response.body.error).toBe('Invalid graph options');
+    expect(response.body.details).toHaveLength(2);
+  });
+
+  test('research routes - should reject unknown export formats', async () => {
+    const papers = await request(app)
+      .get('/api/research/papers')
+      .query({ query: 'leases', format: 'endnote' })
+      .expect(400);
+    expect(papers.body.error).toBe('Invalid citation format');
+
+    const compliance = await request(app)
+      .post('/api/research/compliance')
+      .send({ topic: 'leases', format: 'pdf' })
+      .expect(400);
+    expect(compliance.body.message).toBe('Allowed: markdown, bibtex, ris, csl-json');
+  });
+
+  test('POST /api/research/gaps - should require a query and bounded options', async () => {
+    await request(app)
+      .post('/api/research/gaps')
+      .send({})
+      .expect(400);
+
+    const response = await request(app)
+      .post('/api/research/gaps')
+      .send({ query: 'credit risk', pages: 0, clusters: 2.5 })
+      .expect(400);
+
+    expect(response.body.error).toBe('Invalid gap discovery options');
+    expect(response.body.details).toHaveLength(2);
+  });
+
   test('GET /api/health - should return health status', async () => {
     const response = await request(app)
       .get('/api/health')
@@ -0,0 +1,61 @@
+import { saveAnalysis, listAnalyses, getAnalysis, deleteAnalysis, hashFinancialData } from '../src/services/analysisHistory.js';
+import { config } from '../src/config/index.js';
+
+describe('Analysis history', () => {
+  const data = {
+    invoices: [{ id: 'inv_001', date: '2024-01-15', amount: 5000 }],
+    expenses: [{ id: 'exp_001', date: '2024-01-10', amount: 1200 }],
+    payments: [],
+    balances: [],
+    metadata: { currency: 'USD', timestamp: '2024-03-01T10:00:00.000Z' }
+  };
+  const result = {
+    analysis: { summary: 'Stable', llm: { provider: 'openrouter', model: 'test-model' } },
+    template: { id: 'general', version: '1.0.0' },
+    timestamp: '2024-03-01T10:00:01.000Z'
+  };
+
+  beforeAll(() => {
+    config.history.path = ':memory:';
+  });
+
+  test('hashFinancialData - should ignore metadata that changes on every upload', () => {
+    const reuploaded = { ...data, metadata: { ...data.metadata, timestamp: '2024-03-02T09:00:00.000Z' } };
+    const changed = { ...data, expenses: [{ ...data.expenses[0], amount: 1300 }] };
+
+    expect(hashFinancialData(reuploaded)).toBe(hashFinancialData(data));
+    expect(hashFinancialData(changed)).not.toBe(hashFinancialData(data));
+  });
+
+  test('saveAnalysis - should store the input and result with their model and prompt version', () => {
+    const saved = saveAnalysis(data, result);
+
+    expect(saved).toMatchObject({
+      createdAt: '2024-03-01T10:00:01.000Z',
+      contentHash: hashFinancialData(data),
+      analysisType: 'general',
+      promptVersion: '1.0.0',
+      provider: 'openrouter',
+      model: 'test-model',
+      recordCount: 2
+    });
+    expect(getAnalysis(saved.id)).toEqual({ ...saved, input: data, result });
+  });
+
+  test('listAnalyses - should page newest first and filter by content hash', () => {
+    const older = saveAnalysis({ ...data, payments: [{ id: 'pay_001', amount: 10 }] }, { ...result, timestamp: '2024-01-01T00:00:00.000Z' });
+    const newer = saveAnalysis(data, { ...result, timestamp: '2025-01-01T00:00:00.000Z' });
+
+    const { analyses, total } = listAnalyses({ limit: 2 });
+    expect(analyses.map(a => a.id)).toEqual([newer.id, expect.any(String)]);
+    expect(total).toBeGreaterThanOrEqual(3);
+    expect(analyses[0]).not.toHaveProperty('input');
+
+    const same = listAnalyses({ contentHash: older.contentHash });
+    expect(same.analyses.map(a => a.id)).toEqual([older.id]);
+
+    expect(deleteAnalysis(older.id)).toBe(true);
+    expect(deleteAnalysis(older.id)).toBe(false);
+    expect(getAnalysis(older.id)).toBeNull();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,72 @@
+import { detectAnomalies, mergeAnomalies } from '../src/services/anomalies.js';
+
+describe('Anomaly detection', () => {
+  const supplies = [120, 95, 130, 110, 105, 140, 125, 115, 100, 5000].map((amount, i) => ({
+    id: `sup_${i + 1}`,
+    date: `2024-0${(i % 4) + 1}-1${i % 9}`,
+    amount,
+    category: 'supplies',
+    vendor: `Stationer ${i}`
+  }));
+
+  const consulting = ['2024-01-05', '2024-02-05', '2024-03-05',
+    '2024-04-01', '2024-04-04', '2024-04-08', '2024-04-12', '2024-04-16', '2024-04-20', '2024-04-24']
+    .map((date, i) => ({ id: `con_${i + 1}`, date, amount: 800 + i * 10, category: 'consulting', vendor: 'Quick Consulting' }));
+
+  const data = {
+    invoices: [],
+    expenses: [
+      ...supplies,
+      ...consulting,
+      { id: 'dup_1', date: '2024-02-01', amount: 250, category: 'software', vendor: 'Acme' },
+      { id: 'dup_2', date: '2024-02-01', amount: 250, category: 'software', vendor: 'Acme' },
+      { id: 'dup_3', date: '2024-02-04', amount: 250, category: 'software', vendor: 'ACME ' },
+      // Left in yen for want of an FX rate
+      { id: 'jpy_1', date: '2024-03-12', amount: 18000, currency: 'JPY', fxRateMissing: true, category: 'supplies', vendor: 'Tokyo Stationers' }
+    ],
+    payments: [],
+    balances: []
+  };
+
+  const anomalies = detectAnomalies(data);
+  const find = (type, entryId) => anomalies.find(a => a.type === type && a.entryId === entryId);
+
+  test('detectAnomalies - should flag exact and near duplicates with the matched entry', () => {
+    expect(find('duplicate', 'dup_2')).toMatchObject({
+      severity: 'high',
+      evidence: { matchedEntryId: 'dup_1', daysApart: 0 }
+    });
+    expect(find('duplicate', 'dup_3')).toMatchObject({
+      severity: 'medium',
+      evidence: { matchedEntryId: 'dup_2', daysApart: 3 }
+    });
+    expect(find('duplicate', 'dup_1')).toBeUndefined();
+  });
+
+  test('detectAnomalies - should flag amount outliers within a category', () => {
+    const outlier = find('outlier', 'sup_10');
+    expect(outlier.severity).toBe('high');
+    expect(outlier.evidence[0]).toMatchObject({ group: { category: 'supplies' }, method: 'robust_z' });
+    expect(anomalies.filter(a => a.type === 'outlier').map(a => a.entryId)).toEqual(['sup_10']);
+    expect(anomalies.some(a => a.entryId === 'jpy_1')).toBe(false);
+  });
+
+  test('detectAnomalies - should flag a sudden jump in a vendor\'s entry count', () => {
+    const change = find('frequency_change', 'con_4');
+    expect(change.evidence).toMatchObject({ month: '2024-04', count: 7, baseline: 1 });
+    expect(change.evidence.entryIds).toHaveLength(7);
+  });
+
+  test('mergeAnomalies - should confirm matching LLM findings and keep the rest', () => {
+    const merged = mergeAnomalies(anomalies, [
+      { entryId: 'dup_2', type: 'duplicate', issue: 'Likely double payment', severity: 'high' },
+      { entryId: 'inv_999', type: 'fraud_risk', issue: 'Round amount', severity: 'urgent' }
+    ], data);
+
+    expect(merged.find(a => a.entryId === 'dup_2' && a.type === 'duplicate'))
+      .toMatchObject({ source: 'statistical', confirmedByLlm: true, llmIssue: 'Likely double payment' });
+    expect(merged.find(a => a.entryId === 'inv_999'))
+      .toMatchObject({ source: 'llm', severity: 'low', entryIdFound: false });
+    expect(merged).toHaveLength(anomalies.length + 1);
+  });
+});
@@ -0,0 +1,60 @@
+import { runBenfordTests } from '../src/services/benford.js';
+
+describe('Benford screening', () => {
+  // Log-uniform amounts across three decades follow Benford's law
+  const natural = Array.from({ length: 1000 }, (_, i) => ({
+    id: `exp_${i}`,
+    date: '2024-01-15',
+    amount: Math.round(10 ** (1 + 3 * (i + 0.5) / 1000) * 100) / 100,
+    category: 'operations',
+    vendor: `Vendor ${i % 5}`
+  }));
+
+  // Amounts kept just under a 5,000 approval limit
+  const fabricated = Array.from({ length: 120 }, (_, i) => ({
+    id: `pay_${i}`,
+    date: '2024-01-20',
+    amount: 4800 + (i * 37) % 199,
+    type: 'outbound',
+    vendor: 'Shell Co'
+  }));
+
+  test('runBenfordTests - should find natural amounts conforming', () => {
+    const result = runBenfordTests({ expenses: natural, payments: [] });
+
+    expect(result.recordCount).toBe(1000);
+    expect(result.sufficientData).toBe(true);
+    expect(result.overall.firstDigit.distribution).toHaveLength(9);
+    expect(result.overall.firstDigit.distribution[0].expected).toBeCloseTo(0.301, 3);
+    expect(result.overall.firstDigit.conformity).toBe('close');
+    expect(result.overall.firstDigit.significant).toBe(false);
+    expect(result.overall.firstTwoDigits.distribution).toHaveLength(90);
+    expect(Object.keys(result.byVendor.groups)).toHaveLength(5);
+    expect(result.byCategory.groups.operations.firstDigit.conformity).toBe('close');
+  });
+
+  test('runBenfordTests - should flag fabricated amounts and list the records behind them', () => {
+    const result = runBenfordTests({ expenses: natural, payments: fabricated });
+
+    expect(result.byVendor.groups['Shell Co'].firstDigit.conformity).toBe('nonconformity');
+    expect(result.byVendor.groups['Shell Co'].firstDigit.significant).toBe(true);
+    expect(result.byCategory.groups.payments.firstTwoDigits.conformity).toBe('nonconformity');
+    expect(result.topContributors.length).toBeGreaterThan(0);
+    result.topContributors.forEach(contributor => {
+      expect(contributor.vendor).toBe('Shell Co');
+      expect([48, 49]).toContain(contributor.firstTwoDigits);
+    });
+  });
+
+  test('runBenfordTests - should test original amounts and skip groups that are too small', () => {
+    const result = runBenfordTests({
+      expenses: [{ amount: 110, originalAmount: 100, originalCurrency: 'EUR', vendor: 'Solo', category: 'travel' }],
+      payments: []
+    });
+
+    expect(result.sufficientData).toBe(false);
+    expect(result.overall.firstDigit.distribution[0].count).toBe(1);
+    expect(result.overall.firstTwoDigits.distribution[0]).toMatchObject({ digit: 10, count: 1 });
+    expect(result.byVendor).toMatchObject({ groups: {}, skippedGroups: 1 });
+  });
+});
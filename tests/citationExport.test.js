@@ -0,0 +1,83 @@
+import { exportCitations, exportComplianceReport, toCitations } from '../src/services/citationExport.js';
+
+describe('Citation export', () => {
+  const papers = [
+    {
+      paperId: 'p1',
+      title: 'Lease Accounting Under IFRS 16',
+      url: 'https://www.semanticscholar.org/paper/p1',
+      authors: [{ name: 'Jane M. Smith' }, { name: 'Pieter van der Berg' }],
+      year: 2021,
+      venue: 'Accounting Review',
+      journal: { name: 'The Accounting Review', volume: ' 96', pages: '101 - 125' },
+      externalIds: { DOI: '10.2308/tar-2019-0001' },
+      publicationTypes: ['JournalArticle']
+    },
+    {
+      paperId: 'p2',
+      title: 'Cash & Liquidity_Risk',
+      url: 'https://www.semanticscholar.org/paper/p2',
+      authors: [{ name: 'Jane Smith' }],
+      year: 2021,
+      venue: 'Finance Conference',
+      externalIds: {},
+      publicationTypes: ['Conference']
+    }
+  ];
+
+  test('toCitations - should split names and keep BibTeX keys unique', () => {
+    const [first, second] = toCitations(papers);
+
+    expect(first.authors).toEqual([{ given: 'Jane M.', family: 'Smith' }, { given: 'Pieter', family: 'van der Berg' }]);
+    expect(first).toMatchObject({ key: 'smith2021lease', type: 'journal', venue: 'The Accounting Review', volume: '96', pages: '101-125' });
+    expect(second).toMatchObject({ key: 'smith2021cash', type: 'conference', doi: null });
+    expect(toCitations([papers[0], papers[0]]).map(citation => citation.key)).toEqual(['smith2021lease', 'smith2021leasea']);
+  });
+
+  test('exportCitations - should render BibTeX entries with escaped fields', () => {
+    const { content, contentType, filename } = exportCitations(papers, 'bibtex', 'papers-IFRS 16 leases');
+
+    expect(contentType).toContain('application/x-bibtex');
+    expect(filename).toBe('papers-ifrs-16-leases.bib');
+    expect(content).toContain('@article{smith2021lease,');
+    expect(content).toContain('  author = {Smith, Jane M. and van der Berg, Pieter}');
+    expect(content).toContain('  pages = {101--125}');
+    expect(content).toContain('  doi = {10.2308/tar-2019-0001}');
+    expect(content).toContain('@inproceedings{smith2021cash,');
+    expect(content).toContain('  title = {{Cash \\& Liquidity\\_Risk}}');
+    expect(content).toContain('  booktitle = {Finance Conference}');
+  });
+
+  test('exportCitations - should render RIS and CSL-JSON records', () => {
+    const ris = exportCitations(papers, 'ris', 'papers').content.split('\r\n');
+    expect(ris.slice(0, 4)).toEqual(['TY  - JOUR', 'ID  - smith2021lease', 'TI  - Lease Accounting Under IFRS 16', 'AU  - Smith, Jane M.']);
+    expect(ris).toEqual(expect.arrayContaining(['SP  - 101', 'EP  - 125', 'DO  - 10.2308/tar-2019-0001', 'TY  - CPAPER', 'ER  -']));
+
+    const csl = JSON.parse(exportCitations(papers, 'csl-json', 'papers').content);
+    expect(csl[0]).toEqual({
+      id: 'smith2021lease',
+      type: 'article-journal',
+      title: 'Lease Accounting Under IFRS 16',
+      author: [{ family: 'Smith', given: 'Jane M.' }, { family: 'van der Berg', given: 'Pieter' }],
+      issued: { 'date-parts': [[2021]] },
+      'container-title': 'The Accounting Review',
+      volume: '96',
+      page: '101-125',
+      DOI: '10.2308/tar-2019-0001',
+      URL: 'https://www.semanticscholar.org/paper/p1'
+    });
+    expect(csl[1].type).toBe('paper-conference');
+  });
+
+  test('exportComplianceReport - should append a numbered reference list to the report', () => {
+    const research = { topic: 'IFRS 16 leases', papers, report: '# Compliance Research: IFRS 16 leases\n\n## Lease Accounting Under IFRS 16\n' };
+
+    const { content, filename } = exportComplianceReport(research, 'markdown');
+
+    expect(filename).toBe('compliance-ifrs-16-leases.md');
+    expect(content).toContain('## Lease Accounting Under IFRS 16\n\n## References\n\n');
+    expect(content).toContain('1. Smith, J. M., & van der Berg, P. (2021). Lease Accounting Under IFRS 16. *The Accounting Review*, 96, 101-125. https://doi.org/10.2308/tar-2019-0001');
+    expect(content).toContain('2. Smith, J. (2021). Cash & Liquidity_Risk. *Finance Conference*. https://www.semanticscholar.org/paper/p2');
+    expect(exportComplianceReport(research, 'ris').filename).toBe('compliance-ifrs-16-leases.ris');
+  });
+});
\ No newline at end of file
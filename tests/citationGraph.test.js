@@ -0,0 +1,72 @@
+import { s2Get } from '../src/services/semanticScholar.js';
+import { buildCitationGraph, getReferences, rankByCentrality } from '../src/services/citationGraph.js';
+
+jest.mock('../src/services/semanticScholar.js', () => ({
+  s2Get: jest.fn()
+}));
+
+describe('Citation graph', () => {
+  // A cites B and C, B cites C, D cites A
+  const paper = id => ({ paperId: id, title: `Paper ${id}`, year: 2020, citationCount: 10, authors: [{ name: `Author ${id}` }] });
+  const references = { A: ['B', 'C'], B: ['C'], C: [], D: ['A'] };
+  const citations = { A: ['D'], B: ['A'], C: ['A', 'B'], D: [] };
+  const page = (ids, field) => ({ data: ids.map(id => ({ [field]: paper(id) })) });
+  const cache = { hit: false, source: 'network', coalesced: false };
+
+  beforeEach(() => {
+    s2Get.mockReset();
+    s2Get.mockImplementation(async apiPath => {
+      const [, , id, kind] = apiPath.split('/');
+      if (apiPath === '/paper/search') return { data: { data: [paper('A')] }, cache };
+      if (kind === 'references') return { data: page(references[id], 'citedPaper'), cache };
+      if (kind === 'citations') return { data: page(citations[id], 'citingPaper'), cache: { ...cache, hit: true } };
+      return { data: paper(id), cache };
+    });
+  });
+
+  test('getReferences - should unwrap cited papers and skip unresolved ones', async () => {
+    s2Get.mockResolvedValueOnce({
+      data: { next: 10, data: [{ citedPaper: paper('B') }, { citedPaper: { paperId: null, title: 'Unresolved' } }] },
+      cache
+    });
+
+    const result = await getReferences('DOI:10.1000/xyz', { limit: 10 });
+
+    expect(s2Get).toHaveBeenCalledWith('/paper/DOI%3A10.1000%2Fxyz/references', expect.objectContaining({ limit: 10, offset: 0 }));
+    expect(result.papers).toEqual([{ paperId: 'B', title: 'Paper B', year: 2020, citationCount: 10, url: null, authors: ['Author B'] }]);
+    expect(result.next).toBe(10);
+  });
+
+  test('buildCitationGraph - should follow references and citations for the requested hops', async () => {
+    const graph = await buildCitationGraph({ paperId: 'A', depth: 2 });
+
+    expect(graph.seeds).toEqual(['A']);
+    expect(graph.nodes.map(node => [node.id, node.hop])).toEqual(expect.arrayContaining([['A', 0], ['B', 1], ['C', 1], ['D', 1]]));
+    expect(graph.edges).toHaveLength(4);
+    expect(graph.edges).toEqual(expect.arrayContaining([
+      { source: 'A', target: 'B' },
+      { source: 'A', target: 'C' },
+      { source: 'B', target: 'C' },
+      { source: 'D', target: 'A' }
+    ]));
+    // C is cited by A and B, which are themselves cited
+    expect(graph.nodes[0]).toMatchObject({ id: 'C', label: 'Paper C', rank: 1, inDegree: 2, outDegree: 0 });
+    expect(graph.stats).toMatchObject({ nodes: 4, edges: 4, truncated: false, requests: 9, cacheHits: 4 });
+  });
+
+  test('buildCitationGraph - should stop adding papers at maxNodes and follow only the chosen direction', async () => {
+    const graph = await buildCitationGraph({ query: 'cash flow', depth: 2, maxNodes: 2, direction: 'references' });
+
+    expect(graph.nodes.map(node => node.id).sort()).toEqual(['A', 'B']);
+    expect(graph.edges).toEqual([{ source: 'A', target: 'B' }]);
+    expect(graph.stats.truncated).toBe(true);
+    expect(s2Get.mock.calls.some(([apiPath]) => apiPath.endsWith('/citations'))).toBe(false);
+  });
+
+  test('rankByCentrality - should give scores that sum to one', () => {
+    const { nodes } = rankByCentrality(['A', 'B', 'C'].map(paper), [{ source: 'A', target: 'B' }, { source: 'C', target: 'B' }]);
+
+    expect(nodes[0].id).toBe('B');
+    expect(nodes.reduce((total, node) => total + node.pagerank, 0)).toBeCloseTo(1, 5);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,136 @@
+import { comparePeriods, compareSpend, measureForecastAccuracy, compareAnomalies } from '../src/services/comparison.js';
+import { computeKpis } from '../src/services/kpis.js';
+import { forecastCashFlow } from '../src/services/forecast.js';
+
+describe('Period comparison', () => {
+  const expense = (id, date, amount, category, vendor) => ({ id, date, amount, category, vendor });
+  const payment = (id, date, amount, type) => ({ id, date, amount, type });
+
+  test('compareSpend - should report category and vendor changes, largest first', () => {
+    const previous = {
+      expenses: [
+        expense('e1', '2024-01-05', 1000, 'facilities', 'Landlord'),
+        expense('e2', '2024-01-10', 300, 'software', 'SaaS Co')
+      ]
+    };
+    const current = {
+      expenses: [
+        expense('e3', '2024-02-05', 1000, 'facilities', 'Landlord'),
+        expense('e4', '2024-02-12', 900, 'travel', 'Airline')
+      ]
+    };
+
+    const spend = compareSpend(previous, current);
+
+    expect(spend.total).toEqual({ previous: 1300, current: 1900, change: 600, changePercent: 0.4615 });
+    expect(spend.byCategory.map(({ name, change, status }) => [name, change, status])).toEqual([
+      ['travel', 900, 'new'],
+      ['software', -300, 'dropped'],
+      ['facilities', 0, 'continuing']
+    ]);
+    expect(spend.byVendor.find(v => v.name === 'SaaS Co')).toMatchObject({ previous: 300, current: 0, changePercent: -1 });
+  });
+
+  test('measureForecastAccuracy - should compare only the forecast months the current data covers', () => {
+    const forecast = {
+      startDate: '2024-02-01',
+      confidenceLevel: 0.8,
+      cashFlowForecast: {
+        month1: {
+          inflow: 1000,
+          outflow: 800,
+          netFlow: 200,
+          confidenceBands: { inflow: { lower: 900, upper: 1100 }, outflow: { lower: 700, upper: 900 } }
+        },
+        month2: {
+          inflow: 1000,
+          outflow: 800,
+          netFlow: 200,
+          confidenceBands: { inflow: { lower: 900, upper: 1100 }, outflow: { lower: 700, upper: 900 } }
+        }
+      }
+    };
+    const current = {
+      payments: [
+        payment('p1', '2024-02-05', 1250, 'inbound'),
+        payment('p2', '2024-02-20', 850, 'outbound'),
+        payment('p3', '2024-03-05', 400, 'inbound')
+      ]
+    };
+
+    const accuracy = measureForecastAccuracy(forecast, current);
+
+    expect(accuracy.months).toHaveLength(1);
+    expect(accuracy.months[0]).toMatchObject({
+      month: 'month1',
+      start: '2024-02-01',
+      end: '2024-03-01',
+      inflow: { forecast: 1000, actual: 1250, error: 250, percentError: 0.2, withinBand: false },
+      outflow: { forecast: 800, actual: 850, withinBand: true },
+      netFlow: { forecast: 200, actual: 400, error: 200 }
+    });
+    expect(accuracy.summary).toEqual({
+      monthsCompared: 1,
+      meanAbsolutePercentageError: { inflow: 0.2, outflow: 0.0588 },
+      bandCoverage: 0.5
+    });
+
+    const uncovered = measureForecastAccuracy(forecast, { payments: [payment('p1', '2024-02-05', 100, 'inbound')] });
+    expect(uncovered.months).toEqual([]);
+    expect(uncovered.note).toMatch(/does not cover/);
+  });
+
+  test('compareAnomalies - should split anomalies into new, resolved and persisting by entry and type', () => {
+    const previous = [
+      { entryId: 'e1', type: 'duplicate' },
+      { entryId: 'e2', type: 'outlier' }
+    ];
+    const current = [
+      { entryId: 'e2', type: 'outlier' },
+      { entryId: 'e2', type: 'duplicate' },
+      { entryId: 'e5', type: 'outlier' }
+    ];
+
+    const result = compareAnomalies(previous, current);
+
+    expect(result.new.map(a => `${a.entryId}|${a.type}`)).toEqual(['e2|duplicate', 'e5|outlier']);
+    expect(result.resolved.map(a => a.entryId)).toEqual(['e1']);
+    expect(result.counts).toEqual({ previous: 2, current: 3, new: 2, resolved: 1, persisting: 1 });
+  });
+
+  test('comparePeriods - should compute KPI deltas between two periods', () => {
+    const period = data => ({ data, kpis: computeKpis(data), forecast: forecastCashFlow(data), anomalies: [] });
+    const previous = period({
+      invoices: [{ id: 'i1', date: '2024-01-15', amount: 5000, status: 'unpaid' }],
+      expenses: [expense('e1', '2024-01-10', 1000, 'facilities', 'Landlord')],
+      payments: [],
+      balances: [{ account: 'Operating Cash', balance: 10000, date: '2024-01-31' }]
+    });
+    const current = period({
+      invoices: [{ id: 'i2', date: '2024-02-15', amount: 8000, status: 'unpaid' }],
+      expenses: [expense('e2', '2024-02-10', 1000, 'facilities', 'Landlord')],
+      payments: [],
+      balances: [{ account: 'Operating Cash', balance: 9000, date: '2024-02-29' }]
+    });
+
+    const comparison = comparePeriods(previous, current);
+
+    expect(comparison.periods.previous.start).toBe('2024-01-10');
+    expect(comparison.periods.current.start).toBe('2024-02-10');
+    expect(comparison.kpis.dso).toMatchObject({ previous: 30, current: 30, change: 0 });
+    expect(comparison.kpis.currentRatio).toEqual({ previous: null, current: null, change: null, changePercent: null });
+    expect(comparison.kpis.runway.change).toBeCloseTo(current.kpis.kpis.runway - previous.kpis.kpis.runway, 3);
+    // The previous forecast starts the day after its last movement; the current data covers its first month
+    expect(comparison.forecastAccuracy.months.map(m => [m.start, m.end])).toEqual([['2024-01-11', '2024-02-09']]);
+  });
+
+  test('comparePeriods - should refuse periods in different currencies', () => {
+    const period = currency => {
+      const data = { invoices: [], expenses: [expense('e1', '2024-01-10', 1000, 'facilities', 'Landlord')], payments: [], balances: [], metadata: { currency } };
+      return { data, kpis: computeKpis(data), forecast: forecastCashFlow(data), anomalies: [] };
+    };
+
+    expect(() => comparePeriods(period('EUR'), period('USD'))).toThrow(expect.objectContaining({ code: 'CURRENCY_MISMATCH' }));
+    expect(comparePeriods(period('EUR'), period('EUR')).currency).toBe('EUR');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,76 @@
+import { buildCashSeries, forecastCashFlow } from '../src/services/forecast.js';
+
+describe('Cash-flow forecasting', () => {
+  // Eight weeks from Monday 2024-01-01: 1000 received every Monday, 100 paid out every day
+  const payments = [];
+  for (let day = 0; day < 56; day++) {
+    const date = new Date(Date.UTC(2024, 0, 1 + day)).toISOString().slice(0, 10);
+    if (day % 7 === 0) payments.push({ date, amount: 1000, type: 'inbound' });
+    payments.push({ date, amount: 100, type: 'outbound' });
+  }
+
+  const data = {
+    invoices: [
+      { date: '2024-02-20', dueDate: '2024-03-05', amount: 3000, status: 'pending' },
+      { date: '2024-01-10', dueDate: '2024-02-09', amount: 500, status: 'overdue' },
+      { date: '2024-02-01', amount: 2000, status: 'paid' }
+    ],
+    expenses: [],
+    payments,
+    balances: [{ account: 'Operating Cash', balance: 5000, date: '2024-02-25' }]
+  };
+
+  test('buildCashSeries - should bucket movements into contiguous daily or weekly periods', () => {
+    const daily = buildCashSeries(data, { granularity: 'day' });
+    expect(daily.periods).toHaveLength(56);
+    expect(daily.periods[0]).toEqual({ start: '2024-01-01', inflow: 1000, outflow: 100 });
+    expect(daily.periods[1]).toEqual({ start: '2024-01-02', inflow: 0, outflow: 100 });
+
+    const weekly = buildCashSeries(data, { granularity: 'week' });
+    expect(weekly.periods).toHaveLength(8);
+    expect(weekly.periods[7]).toEqual({ start: '2024-02-19', inflow: 1000, outflow: 700 });
+  });
+
+  test('forecastCashFlow - should fill cashFlowForecast from a moving average with confidence bands', () => {
+    const forecast = forecastCashFlow(data, { inflowMethod: 'moving_average', outflowMethod: 'moving_average' });
+    const { month1, month3 } = forecast.cashFlowForecast;
+
+    expect(forecast.startDate).toBe('2024-02-26');
+    expect(month1.inflow).toBeCloseTo(4285.71, 1);
+    expect(month1.outflow).toBeCloseTo(3000, 1);
+    expect(month1.cumulativeBalance).toBeCloseTo(5000 + 1285.71, 1);
+    expect(month1.confidenceBands.inflow.lower).toBeLessThan(month1.inflow);
+    expect(month1.confidenceBands.inflow.upper).toBeGreaterThan(month1.inflow);
+    expect(month3.confidenceBands.cumulativeBalance.upper - month3.confidenceBands.cumulativeBalance.lower)
+      .toBeGreaterThan(month1.confidenceBands.cumulativeBalance.upper - month1.confidenceBands.cumulativeBalance.lower);
+  });
+
+  test('forecastCashFlow - should follow weekly seasonality with exponential smoothing', () => {
+    const forecast = forecastCashFlow(data, { inflowMethod: 'exponential_smoothing' });
+    const { month1 } = forecast.cashFlowForecast;
+
+    expect(forecast.methods.inflow).toMatchObject({ method: 'exponential_smoothing', seasonLength: 7 });
+    // Mondays 26 Feb, 4, 11, 18 and 25 Mar fall in the first 30 days
+    expect(month1.inflow).toBeCloseTo(5000, 1);
+    expect(month1.confidenceBands.inflow).toEqual({ lower: 5000, upper: 5000 });
+  });
+
+  test('forecastCashFlow - should schedule open receivables by due date', () => {
+    const forecast = forecastCashFlow(data, { inflowMethod: 'scheduled' });
+
+    expect(forecast.scheduled.receivables).toBe(3500);
+    expect(forecast.cashFlowForecast.month1.inflow).toBe(3500);
+    expect(forecast.cashFlowForecast.month2.inflow).toBe(0);
+  });
+
+  test('forecastCashFlow - should keep the configured values an override leaves out', () => {
+    const forecast = forecastCashFlow(data, {
+      inflowMethod: 'moving_average',
+      granularity: 'week',
+      movingAverageWindow: { day: 7 }
+    });
+
+    expect(forecast.methods.inflow).toMatchObject({ method: 'moving_average', window: 4 });
+    expect(Number.isFinite(forecast.cashFlowForecast.month1.inflow)).toBe(true);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,81 @@
+import { createJob, getJob, cancelJob } from '../src/services/jobs.js';
+import { config } from '../src/config/index.js';
+
+describe('Job queue', () => {
+  const stages = ['parse', 'llm'];
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  // A job that waits until released or aborted
+  const pendingJob = () => {
+    let release;
+    const released = new Promise(resolve => { release = resolve; });
+    const calls = {};
+    const run = ({ signal, updateStage }) => {
+      calls.signal = signal;
+      updateStage('parse', 'completed');
+      updateStage('llm', 'running', { completed: 0, total: 2 });
+      return new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+        released.then(resolve);
+      });
+    };
+    return { run, release, calls };
+  };
+
+  test('createJob - should run up to the concurrency limit and queue the rest', async () => {
+    expect(config.jobs.concurrency).toBe(2);
+    const first = pendingJob();
+    const second = pendingJob();
+    const third = pendingJob();
+
+    const ids = [first, second, third].map(job => createJob('test', job.run, { stages }).id);
+    await flush();
+
+    expect(getJob(ids[0]).status).toBe('running');
+    expect(getJob(ids[0]).stages).toMatchObject({
+      parse: { status: 'completed' },
+      llm: { status: 'running', progress: { completed: 0, total: 2 } }
+    });
+    expect(getJob(ids[2])).toMatchObject({ status: 'queued', queuePosition: 1 });
+
+    first.release({ ok: true });
+    await flush();
+    await flush();
+
+    expect(getJob(ids[0])).toMatchObject({ status: 'completed', result: { ok: true } });
+    expect(getJob(ids[2]).status).toBe('running');
+
+    second.release({});
+    third.release({});
+    await flush();
+  });
+
+  test('cancelJob - should abort a running job and drop a queued one', async () => {
+    const jobs = [pendingJob(), pendingJob(), pendingJob()];
+    const ids = jobs.map(job => createJob('test', job.run, { stages }).id);
+    await flush();
+
+    expect(cancelJob(ids[0])).toMatchObject({ status: 'cancelled', stages: { llm: { status: 'cancelled' } } });
+    expect(jobs[0].calls.signal.aborted).toBe(true);
+    expect(cancelJob(ids[2]).status).toBe('cancelled');
+    expect(jobs[2].calls.signal).toBeUndefined();
+
+    await flush();
+    expect(getJob(ids[0]).status).toBe('cancelled');
+    expect(cancelJob('no-such-job')).toBeNull();
+
+    jobs[1].release({});
+    await flush();
+  });
+
+  test('createJob - should report failures through describeError', async () => {
+    const { id } = createJob('test', () => Promise.reject(Object.assign(new Error('Bad input'), { code: 'X' })), {
+      stages,
+      describeError: error => ({ error: 'Mapped', code: error.code })
+    });
+    await flush();
+    await flush();
+
+    expect(getJob(id)).toMatchObject({ status: 'failed', error: { error: 'Mapped', code: 'X' } });
+  });
+});
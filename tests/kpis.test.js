@@ -0,0 +1,98 @@
+import { computeKpis, crossCheckKpis } from '../src/services/kpis.js';
+
+describe('KPI engine', () => {
+  const data = {
+    invoices: [
+      { id: 'inv_1', date: '2024-01-05', amount: 10000, customer: 'Acme', status: 'paid' },
+      { id: 'inv_2', date: '2024-02-10', amount: 6000, customer: 'Globex', status: 'pending' },
+      { id: 'inv_3', date: '2024-03-20', amount: 4000, customer: 'Initech', status: 'overdue' },
+      { id: 'inv_4', date: '2024-03-25', amount: 9000, customer: 'Umbrella', status: 'cancelled' }
+    ],
+    expenses: [
+      { id: 'exp_1', date: '2024-01-10', amount: 8000, category: 'COGS', vendor: 'Parts Co' },
+      { id: 'exp_2', date: '2024-02-15', amount: 12000, category: 'payroll', vendor: 'Payroll' },
+      { id: 'exp_3', date: '2024-03-30', amount: 2000, category: 'materials', vendor: 'Parts Co', status: 'unpaid' }
+    ],
+    payments: [
+      { id: 'pay_1', date: '2024-01-20', amount: 10000, type: 'inbound' },
+      { id: 'pay_2', date: '2024-02-20', amount: -20000, type: 'outbound' },
+      { id: 'pay_3', date: '2024-03-30', amount: 5000, type: 'outbound' }
+    ],
+    balances: [
+      { account: 'Operating Cash', balance: 20000, date: '2024-02-29' },
+      { account: 'Operating Cash', balance: 30000, date: '2024-03-31' },
+      { account: 'Accounts Receivable', balance: 10000, date: '2024-03-31' },
+      { account: 'Accounts Payable', balance: 8000, date: '2024-03-31' },
+      { account: 'Accrued Expenses', balance: 2000, date: '2024-03-31' }
+    ]
+  };
+
+  test('computeKpis - should compute each KPI with its formula and inputs', () => {
+    const { kpis, details, period } = computeKpis(data);
+
+    expect(period).toEqual({ start: '2024-01-05', end: '2024-03-30', days: 86 });
+    expect(kpis.grossMargin).toBe(0.5);
+    expect(details.grossMargin.inputs).toEqual({ revenue: 20000, costOfSales: 10000 });
+    expect(kpis.netBurnRate).toBeCloseTo(15000 / (86 / 30.44), 2);
+    expect(details.netBurnRate.inputs.cashSource).toBe('payments');
+    expect(kpis.dso).toBe(43);
+    expect(kpis.dpo).toBe(17.2);
+    expect(details.dpo.inputs.payableSource).toBe('unpaid expenses');
+    expect(kpis.currentRatio).toBe(4);
+    expect(details.currentRatio.formula).toBe('currentAssets / currentLiabilities');
+    expect(kpis.runway).toBeCloseTo(30000 / kpis.netBurnRate, 1);
+  });
+
+  test('computeKpis - should return null with a note when the data cannot support a KPI', () => {
+    const { kpis, details } = computeKpis({
+      invoices: [{ date: '2024-01-15', amount: 5000, status: 'paid' }],
+      expenses: [{ date: '2024-01-10', amount: 1200, category: 'facilities' }],
+      payments: [],
+      balances: []
+    });
+
+    expect(kpis.grossMargin).toBeNull();
+    expect(details.grossMargin.note).toBe('No cost-of-sales expenses identified by category');
+    expect(kpis.currentRatio).toBeNull();
+    expect(kpis.runway).toBeNull();
+    expect(details.runway.note).toMatch(/not burning cash/i);
+  });
+
+  test('computeKpis - should net overdrawn accounts and leave runway unknown without cash balances', () => {
+    const overdrawn = computeKpis({
+      ...data,
+      balances: [
+        ...data.balances,
+        { account: 'Payroll Bank', balance: -5000, date: '2024-03-31' },
+        { account: 'Credit Card', balance: -1000, date: '2024-03-31' }
+      ]
+    });
+    expect(overdrawn.details.currentRatio.inputs).toEqual({ currentAssets: 35000, currentLiabilities: 11000 });
+    expect(overdrawn.kpis.runway).toBeCloseTo(25000 / overdrawn.kpis.netBurnRate, 1);
+
+    const { kpis, details } = computeKpis({ ...data, balances: [] });
+    expect(kpis.netBurnRate).toBeGreaterThan(0);
+    expect(kpis.runway).toBeNull();
+    expect(details.runway.note).toBe('No cash balances');
+
+    const checks = crossCheckKpis({ runway: 6 }, computeKpis({ ...data, balances: [] }));
+    expect(checks.find(check => check.kpi === 'runway')).toBeUndefined();
+  });
+
+  test('crossCheckKpis - should flag LLM KPIs outside the tolerance', () => {
+    const computed = computeKpis(data);
+    const checks = crossCheckKpis({
+      grossMargin: 50,
+      burnRate: 12000,
+      DSO: 44,
+      currentRatio: 4.1
+    }, computed, 0.1);
+
+    const byKpi = Object.fromEntries(checks.map(check => [check.kpi, check]));
+    expect(byKpi.grossMargin.withinTolerance).toBe(true);
+    expect(byKpi.netBurnRate).toMatchObject({ llmKey: 'burnRate', withinTolerance: false });
+    expect(byKpi.dso.withinTolerance).toBe(true);
+    expect(byKpi.currentRatio.withinTolerance).toBe(true);
+    expect(byKpi.dpo).toBeUndefined();
+  });
+});
@@ -0,0 +1,177 @@
+import { analyzeFinancialData } from '../src/services/llmClient.js';
+import { extractJson, createJsonSectionReader } from '../src/utils/llmOutput.js';
+import { config } from '../src/config/index.js';
+
+const mockCreate = jest.fn();
+
+jest.mock('openai', () => ({
+  __esModule: true,
+  default: jest.fn().mockImplementation(() => ({
+    chat: { completions: { create: (...args) => mockCreate(...args) } }
+  }))
+}));
+
+const reply = content => ({ choices: [{ message: { content } }] });
+
+const validResult = {
+  forecastCommentary: 'Inflows cover outflows in all three months.',
+  anomalies: [{ entryId: 'exp_001', type: 'outlier', issue: 'Unusually high rent', severity: 'medium' }],
+  procurementSuggestions: [{ category: 'facilities', suggestion: 'Renegotiate lease' }],
+  kpis: { grossMargin: 0.4, netBurnRate: -3800, dso: 0, dpo: null },
+  dataQuality: { completeness: 0.9, accuracy: 0.95, recommendations: [] }
+};
+
+const data = { invoices: [], expenses: [], payments: [], balances: [] };
+
+describe('LLM analysis output', () => {
+  const { analysis } = config.llm.tasks;
+  const { openrouter } = config.llm.providers;
+  const saved = { provider: analysis.provider, model: analysis.model, baseUrl: analysis.baseUrl, apiKey: openrouter.apiKey };
+
+  // Pin the analysis model, whatever LLM_* variables the environment sets
+  beforeAll(() => {
+    Object.assign(analysis, { provider: 'openrouter', model: 'qwen/qwen3-235b-a22b:free', baseUrl: null });
+    openrouter.apiKey = 'test-key';
+  });
+
+  afterAll(() => {
+    const { apiKey, ...settings } = saved;
+    Object.assign(analysis, settings);
+    openrouter.apiKey = apiKey;
+  });
+
+  beforeEach(() => mockCreate.mockReset());
+
+  test('extractJson - should read JSON from fenced, chatty and reasoning-wrapped responses', () => {
+    expect(extractJson('{"a":1}')).toEqual({ a: 1 });
+    expect(extractJson('Here is the analysis:\n```json\n{"a":1}\n```\nLet me know!')).toEqual({ a: 1 });
+    expect(extractJson('<think>Maybe {"b":2}?</think>Sure! {"a":{"text":"}"}} Hope this helps')).toEqual({ a: { text: '}' } });
+    expect(() => extractJson('I cannot help with that.')).toThrow('No JSON object found in model response');
+  });
+
+  test('createJsonSectionReader - should return each top-level section once its value is complete', () => {
+    const text = '<think>Start with {</think>```json\n{"a": "x, }\\"y", "b": [1, {"c": 2}], "d": {"e": [3]}}\n```';
+    [1, 5, text.length].forEach(size => {
+      const reader = createJsonSectionReader();
+      const sections = [];
+      for (let i = 0; i < text.length; i += size) {
+        sections.push(...reader.push(text.slice(i, i + size)));
+      }
+      expect(sections).toEqual([['a', 'x, }"y'], ['b', [1, { c: 2 }]], ['d', { e: [3] }]]);
+    });
+
+    const reader = createJsonSectionReader();
+    expect(reader.push('{"forecastCommentary": "Steady", "anomalies": [')).toEqual([['forecastCommentary', 'Steady']]);
+    expect(reader.push('{"entryId": "exp_1"}')).toEqual([]);
+  });
+
+  test('analyzeFinancialData - should stream sections of the response as they complete', async () => {
+    const content = JSON.stringify(validResult);
+    const pieces = content.match(/.{1,40}/g);
+    mockCreate.mockImplementationOnce(async request => {
+      expect(request.stream).toBe(true);
+      return (async function* () {
+        for (const piece of pieces) yield { choices: [{ delta: { content: piece } }] };
+      })();
+    });
+
+    const sections = [];
+    const result = await analyzeFinancialData(data, { onSection: (key, value) => sections.push(key) });
+
+    expect(sections).toEqual(['forecastCommentary', 'anomalies', 'procurementSuggestions', 'kpis', 'dataQuality']);
+    expect(result.forecastCommentary).toBe(validResult.forecastCommentary);
+  });
+
+  test('analyzeFinancialData - should send validation errors back and accept the repaired result', async () => {
+    const { kpis, ...withoutKpis } = validResult;
+    mockCreate
+      .mockResolvedValueOnce(reply(`Sure, here you go:\n\`\`\`json\n${JSON.stringify(withoutKpis)}\n\`\`\``))
+      .mockResolvedValueOnce(reply(JSON.stringify(validResult)));
+
+    await expect(analyzeFinancialData(data)).resolves.toEqual({
+      ...validResult,
+      llm: { provider: 'openrouter', model: 'qwen/qwen3-235b-a22b:free', repairAttempts: 1 }
+    });
+
+    expect(mockCreate).toHaveBeenCalledTimes(2);
+    const repairMessages = mockCreate.mock.calls[1][0].messages;
+    expect(repairMessages).toHaveLength(3);
+    expect(repairMessages[2].content).toMatch(/must have required property 'kpis'/);
+  });
+
+  test('analyzeFinancialData - should fail with ANALYSIS_OUTPUT_INVALID once repair attempts run out', async () => {
+    mockCreate.mockResolvedValue(reply('The numbers look fine to me.'));
+
+    await expect(analyzeFinancialData(data)).rejects.toMatchObject({
+      code: 'ANALYSIS_OUTPUT_INVALID',
+      validationErrors: ['No JSON object found in model response'],
+      rawResponse: 'The numbers look fine to me.'
+    });
+    expect(mockCreate).toHaveBeenCalledTimes(3);
+  });
+
+  test('analyzeFinancialData - should pass the abort signal to the model and stop once aborted', async () => {
+    const controller = new AbortController();
+    const progress = [];
+    mockCreate.mockResolvedValueOnce(reply(JSON.stringify(validResult)));
+
+    await analyzeFinancialData(data, { signal: controller.signal, onProgress: p => progress.push(p) });
+    expect(mockCreate.mock.calls[0][1]).toEqual({ signal: controller.signal });
+    expect(progress).toEqual([{ completed: 0, total: 1 }, { completed: 1, total: 1 }]);
+
+    controller.abort();
+    await expect(analyzeFinancialData(data, { signal: controller.signal })).rejects.toThrow();
+    expect(mockCreate).toHaveBeenCalledTimes(1);
+  });
+
+  test('analyzeFinancialData - should analyze a dataset over the prompt budget in chunks and merge the findings', async () => {
+    const large = {
+      invoices: [],
+      expenses: ['2024-01', '2024-02', '2024-03'].flatMap(month => Array.from({ length: 40 }, (_, i) => ({
+        id: `${month}-exp_${i}`,
+        date: `${month}-${String(i % 28 + 1).padStart(2, '0')}`,
+        amount: 200 + i,
+        category: 'supplies',
+        vendor: 'Paper Co',
+        description: 'Printer paper and toner'
+      }))),
+      payments: [],
+      balances: []
+    };
+    const chunkResult = month => ({
+      anomalies: [{ entryId: `${month}-exp_3`, type: 'fraud_risk', issue: 'Round-trip refund', severity: 'high' }],
+      procurementSuggestions: [{ category: 'supplies', suggestion: 'Buy paper in bulk' }],
+      observations: [`Supplies spend flat in ${month}`]
+    });
+    mockCreate.mockImplementation(({ messages }) => {
+      const prompt = messages[0].content;
+      const month = prompt.match(/part \d+ of \d+ \((\d{4}-\d{2})/);
+      return Promise.resolve(reply(JSON.stringify(month ? chunkResult(month[1]) : validResult)));
+    });
+
+    const { contextTokens } = config.llm.tasks.analysis;
+    config.llm.tasks.analysis.contextTokens = 8000; // 4000 for the prompt once the response is reserved
+    try {
+      const result = await analyzeFinancialData(large, { anomalies: [] });
+
+      const chunks = result.llm.mapReduce.chunks;
+      expect(chunks.length).toBeGreaterThan(1);
+      expect(mockCreate).toHaveBeenCalledTimes(chunks.length + 1);
+
+      const reducePrompt = mockCreate.mock.calls[chunks.length][0].messages[0].content;
+      expect(reducePrompt).toMatch(/"byMonth"/);
+      expect(reducePrompt).toMatch(/Supplies spend flat in 2024-01/);
+      expect(reducePrompt).not.toMatch(/Printer paper and toner/);
+
+      expect(result.anomalies.map(a => a.entryId)).toEqual(
+        expect.arrayContaining(['2024-01-exp_3', '2024-03-exp_3', 'exp_001']));
+      expect(result.procurementSuggestions).toEqual([
+        { category: 'supplies', suggestion: 'Buy paper in bulk' },
+        { category: 'facilities', suggestion: 'Renegotiate lease' }
+      ]);
+      expect(result.forecastCommentary).toBe(validResult.forecastCommentary);
+    } finally {
+      config.llm.tasks.analysis.contextTokens = contextTokens;
+    }
+  });
+});
\ No newline at end of file
@@ -0,0 +1,103 @@
+const mockCreate = jest.fn();
+const mockOpenAI = jest.fn().mockImplementation(() => ({
+  chat: { completions: { create: (...args) => mockCreate(...args) } }
+}));
+
+jest.mock('openai', () => ({
+  __esModule: true,
+  default: function OpenAI(...args) {
+    return mockOpenAI(...args);
+  }
+}));
+
+const LLM_ENV = ['OPENROUTER_API_KEY', 'LLM_PROVIDER', 'LLM_MODEL', 'LLM_BASE_URL', 'LLM_SUMMARIZATION_MODEL', 'LLM_RESEARCH_PROVIDER', 'LLM_MAX_REPAIR_ATTEMPTS'];
+
+/**
+ * Loads a module afresh under the given environment, so that config is re-read
+ * @param {string} path - Module path
+ * @param {Object} env - Environment variables to set
+ * @returns {Object} Module exports
+ */
+function loadWithEnv(path, env) {
+  LLM_ENV.forEach(name => delete process.env[name]);
+  Object.assign(process.env, env);
+  let loaded;
+  jest.isolateModules(() => {
+    loaded = require(path);
+  });
+  return loaded;
+}
+
+describe('LLM providers', () => {
+  const savedEnv = { ...process.env };
+
+  beforeEach(() => {
+    mockCreate.mockReset();
+    mockOpenAI.mockClear();
+  });
+
+  afterAll(() => {
+    process.env = savedEnv;
+  });
+
+  test('should run in no-LLM mode when no OpenRouter key or provider is set', async () => {
+    const { describeProviders, chatCompletion } = loadWithEnv('../src/services/llmProviders.js', {});
+    const { analyzeFinancialData } = loadWithEnv('../src/services/llmClient.js', {});
+    const { summarizeAbstract } = loadWithEnv('../src/services/researchService.js', {});
+
+    expect(describeProviders()).toEqual({
+      analysis: { provider: 'none' },
+      summarization: { provider: 'none' },
+      research: { provider: 'none' }
+    });
+    await expect(chatCompletion('research', [])).rejects.toMatchObject({ code: 'LLM_DISABLED' });
+    await expect(analyzeFinancialData({ invoices: [], expenses: [] })).resolves.toMatchObject({
+      anomalies: [],
+      llm: { provider: 'none' }
+    });
+    await expect(summarizeAbstract('One. Two! Three? Four.')).resolves.toBe('One. Two! Three?');
+    expect(mockCreate).not.toHaveBeenCalled();
+  });
+
+  test('should send each task to its configured OpenAI-compatible server and model', async () => {
+    const { chatCompletion, describeProviders } = loadWithEnv('../src/services/llmProviders.js', {
+      LLM_PROVIDER: 'openai-compatible',
+      LLM_BASE_URL: 'http://localhost:8080/v1',
+      LLM_MODEL: 'llama3.1',
+      LLM_SUMMARIZATION_MODEL: 'qwen2.5:7b',
+      LLM_RESEARCH_PROVIDER: 'none'
+    });
+    mockCreate.mockResolvedValue({ choices: [{ message: { content: '<think>hmm</think> Short summary. ' } }] });
+
+    const result = await chatCompletion('summarization', [{ role: 'user', content: 'Summarize' }]);
+
+    expect(result).toEqual({ content: 'Short summary.', provider: 'openai-compatible', model: 'qwen2.5:7b' });
+    expect(mockOpenAI).toHaveBeenCalledWith(expect.objectContaining({ baseURL: 'http://localhost:8080/v1' }));
+    expect(mockCreate.mock.calls[0][0]).toMatchObject({ model: 'qwen2.5:7b', max_tokens: 150 });
+    expect(describeProviders().analysis).toEqual({
+      provider: 'openai-compatible',
+      model: 'llama3.1',
+      baseUrl: 'http://localhost:8080/v1'
+    });
+    expect(describeProviders().research).toEqual({ provider: 'none' });
+  });
+
+  test('should use OpenRouter by default when a key is set', async () => {
+    const { chatCompletion } = loadWithEnv('../src/services/llmProviders.js', { OPENROUTER_API_KEY: 'key' });
+    mockCreate.mockResolvedValue({ choices: [{ message: { content: 'Insights' } }] });
+
+    await chatCompletion('research', [{ role: 'user', content: 'Topic' }]);
+
+    expect(mockOpenAI).toHaveBeenCalledWith(expect.objectContaining({
+      apiKey: 'key',
+      baseURL: 'https://openrouter.ai/api/v1'
+    }));
+    expect(mockCreate.mock.calls[0][0]).toMatchObject({ model: 'qwen/qwen3-235b-a22b:free', max_tokens: 500 });
+  });
+
+  test('should allow turning repair attempts off', () => {
+    expect(loadWithEnv('../src/config/index.js', { LLM_MAX_REPAIR_ATTEMPTS: '0' }).config.llm.maxRepairAttempts).toBe(0);
+    expect(loadWithEnv('../src/config/index.js', { LLM_MAX_REPAIR_ATTEMPTS: 'none' }).config.llm.maxRepairAttempts).toBe(2);
+    expect(loadWithEnv('../src/config/index.js', {}).config.llm.maxRepairAttempts).toBe(2);
+  });
+});
@@ -0,0 +1,71 @@
+import { getColumnKind, parseAmount, parseDate, detectDateOrder, interpretRecords } from '../src/utils/localeParsing.js';
+
+describe('Locale-aware parsing', () => {
+  test('parseAmount - should read separators, currency symbols and accounting negatives', () => {
+    expect(parseAmount('1.234,56')).toBe(1234.56);
+    expect(parseAmount('1,234.56')).toBe(1234.56);
+    expect(parseAmount('(1,200.00)')).toBe(-1200);
+    expect(parseAmount('$3,400')).toBe(3400);
+    expect(parseAmount('€99')).toBe(99);
+    expect(parseAmount('-$50')).toBe(-50);
+    expect(parseAmount('1 234,5 EUR')).toBe(1234.5);
+    expect(parseAmount('1,234', { decimalSeparator: ',' })).toBe(1.234);
+    expect(parseAmount('n/a')).toBeNull();
+    expect(parseAmount('2024-01-15')).toBeNull();
+  });
+
+  test('parseDate - should honour the configured date order', () => {
+    expect(parseDate('2024-01-15')).toBe('2024-01-15');
+    expect(parseDate('2024-01-15T00:00:00.000Z')).toBe('2024-01-15');
+    expect(parseDate('15/01/2024')).toBe('2024-01-15');
+    expect(parseDate('01/02/2024')).toBe('2024-01-02');
+    expect(parseDate('01/02/2024', { dateOrder: 'DMY' })).toBe('2024-02-01');
+    expect(parseDate('1.2.24', { dateOrder: 'DMY' })).toBe('2024-02-01');
+    expect(parseDate('15 Jan 2024')).toBe('2024-01-15');
+    expect(parseDate('31/02/2024')).toBeNull();
+  });
+
+  test('detectDateOrder - should infer day-first columns from unambiguous values', () => {
+    expect(detectDateOrder(['01/02/2024', '25/02/2024'])).toBe('DMY');
+    expect(detectDateOrder(['01/02/2024', '02/25/2024'])).toBe('MDY');
+    expect(detectDateOrder(['01/02/2024'])).toBe('auto');
+  });
+
+  test('getColumnKind - should match amount and date columns by their last word', () => {
+    expect(getColumnKind('Net Amount')).toBe('amount');
+    expect(getColumnKind('Amount (EUR)')).toBe('amount');
+    expect(getColumnKind('Total USD')).toBe('amount');
+    expect(getColumnKind('Balance Due')).toBe('amount');
+    expect(getColumnKind('Value Date')).toBe('date');
+    expect(getColumnKind('dueDate')).toBe('date');
+    expect(getColumnKind('Posted')).toBe('date');
+    expect(getColumnKind('Cost Center')).toBeNull();
+    expect(getColumnKind('Tax ID')).toBeNull();
+    expect(getColumnKind('Issued By')).toBeNull();
+    expect(getColumnKind('Due Status')).toBeNull();
+  });
+
+  test('interpretRecords - should skip and report records with unreadable amounts', () => {
+    const { records, issues } = interpretRecords([
+      { id: '1', amount: '10,50', date: '02/01/2024', sourceRow: 2 },
+      { id: '2', amount: 'TBC', date: '25/01/2024', sourceRow: 3 }
+    ], { decimalSeparator: ',', castNumbers: true });
+
+    expect(records).toEqual([{ id: 1, amount: 10.5, date: '2024-01-02', sourceRow: 2 }]);
+    expect(issues).toEqual([
+      expect.objectContaining({ sourceRow: 3, field: 'amount', value: 'TBC', expected: 'amount' })
+    ]);
+  });
+
+  test('interpretRecords - should keep unreadable cells of other amount and date columns as text', () => {
+    const { records, issues } = interpretRecords([
+      { amount: '10.50', 'Tax Amount': 'exempt', 'Payment Due': 'on receipt', sourceRow: 2 }
+    ]);
+
+    expect(records).toEqual([{ amount: 10.5, 'Tax Amount': 'exempt', 'Payment Due': 'on receipt', sourceRow: 2 }]);
+    expect(issues).toEqual([
+      expect.objectContaining({ field: 'Tax Amount', expected: 'amount', action: 'kept_as_text' }),
+      expect.objectContaining({ field: 'Payment Due', expected: 'date', action: 'kept_as_text' })
+    ]);
+  });
+});
\ No newline at end of file
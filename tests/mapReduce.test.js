@@ -0,0 +1,85 @@
+import { chunkFinancialData, mergeChunkAnalyses, summarizeFinancialData } from '../src/services/mapReduce.js';
+
+describe('Map-reduce analysis helpers', () => {
+  const expenses = ['2024-01', '2024-02', '2024-03'].flatMap(month =>
+    Array.from({ length: 20 }, (_, i) => ({
+      date: `${month}-${String(i + 1).padStart(2, '0')}`,
+      amount: 100 + i,
+      category: i % 2 ? 'software' : 'travel',
+      vendor: `Vendor ${i % 3}`,
+      sourceFile: 'expenses.csv',
+      sourceRow: i + 2
+    })));
+
+  const data = {
+    invoices: [
+      { id: 'inv_1', date: '2024-01-15', amount: 5000, customer: 'Client A', status: 'paid' },
+      { id: 'inv_2', date: '2024-03-15', amount: 3000, customer: 'Client B', status: 'overdue' }
+    ],
+    expenses,
+    payments: [],
+    balances: [{ account: 'Cash', balance: 12000, date: '2024-03-31' }]
+  };
+
+  test('chunkFinancialData - should pack whole months into chunks that fit the budget', () => {
+    const chunks = chunkFinancialData(data, { chunkBy: 'period', maxTokens: 700 });
+
+    expect(chunks.map(c => c.groups)).toEqual([['2024-01'], ['2024-02'], ['2024-03']]);
+    expect(chunks.reduce((n, c) => n + c.recordCount, 0)).toBe(63);
+    chunks.forEach(c => expect(c.estimatedTokens).toBeLessThanOrEqual(700));
+
+    const row = chunks[0].data.expenses[0];
+    expect(row.id).toBe('expenses.csv:2');
+    expect(row).not.toHaveProperty('sourceFile');
+    expect(chunks[2].data.balances).toEqual([{ id: 'balances[0]', account: 'Cash', balance: 12000, date: '2024-03-31' }]);
+  });
+
+  test('chunkFinancialData - should split a group that exceeds the budget on its own', () => {
+    const byCategory = chunkFinancialData(data, { chunkBy: 'category', maxTokens: 700 });
+
+    expect(byCategory[0].groups).toEqual(['invoices']);
+    expect(byCategory[byCategory.length - 1].groups).toEqual(['expenses', 'balances']);
+    expect(byCategory.length).toBeGreaterThan(2);
+    byCategory.forEach(c => expect(c.estimatedTokens).toBeLessThanOrEqual(700));
+    expect(byCategory.flatMap(c => c.data.expenses.map(r => r.id))).toHaveLength(60);
+
+    expect(() => chunkFinancialData(data, { chunkBy: 'vendor', maxTokens: 700 })).toThrow('Invalid chunkBy');
+  });
+
+  test('summarizeFinancialData - should total the dataset by month, category and counterparty', () => {
+    const summary = summarizeFinancialData(data);
+
+    expect(summary.period).toEqual({ start: '2024-01-01', end: '2024-03-20' });
+    expect(summary.totals.invoices).toEqual({ count: 2, amount: 8000, unpaidCount: 1, unpaidAmount: 3000 });
+    expect(summary.byMonth).toHaveLength(3);
+    expect(summary.byMonth[0]).toEqual({ month: '2024-01', invoiced: 5000, expenses: 2190, inflow: 0, outflow: 0 });
+    expect(summary.expensesByCategory.map(c => c.name)).toEqual(['software', 'travel']);
+    expect(summary.topCustomers[0]).toEqual({ name: 'Client A', count: 1, amount: 5000 });
+    expect(summary.balances).toEqual([{ account: 'Cash', balance: 12000, date: '2024-03-31' }]);
+  });
+
+  test('mergeChunkAnalyses - should keep each anomaly and suggestion once', () => {
+    const merged = mergeChunkAnalyses([
+      {
+        label: '2024-01',
+        analysis: {
+          anomalies: [{ entryId: 'inv_1', type: 'outlier', issue: 'Large invoice', severity: 'low' }],
+          procurementSuggestions: [{ category: 'Software', suggestion: 'Consolidate licences' }],
+          observations: ['Travel is steady']
+        }
+      },
+      {
+        label: '2024-02',
+        analysis: {
+          anomalies: [{ entryId: 'inv_1', type: 'outlier', issue: 'Same invoice again', severity: 'high' }],
+          procurementSuggestions: [{ category: 'software', suggestion: 'Consolidate  licences' }],
+          observations: []
+        }
+      }
+    ]);
+
+    expect(merged.anomalies).toEqual([{ entryId: 'inv_1', type: 'outlier', issue: 'Large invoice', severity: 'low', chunk: '2024-01' }]);
+    expect(merged.procurementSuggestions).toHaveLength(1);
+    expect(merged.observations).toEqual(['2024-01: Travel is steady']);
+  });
+});
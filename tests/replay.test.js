@@ -0,0 +1,111 @@
+import path from 'path';
+import request from 'supertest';
+
+// Runs the real prompt building, parsing and research code against recorded
+// fixtures; re-record with FIXTURE_MODE=record after changing a prompt
+const REPLAY_ENV = {
+  FIXTURE_MODE: 'replay',
+  FIXTURE_DIR: path.join(__dirname, 'fixtures'),
+  LLM_PROVIDER: 'openai-compatible',
+  LLM_MODEL: 'fixture-model',
+  ANALYSIS_HISTORY_PATH: ':memory:',
+  RESEARCH_DISK_CACHE: 'off'
+};
+
+describe('Replayed LLM and research requests', () => {
+  const savedEnv = { ...process.env };
+  let app;
+
+  const sampleData = {
+    invoices: [
+      { id: 'inv_001', date: '2024-01-15', amount: 5000, description: 'Software licensing', customer: 'Initech', status: 'paid' },
+      { id: 'inv_002', date: '2024-02-15', amount: 7500, description: 'Consulting', customer: 'Initech', status: 'pending' }
+    ],
+    expenses: [
+      { id: 'exp_001', date: '2024-01-10', amount: 1200, description: 'Office rent', category: 'facilities', vendor: 'Property Management' },
+      { id: 'exp_002', date: '2024-02-10', amount: 1200, description: 'Office rent', category: 'facilities', vendor: 'Property Management' }
+    ],
+    payments: [],
+    balances: [{ account: 'Operating Cash', balance: 25000, date: '2024-02-29' }],
+    metadata: { currency: 'USD', source: 'replay_test' }
+  };
+
+  beforeAll(() => {
+    Object.assign(process.env, REPLAY_ENV);
+    jest.isolateModules(() => {
+      app = require('../src/index.js').default;
+    });
+  });
+
+  afterAll(() => {
+    process.env = savedEnv;
+  });
+
+  test('POST /api/analyze - should parse and validate the recorded model output', async () => {
+    const response = await request(app)
+      .post('/api/analyze')
+      .send({ data: sampleData })
+      .expect(200);
+
+    const { analysis } = response.body;
+    expect(analysis.llm).toEqual({ provider: 'openai-compatible', model: 'fixture-model', repairAttempts: 0 });
+    expect(analysis.forecastCommentary).toMatch(/rent/);
+    expect(analysis.kpis.grossMargin).toBe(0.9);
+    expect(analysis.anomalies).toContainEqual(expect.objectContaining({ entryId: 'exp_002', source: 'llm', entryIdFound: true }));
+    expect(analysis.cashFlowForecast).toHaveProperty('month3');
+  });
+
+  test('POST /api/research/topic - should answer from the retrieved papers and list them as sources', async () => {
+    const response = await request(app)
+      .post('/api/research/topic')
+      .send({ topic: 'working capital management', context: 'mid-size SaaS company' })
+      .expect(200);
+
+    expect(response.body.insights).toMatch(/^Working capital.*\[1\]/);
+    expect(response.body.sources).toEqual([
+      expect.objectContaining({ number: 1, paperId: 'p4', title: 'The Cash Conversion Cycle and Firm Value', cited: true }),
+      expect.objectContaining({ number: 2, paperId: 'p5', year: 2022, authors: ['F. Author'], cited: true })
+    ]);
+    expect(response.body.citations).toEqual({ count: 2, cited: [1, 2], uncited: [] });
+  });
+
+  test('POST /api/research/compliance - should replay the paper search and abstract summaries', async () => {
+    const response = await request(app)
+      .post('/api/research/compliance')
+      .send({ topic: 'IFRS 16 leases', limit: 1 })
+      .expect(200);
+
+    expect(response.body.papers).toHaveLength(1);
+    expect(response.body.report).toContain('## Lease Accounting Under IFRS 16');
+    expect(response.body.report).toContain('**Summary:** IFRS 16 brings most leases onto the balance sheet.');
+  });
+
+  test('GET /api/research/papers - should replay the Semantic Scholar search', async () => {
+    const response = await request(app)
+      .get('/api/research/papers')
+      .query({ query: 'cash flow forecasting', limit: 2 })
+      .expect(200);
+
+    expect(response.body.papers.map(p => p.title)).toEqual([
+      'Forecasting Corporate Cash Flows',
+      'Machine Learning for Treasury Management'
+    ]);
+    expect(response.body.cache).toMatchObject({ hit: false, source: 'network', retries: 0 });
+
+    const repeated = await request(app)
+      .get('/api/research/papers')
+      .query({ query: 'Cash Flow  Forecasting', limit: 2 })
+      .expect(200);
+    expect(repeated.body.papers).toEqual(response.body.papers);
+    expect(repeated.body.cache).toMatchObject({ hit: true, source: 'memory', storedAt: response.body.cache.storedAt });
+  });
+
+  test('should fail loudly on a request that was never recorded', async () => {
+    const response = await request(app)
+      .post('/api/research/topic')
+      .send({ topic: 'an unrecorded topic' })
+      .expect(500);
+
+    expect(response.body.message).toMatch(/No semantic-scholar fixture recorded for request [0-9a-f]{24}/);
+  });
+});
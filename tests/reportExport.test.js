@@ -0,0 +1,82 @@
+import XLSX from 'xlsx';
+import { buildReport, exportReport, renderMarkdown, renderWorkbook } from '../src/services/reportExport.js';
+import { getPromptTemplate, describePromptTemplate } from '../src/services/promptTemplates.js';
+import { computeKpis } from '../src/services/kpis.js';
+import { forecastCashFlow } from '../src/services/forecast.js';
+
+describe('Report export', () => {
+  const data = {
+    invoices: [
+      { id: 'inv_001', date: '2024-01-15', amount: 5000, customer: 'Initech', status: 'paid' },
+      { id: 'inv_002', date: '2024-02-15', amount: 7500, customer: 'Initech', status: 'pending' }
+    ],
+    expenses: [
+      { id: 'exp_001', date: '2024-01-10', amount: 1200, category: 'facilities', vendor: 'Property | Management' }
+    ],
+    payments: [],
+    balances: [{ account: 'Operating Cash', balance: 25000, date: '2024-02-29' }],
+    metadata: { currency: 'USD' }
+  };
+  const forecast = forecastCashFlow(data);
+  const result = {
+    analysis: {
+      forecastCommentary: 'Cash stays positive through the quarter.',
+      anomalies: [
+        { entryId: 'exp_001', type: 'outlier', issue: 'Rent above the usual amount | twice', severity: 'high', source: 'statistical' }
+      ],
+      procurementSuggestions: [
+        { category: 'facilities', suggestion: 'Renegotiate the lease', implementation: 'Before renewal in June' }
+      ],
+      kpis: { grossMargin: 0.4 },
+      dataQuality: { completeness: 0.98, issues: ['1 undated record'] },
+      cashFlowForecast: forecast.cashFlowForecast,
+      llm: { provider: 'openrouter', model: 'test-model', repairAttempts: 0 }
+    },
+    kpis: computeKpis(data),
+    forecast,
+    template: describePromptTemplate(getPromptTemplate('general')),
+    timestamp: '2024-03-01T10:00:00.000Z'
+  };
+
+  test('buildReport - should use the first text section as the executive summary and the computed KPIs', () => {
+    const report = buildReport(result, data);
+
+    expect(report.summary).toBe('Cash stays positive through the quarter.');
+    expect(report.sections.map(section => section.key)).toEqual(['procurementSuggestions', 'dataQuality']);
+    expect(report.kpis.find(k => k.key === 'dso')).toMatchObject({ label: 'Days Sales Outstanding', display: expect.stringMatching(/ days$/) });
+    expect(report.forecast).toHaveLength(3);
+    expect(report.model).toBe('test-model (openrouter)');
+  });
+
+  test('renderMarkdown - should render tables with escaped cells and list sections as bullets', () => {
+    const markdown = renderMarkdown(buildReport(result, data));
+
+    expect(markdown).toMatch(/^# General Financial Analysis Report\n/);
+    expect(markdown).toContain('## Executive Summary\n\nCash stays positive through the quarter.');
+    expect(markdown).toContain('| high | exp_001 | outlier | Rent above the usual amount \\| twice | statistical |');
+    expect(markdown).toContain('- [facilities] Renegotiate the lease — Before renewal in June');
+    expect(markdown).toContain('| issues | 1 undated record |');
+  });
+
+  test('renderWorkbook - should write one sheet per section and per data category', () => {
+    const workbook = XLSX.read(renderWorkbook(buildReport(result, data)), { type: 'buffer' });
+
+    expect(workbook.SheetNames).toEqual([
+      'Summary', 'KPIs', 'Forecast', 'Anomalies', 'Procurement Suggestions', 'Data Quality',
+      'Data - invoices', 'Data - expenses', 'Data - balances'
+    ]);
+    const expenses = XLSX.utils.sheet_to_json(workbook.Sheets['Data - expenses']);
+    expect(expenses[0]).toMatchObject({ id: 'exp_001', amount: 1200, vendor: 'Property | Management' });
+    const kpis = XLSX.utils.sheet_to_json(workbook.Sheets.KPIs);
+    expect(kpis.map(row => row.Formula)).toContain('(accountsReceivable / revenue) * periodDays');
+  });
+
+  test('exportReport - should render a PDF and name the file after the template and date', async () => {
+    const { content, contentType, filename } = await exportReport(result, data, 'pdf');
+
+    expect(contentType).toBe('application/pdf');
+    expect(filename).toBe('general-analysis-2024-03-01.pdf');
+    expect(content.subarray(0, 5).toString()).toBe('%PDF-');
+    await expect(exportReport(result, data, 'docx')).rejects.toThrow('Unknown export format "docx"');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,95 @@
+import { s2Get } from '../src/services/semanticScholar.js';
+import { chatCompletion, isLlmEnabled } from '../src/services/llmProviders.js';
+import { clusterPapers, findResearchGaps } from '../src/services/researchGaps.js';
+
+jest.mock('../src/services/semanticScholar.js', () => ({
+  s2Get: jest.fn()
+}));
+
+jest.mock('../src/services/llmProviders.js', () => ({
+  chatCompletion: jest.fn(),
+  getTaskSettings: jest.fn(),
+  isLlmEnabled: jest.fn()
+}));
+
+describe('Research gap discovery', () => {
+  const paper = (id, title, abstract) => ({ paperId: id, title, abstract, year: 2022, url: `https://example.org/${id}`, authors: [] });
+  const creditPapers = [
+    paper('c1', 'Credit default prediction', 'Machine learning models predict loan default from borrower credit histories.'),
+    paper('c2', 'Loan default and credit scoring', 'Credit scoring of borrower loan applications and default rates.'),
+    paper('c3', 'Borrower credit risk', 'Default risk of borrower loans under new credit scoring rules.')
+  ];
+  const fraudPapers = [
+    paper('f1', 'Invoice fraud detection', 'Detecting fraudulent invoice payments with anomaly detection on ledger transactions.'),
+    paper('f2', 'Ledger anomaly detection', 'Transaction anomaly detection uncovers fraudulent ledger entries.'),
+    paper('f3', 'Payment fraud in ledgers', 'Fraudulent payment transactions and invoice anomaly patterns.')
+  ];
+  const gapResponse = gaps => ({ content: JSON.stringify({ gaps }), provider: 'openrouter', model: 'test-model' });
+
+  beforeEach(() => {
+    s2Get.mockReset();
+    chatCompletion.mockReset();
+    isLlmEnabled.mockReturnValue(true);
+  });
+
+  test('clusterPapers - should group papers by shared terms', () => {
+    const clusters = clusterPapers([creditPapers[0], fraudPapers[0], creditPapers[1], fraudPapers[1], creditPapers[2], fraudPapers[2]], { clusters: 2 });
+
+    expect(clusters).toHaveLength(2);
+    const groups = clusters.map(cluster => cluster.papers.map(p => p.paperId).sort());
+    expect(groups).toEqual(expect.arrayContaining([['c1', 'c2', 'c3'], ['f1', 'f2', 'f3']]));
+    expect(clusters.find(cluster => cluster.papers[0].paperId === 'c1').terms).toEqual(expect.arrayContaining(['credit', 'default']));
+  });
+
+  test('clusterPapers - should form fewer clusters than asked when there are too few papers', () => {
+    const clusters = clusterPapers(creditPapers, { clusters: 4 });
+
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0]).toMatchObject({ id: 1, papers: creditPapers });
+  });
+
+  test('findResearchGaps - should page through results and cite supporting papers per cluster', async () => {
+    s2Get
+      .mockResolvedValueOnce({ data: { next: 20, data: [...creditPapers, { paperId: 'x', title: 'No abstract', abstract: null }] }, cache: { hit: false } })
+      .mockResolvedValueOnce({ data: { data: fraudPapers }, cache: { hit: true } });
+    chatCompletion
+      // An out-of-range citation is sent back to the model to fix
+      .mockResolvedValueOnce(gapResponse([{ title: 'Gap', description: 'Missing', supportingPapers: [7] }]))
+      .mockResolvedValueOnce(gapResponse([{ title: 'Explainable scoring', description: 'Scores are not explained to borrowers.', supportingPapers: [1, 3, 1] }]))
+      .mockResolvedValueOnce(gapResponse([{ title: 'Real-time fraud', description: 'Detection runs after payment.', supportingPapers: [2] }]));
+
+    const result = await findResearchGaps('credit risk', { pages: 3, clusters: 2 });
+
+    expect(s2Get).toHaveBeenCalledTimes(2);
+    expect(s2Get).toHaveBeenLastCalledWith('/paper/search', expect.objectContaining({ query: 'credit risk', offset: 20 }));
+    expect(result.stats).toEqual({ pages: 2, searched: 7, papers: 6, clusters: 2, cacheHits: 1 });
+    expect(chatCompletion).toHaveBeenCalledTimes(3);
+    expect(chatCompletion.mock.calls[1][1][2].content).toContain('numbered 1 to 3');
+
+    const gaps = result.clusters.flatMap(cluster => cluster.gaps);
+    expect(gaps).toHaveLength(2);
+    const cited = gaps.map(gap => gap.supportingPapers.map(p => p.paperId));
+    expect(cited).toEqual(expect.arrayContaining([
+      [expect.any(String), expect.any(String)],
+      [expect.any(String)]
+    ]));
+    expect(gaps[0].supportingPapers[0]).toEqual({
+      paperId: expect.any(String),
+      title: expect.any(String),
+      year: 2022,
+      url: expect.stringContaining('https://example.org/')
+    });
+    expect(result.llm).toEqual({ provider: 'openrouter', model: 'test-model', repairAttempts: 1 });
+  });
+
+  test('findResearchGaps - should return the clusters without gaps in no-LLM mode', async () => {
+    isLlmEnabled.mockReturnValue(false);
+    s2Get.mockResolvedValueOnce({ data: { data: creditPapers }, cache: { hit: false } });
+
+    const result = await findResearchGaps('credit risk', { pages: 1 });
+
+    expect(chatCompletion).not.toHaveBeenCalled();
+    expect(result.clusters).toEqual([expect.objectContaining({ papers: creditPapers, gaps: [] })]);
+    expect(result.llm).toEqual({ provider: 'none' });
+  });
+});
\ No newline at end of file
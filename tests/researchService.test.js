@@ -0,0 +1,96 @@
+import { searchPapers, researchFinancialTopic } from '../src/services/researchService.js';
+import { s2Get } from '../src/services/semanticScholar.js';
+import { chatCompletion } from '../src/services/llmProviders.js';
+
+jest.mock('../src/services/semanticScholar.js', () => ({
+  s2Get: jest.fn()
+}));
+
+jest.mock('../src/services/llmProviders.js', () => ({
+  chatCompletion: jest.fn(),
+  getTaskSettings: jest.fn(),
+  isLlmEnabled: jest.fn().mockReturnValue(true)
+}));
+
+describe('Research service', () => {
+  const papers = [
+    { paperId: 'p1', title: 'Cash Conversion Cycles', abstract: 'Shorter cycles raise profitability.', year: 2019, url: 'https://example.org/p1', authors: [{ name: 'A. Author' }] },
+    { paperId: 'p2', title: 'No Abstract', abstract: null, authors: [] },
+    { paperId: 'p3', title: 'Supply Chain Finance', abstract: 'Reverse factoring extends payables.', year: 2021, authors: [] },
+    { paperId: 'p4', title: 'Inventory Financing', abstract: 'Inventory can secure revolving credit.', year: 2020, authors: [] }
+  ];
+  const answer = content => ({ content, provider: 'openrouter', model: 'test-model' });
+
+  beforeEach(() => {
+    s2Get.mockReset();
+    chatCompletion.mockReset();
+    s2Get.mockResolvedValue({ data: { data: papers }, cache: { hit: false } });
+  });
+
+  test('searchPapers - should ask for the given fields', async () => {
+    await searchPapers('leases', 2, { fields: 'title,year' });
+
+    expect(s2Get).toHaveBeenCalledWith('/paper/search', { query: 'leases', limit: 2, fields: 'title,year' });
+  });
+
+  test('researchFinancialTopic - should number the papers with abstracts and verify the citations', async () => {
+    chatCompletion.mockResolvedValueOnce(answer('Short cycles pay [1]. Suppliers can be paid later [2, 1].'));
+
+    const result = await researchFinancialTopic('working capital', 'SaaS', { papers: 4 });
+
+    const prompt = chatCompletion.mock.calls[0][1][1].content;
+    expect(prompt).toContain('[1] Cash Conversion Cycles (2019)\nShorter cycles raise profitability.');
+    expect(prompt).toContain('[2] Supply Chain Finance (2021)');
+    expect(prompt).not.toContain('No Abstract');
+    expect(result.sources.map(source => [source.number, source.paperId, source.cited])).toEqual([[1, 'p1', true], [2, 'p3', true], [3, 'p4', false]]);
+    expect(result.citations).toEqual({ count: 3, cited: [1, 2], uncited: [3] });
+    expect(result.llm.repairAttempts).toBe(0);
+  });
+
+  test('researchFinancialTopic - should send unknown or missing citations back to the model', async () => {
+    chatCompletion
+      .mockResolvedValueOnce(answer('Working capital matters [4-5].'))
+      .mockResolvedValueOnce(answer('Working capital matters.'))
+      .mockResolvedValueOnce(answer('Working capital matters [1-3].'));
+
+    const result = await researchFinancialTopic('working capital');
+
+    expect(chatCompletion.mock.calls[1][1][3].content).toContain('cites [4], [5], but the sources are numbered 1 to 3');
+    expect(chatCompletion.mock.calls[2][1][5].content).toContain('The answer cites no sources');
+    expect(result.citations.cited).toEqual([1, 2, 3]);
+    expect(result.llm.repairAttempts).toBe(2);
+  });
+
+  test('researchFinancialTopic - should ask again after an empty answer', async () => {
+    chatCompletion
+      .mockResolvedValueOnce(answer(null))
+      .mockResolvedValueOnce(answer(''))
+      .mockResolvedValueOnce(answer('Working capital matters [1].'));
+
+    const result = await researchFinancialTopic('working capital');
+
+    expect(chatCompletion.mock.calls[2][1]).toHaveLength(2);
+    expect(result.citations.cited).toEqual([1]);
+    expect(result.llm.repairAttempts).toBe(2);
+
+    chatCompletion.mockReset();
+    chatCompletion.mockResolvedValue(answer(null));
+    await expect(researchFinancialTopic('working capital')).rejects.toMatchObject({
+      code: 'ANALYSIS_OUTPUT_INVALID',
+      validationErrors: ['The model returned an empty response']
+    });
+  });
+
+  test('researchFinancialTopic - should fail without sources or once the repair attempts run out', async () => {
+    s2Get.mockResolvedValueOnce({ data: { data: [papers[1]] }, cache: { hit: false } });
+    await expect(researchFinancialTopic('obscure topic')).rejects.toMatchObject({ code: 'NO_SOURCES' });
+    expect(chatCompletion).not.toHaveBeenCalled();
+
+    chatCompletion.mockResolvedValue(answer('Working capital matters [9].'));
+    await expect(researchFinancialTopic('working capital')).rejects.toMatchObject({
+      code: 'ANALYSIS_OUTPUT_INVALID',
+      validationErrors: ['The answer cites [9], but the sources are numbered 1 to 3']
+    });
+    expect(chatCompletion).toHaveBeenCalledTimes(3);
+  });
+});
\ No newline at end of file
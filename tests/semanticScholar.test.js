@@ -0,0 +1,98 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+import { s2Get, getRetryDelay, getCacheKey, clearResearchCache } from '../src/services/semanticScholar.js';
+import { config } from '../src/config/index.js';
+
+jest.mock('axios');
+
+describe('Semantic Scholar client', () => {
+  const papers = { total: 1, data: [{ title: 'Forecasting Corporate Cash Flows' }] };
+  const rateLimited = retryAfter => Object.assign(new Error('Request failed with status code 429'), {
+    response: { status: 429, headers: retryAfter ? { 'retry-after': retryAfter } : {} }
+  });
+
+  beforeAll(() => {
+    config.semanticScholar.cache.dir = fs.mkdtempSync(path.join(os.tmpdir(), 's2-cache-'));
+    config.semanticScholar.retry.baseDelayMs = 1;
+    config.semanticScholar.retry.maxDelayMs = 5;
+  });
+
+  afterAll(() => {
+    clearResearchCache({ disk: true });
+  });
+
+  beforeEach(() => {
+    axios.get.mockReset();
+    clearResearchCache();
+  });
+
+  test('getRetryDelay - should back off exponentially with jitter and honor Retry-After within the cap', () => {
+    const settings = { baseDelayMs: 1000, maxDelayMs: 30000 };
+    for (let attempt = 0; attempt < 8; attempt++) {
+      const delay = getRetryDelay(attempt, undefined, settings);
+      expect(delay).toBeGreaterThanOrEqual(0);
+      expect(delay).toBeLessThanOrEqual(Math.min(30000, 1000 * 2 ** attempt));
+    }
+    expect(getRetryDelay(0, '10', settings)).toBe(10000);
+    expect(getRetryDelay(0, '120', settings)).toBe(30000);
+  });
+
+  test('s2Get - should retry rate limits and give up once the retry budget is spent', async () => {
+    axios.get
+      .mockRejectedValueOnce(rateLimited())
+      .mockRejectedValueOnce(rateLimited('0'))
+      .mockResolvedValueOnce({ data: papers });
+
+    const { data, cache } = await s2Get('/paper/search', { query: 'retries', limit: 1 });
+    expect(data).toEqual(papers);
+    expect(cache).toMatchObject({ hit: false, source: 'network', retries: 2 });
+    expect(axios.get).toHaveBeenCalledTimes(3);
+
+    axios.get.mockReset();
+    axios.get.mockRejectedValue(rateLimited());
+    await expect(s2Get('/paper/search', { query: 'always limited', limit: 1 })).rejects.toMatchObject({
+      code: 'RESEARCH_UNAVAILABLE',
+      status: 429
+    });
+    expect(axios.get).toHaveBeenCalledTimes(config.semanticScholar.retry.maxRetries + 1);
+
+    axios.get.mockReset();
+    axios.get.mockRejectedValue(Object.assign(new Error('Not found'), { response: { status: 404, headers: {} } }));
+    await expect(s2Get('/paper/search', { query: 'missing', limit: 1 })).rejects.toThrow('Not found');
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+
+  test('s2Get - should serve repeated queries from memory, then from disk', async () => {
+    axios.get.mockResolvedValue({ data: papers });
+    const params = { query: 'Treasury  Management', limit: 2, fields: 'title' };
+
+    const first = await s2Get('/paper/search', params);
+    const second = await s2Get('/paper/search', { ...params, query: 'treasury management' });
+    expect(second.cache).toMatchObject({ hit: true, source: 'memory', storedAt: first.cache.storedAt });
+
+    clearResearchCache();
+    const third = await s2Get('/paper/search', params);
+    expect(third).toEqual({ data: papers, cache: expect.objectContaining({ hit: true, source: 'disk' }) });
+    expect(axios.get).toHaveBeenCalledTimes(1);
+
+    expect(getCacheKey('/paper/search', { ...params, fields: 'title,abstract' })).not.toBe(getCacheKey('/paper/search', params));
+  });
+
+  test('s2Get - should coalesce identical requests made while one is in flight', async () => {
+    let respond;
+    axios.get.mockReturnValue(new Promise(resolve => { respond = resolve; }));
+
+    const requests = [
+      s2Get('/paper/search', { query: 'coalesced', limit: 1 }),
+      s2Get('/paper/search', { query: 'coalesced', limit: 1 })
+    ];
+    respond({ data: papers });
+    const [first, second] = await Promise.all(requests);
+
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    expect(first.cache.coalesced).toBe(false);
+    expect(second).toEqual({ data: papers, cache: { ...first.cache, coalesced: true } });
+  });
+});
\ No newline at end of file